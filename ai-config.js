@@ -35,6 +35,13 @@ const AI_PERSONAS = [
   }
 ];
 
+/**
+ * Nako 服务为回复签名所用密钥的公钥（JWK，ECDSA P-256），见 persona-verifier.js
+ * 部署时填入 Nako 服务公布的公钥，如 { kty: 'EC', crv: 'P-256', x: '...', y: '...' }；
+ * 轮换密钥时新旧公钥并存一段时间。为空时无法验证，其他用户转发的 AI 回复都按发出者的普通消息显示并附上警告
+ */
+const AI_SIGNING_KEYS = [];
+
 /**
  * 检测消息中的 AI 触发
  * @param {string} message - 用户输入的消息
@@ -114,6 +121,7 @@ function getAIConfig(persona) {
 // 导出到全局对象供浏览器使用
 window.AIConfig = {
   AI_PERSONAS,
+  SIGNING_KEYS: AI_SIGNING_KEYS,
   detectAITrigger,
   getAllDisplayNames,
   getDisplayName,
@@ -0,0 +1,624 @@
+/**
+ * FileTransferManager - 点对点文件传输管理器
+ * 文件通过 RTCDataChannel 直接在浏览器之间传输，不经过服务器；
+ * 传输邀请、接受/拒绝以及连接建立所需的信令通过信令通道（见 room-signaling.js）收发
+ *
+ * 流程：
+ * 1. 发送方计算文件 SHA-256，向房间广播 offer
+ * 2. 接收方接受后回复 accept（携带已收到的字节数），发送方为其建立连接和数据通道
+ * 3. 发送方从接收方给出的偏移量开始分块发送，接收方收齐后校验 SHA-256，并通过数据通道回复 ack
+ * 4. 发送方收到 ack 才把该接收方标记为完成
+ * 5. 连接中断时接收方保留已收到的数据，重新发送 accept 从断点继续
+ *
+ * 连接由拓扑层建立（见 rtc-topology.js）：每个接收者的每次（续）传使用一个只连接对方的 MeshTopology，
+ * 数据通道为拓扑在连接上预先协商的 file:<id> 通道，信令带上传输 ID 以区分同一对端的多次传输
+ *
+ * @example
+ * const transfers = new FileTransferManager({ eventBus, signaling });
+ * eventBus.on('file:update', ({ transfer }) => console.log(transfer.state, transfer.bytes));
+ * transfers.offerFile(file);
+ */
+class FileTransferManager {
+  static NAMESPACE = 'file';
+  static CHUNK_SIZE = 16 * 1024;
+  static MAX_FILE_SIZE = 200 * 1024 * 1024;
+  static MAX_RESUME_ATTEMPTS = 5;
+  static RESUME_DELAY = 5000;
+  // 收到的文件一律按二进制下载，不采用对方声明的 MIME，避免 text/html、image/svg+xml 等在本站源下被打开执行
+  static DOWNLOAD_TYPE = 'application/octet-stream';
+
+  /**
+   * 创建文件传输管理器实例
+   * @param {Object} config - 配置对象
+   * @param {EventBus} [config.eventBus] - 事件总线实例
+   * @param {Object} config.signaling - 信令通道
+   * @param {RTCIceServer[]} [config.iceServers] - ICE 服务器列表
+   * @param {Function} [config.RTCPeerConnection] - RTCPeerConnection 构造函数，可替换用于测试
+   * @param {number} [config.chunkSize] - 分块大小（字节）
+   * @param {number} [config.maxFileSize] - 允许发送的最大文件大小（字节）
+   */
+  constructor(config = {}) {
+    this.eventBus = config.eventBus || new EventBus();
+    this.signaling = config.signaling;
+    this.iceServers = config.iceServers || MeshTopology.DEFAULT_ICE_SERVERS;
+    this.PeerConnection = config.RTCPeerConnection || window.RTCPeerConnection;
+    this.chunkSize = config.chunkSize || FileTransferManager.CHUNK_SIZE;
+    this.maxFileSize = config.maxFileSize || FileTransferManager.MAX_FILE_SIZE;
+
+    // 自己发出的文件：id -> { transfer, file, sessions: Map<sid, session> }
+    this.outgoing = new Map();
+    // 别人发来的文件：id -> { transfer, from, chunks, bytes, topology, channel, attempts, resumeTimer }
+    this.incoming = new Map();
+
+    this.signaling.subscribe((signal, from) => this.handleSignal(signal, from));
+    // 房间重连后继续被中断的接收
+    this.signaling.onReady(() => {
+      this.incoming.forEach(entry => {
+        if (entry.transfer.state === 'interrupted') this.requestResume(entry);
+      });
+    });
+  }
+
+  /**
+   * 向房间发出文件
+   * @param {File} file - 要发送的文件
+   * @returns {Promise<Object|null>} 传输信息，失败时为 null
+   * @fires file:update
+   * @fires file:error
+   */
+  async offerFile(file) {
+    if (!file) return null;
+    if (file.size > this.maxFileSize) {
+      this.eventBus.emit('file:error', { message: `文件过大，最大支持 ${Math.round(this.maxFileSize / 1024 / 1024)}MB` });
+      return null;
+    }
+
+    const id = `file_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const transfer = {
+      id,
+      direction: 'outgoing',
+      username: this.signaling.username,
+      name: file.name,
+      size: file.size,
+      mime: file.type || 'application/octet-stream',
+      hash: null,
+      state: 'hashing',
+      bytes: 0,
+      receivers: []
+    };
+    const entry = { transfer, file, sessions: new Map() };
+    this.outgoing.set(id, entry);
+    this.emitUpdate(transfer);
+
+    try {
+      transfer.hash = await this.digest(file);
+    } catch (error) {
+      this.outgoing.delete(id);
+      this.eventBus.emit('file:error', { message: '无法读取文件', error });
+      return null;
+    }
+
+    transfer.state = 'offered';
+    this.sendSignal({
+      type: 'offer',
+      id,
+      name: transfer.name,
+      size: transfer.size,
+      mime: transfer.mime,
+      hash: transfer.hash
+    });
+    this.emitUpdate(transfer);
+    return { ...transfer };
+  }
+
+  /**
+   * 接受文件
+   * @param {string} id - 传输 ID
+   */
+  accept(id) {
+    const entry = this.incoming.get(id);
+    if (!entry || entry.transfer.state !== 'offered') return;
+    entry.attempts = 0;
+    this.requestResume(entry);
+  }
+
+  /**
+   * 拒绝文件
+   * @param {string} id - 传输 ID
+   */
+  decline(id) {
+    const entry = this.incoming.get(id);
+    if (!entry || entry.transfer.state !== 'offered') return;
+    this.sendSignal({ type: 'decline', id }, entry.from.sid);
+    this.setState(entry.transfer, 'declined');
+    this.incoming.delete(id);
+  }
+
+  /**
+   * 取消传输（发送方撤回文件，或接收方中止接收）
+   * @param {string} id - 传输 ID
+   */
+  cancel(id) {
+    const outgoing = this.outgoing.get(id);
+    if (outgoing) {
+      this.sendSignal({ type: 'cancel', id });
+      outgoing.sessions.forEach(session => this.closeSession(session));
+      this.outgoing.delete(id);
+      this.setState(outgoing.transfer, 'cancelled');
+      return;
+    }
+
+    const incoming = this.incoming.get(id);
+    if (incoming) {
+      this.sendSignal({ type: 'cancel', id }, incoming.from.sid);
+      this.closeIncoming(incoming);
+      this.incoming.delete(id);
+      this.setState(incoming.transfer, 'cancelled');
+    }
+  }
+
+  /**
+   * 获取所有传输
+   * @returns {Object[]}
+   */
+  getTransfers() {
+    return [...this.outgoing.values(), ...this.incoming.values()].map(entry => ({ ...entry.transfer }));
+  }
+
+  /**
+   * 发送文件命名空间下的信令
+   * @private
+   */
+  sendSignal(signal, to) {
+    return this.signaling.send({ ns: FileTransferManager.NAMESPACE, ...signal }, to);
+  }
+
+  /**
+   * 处理收到的信令
+   * @private
+   */
+  handleSignal(signal, from) {
+    if (!signal || signal.ns !== FileTransferManager.NAMESPACE) return;
+
+    switch (signal.type) {
+      case 'offer':
+        this.handleOffer(signal, from);
+        break;
+      case 'accept':
+        this.handleAccept(signal, from);
+        break;
+      case 'decline': {
+        const entry = this.outgoing.get(signal.id);
+        if (entry) this.updateReceiver(entry, from, 'declined');
+        break;
+      }
+      case 'cancel':
+        this.handleCancel(signal, from);
+        break;
+      case 'description':
+      case 'candidate':
+        this.handlePeerSignal(signal, from);
+        break;
+    }
+  }
+
+  /**
+   * 收到文件邀请
+   * @private
+   * @fires file:update
+   */
+  handleOffer(signal, from) {
+    if (this.incoming.has(signal.id)) return;
+    const transfer = {
+      id: signal.id,
+      direction: 'incoming',
+      username: from.username,
+      name: String(signal.name || 'file'),
+      size: Number(signal.size) || 0,
+      // 仅作展示，生成下载链接时不使用
+      mime: String(signal.mime || 'application/octet-stream'),
+      hash: signal.hash,
+      state: 'offered',
+      bytes: 0,
+      url: null
+    };
+    this.incoming.set(signal.id, {
+      transfer,
+      from,
+      chunks: [],
+      bytes: 0,
+      topology: null,
+      channel: null,
+      attempts: 0,
+      resumeTimer: null
+    });
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * 对方取消
+   * @private
+   */
+  handleCancel(signal, from) {
+    const incoming = this.incoming.get(signal.id);
+    if (incoming && incoming.from.sid === from.sid) {
+      this.closeIncoming(incoming);
+      this.incoming.delete(signal.id);
+      this.setState(incoming.transfer, 'cancelled');
+      return;
+    }
+
+    const outgoing = this.outgoing.get(signal.id);
+    if (outgoing) {
+      const session = outgoing.sessions.get(from.sid);
+      if (session) this.closeSession(session);
+      outgoing.sessions.delete(from.sid);
+      this.updateReceiver(outgoing, from, 'cancelled');
+    }
+  }
+
+  /**
+   * 接收方请求（继续）传输：为其建立连接
+   * @private
+   */
+  handleAccept(signal, from) {
+    const entry = this.outgoing.get(signal.id);
+    if (!entry) {
+      // 文件已撤回或页面已刷新，告知对方
+      this.sendSignal({ type: 'cancel', id: signal.id }, from.sid);
+      return;
+    }
+
+    const previous = entry.sessions.get(from.sid);
+    if (previous) this.closeSession(previous);
+
+    const session = {
+      id: signal.id,
+      sid: from.sid,
+      username: from.username,
+      topology: null,
+      channel: null,
+      offset: Math.max(0, Math.min(Number(signal.offset) || 0, entry.file.size)),
+      sending: false
+    };
+    entry.sessions.set(from.sid, session);
+    this.updateReceiver(entry, from, 'connecting', session.offset);
+
+    session.topology = this.createTopology(signal.id, {
+      onDataChannel: ({ channel }) => {
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = this.chunkSize * 4;
+        session.channel = channel;
+        channel.onopen = () => this.sendFile(entry, session);
+        channel.onmessage = (event) => this.handleOutgoingData(entry, session, event.data);
+        channel.onclose = () => {
+          // 接收方校验完或断开都会关闭通道；未收到 ack 就断开视为中断，断点续传时会重新建立连接
+          this.closeSession(session);
+          const receiver = entry.transfer.receivers.find(r => r.sid === session.sid);
+          if (receiver && (receiver.state === 'transferring' || receiver.state === 'verifying')) {
+            this.updateReceiver(entry, from, 'interrupted');
+          }
+        };
+      },
+      // ICE restart 也没能恢复：关闭通道，按上面的规则标记中断
+      onPeerClosed: () => this.closeSession(session)
+    });
+    // 由发送方的数据通道触发协商
+    session.topology.addPeer(from);
+  }
+
+  /**
+   * 连接建立信令（description / candidate）：按传输 ID 和对端交给对应的拓扑
+   * @private
+   */
+  handlePeerSignal(signal, from) {
+    const outgoing = this.outgoing.get(signal.id);
+    const session = outgoing && outgoing.sessions.get(from.sid);
+    const incoming = this.incoming.get(signal.id);
+    const topology = session ? session.topology : (incoming && incoming.from.sid === from.sid ? incoming.topology : null);
+    if (topology) topology.handleSignal(signal, from);
+  }
+
+  /**
+   * 接收方：为传输建立拓扑（收到发送方的 offer 时建立连接），等待数据通道打开
+   * @private
+   */
+  createIncomingPeer(entry) {
+    this.closeIncoming(entry);
+
+    const topology = this.createTopology(entry.transfer.id, {
+      onDataChannel: ({ channel }) => {
+        entry.channel = channel;
+        channel.binaryType = 'arraybuffer';
+        channel.onopen = () => this.setState(entry.transfer, 'transferring');
+        channel.onmessage = (event) => this.handleIncomingData(entry, event.data);
+        channel.onclose = () => this.handleIncomingInterrupted(entry);
+      },
+      onPeerClosed: () => {
+        if (entry.topology === topology) this.handleIncomingInterrupted(entry);
+      }
+    });
+    entry.topology = topology;
+  }
+
+  /**
+   * 为一次（续）传创建只连接一个对端的拓扑
+   * @private
+   * @param {string} id - 传输 ID
+   * @param {Object} callbacks - { onDataChannel, onPeerClosed }
+   * @returns {MeshTopology}
+   */
+  createTopology(id, callbacks) {
+    return new MeshTopology({
+      // 信令带上传输 ID，由 handlePeerSignal() 交给对应的拓扑
+      signaling: {
+        sid: this.signaling.sid,
+        send: (signal, to) => this.signaling.send({ ...signal, id }, to)
+      },
+      namespace: FileTransferManager.NAMESPACE,
+      iceServers: this.iceServers,
+      RTCPeerConnection: this.PeerConnection,
+      dataChannel: `file:${id}`,
+      ...callbacks
+    });
+  }
+
+  /**
+   * 发送方：从断点开始分块发送，按 bufferedAmount 做背压
+   * @private
+   */
+  async sendFile(entry, session) {
+    if (session.sending) return;
+    session.sending = true;
+
+    const { file } = entry;
+    const { channel } = session;
+    const from = { sid: session.sid, username: session.username };
+    this.updateReceiver(entry, from, 'transferring', session.offset);
+
+    try {
+      channel.send(JSON.stringify({ type: 'start', offset: session.offset, size: file.size }));
+
+      while (session.offset < file.size) {
+        if (channel.readyState !== 'open') return;
+
+        if (channel.bufferedAmount > channel.bufferedAmountLowThreshold) {
+          await new Promise(resolve => {
+            channel.onbufferedamountlow = () => {
+              channel.onbufferedamountlow = null;
+              resolve();
+            };
+          });
+          continue;
+        }
+
+        const end = Math.min(session.offset + this.chunkSize, file.size);
+        const chunk = await file.slice(session.offset, end).arrayBuffer();
+        if (channel.readyState !== 'open') return;
+        channel.send(chunk);
+        session.offset = end;
+        this.updateReceiver(entry, from, 'transferring', session.offset);
+      }
+
+      channel.send(JSON.stringify({ type: 'end' }));
+      // 等待接收方校验后回复 ack
+      this.updateReceiver(entry, from, 'verifying', file.size);
+    } catch (error) {
+      console.warn('FileTransferManager: failed to send file', error);
+      this.updateReceiver(entry, from, 'interrupted', session.offset);
+    } finally {
+      session.sending = false;
+    }
+  }
+
+  /**
+   * 发送方：处理接收方的校验结果
+   * @private
+   */
+  handleOutgoingData(entry, session, data) {
+    if (typeof data !== 'string') return;
+    let message;
+    try { message = JSON.parse(data); } catch (e) { return; }
+    if (message.type !== 'ack') return;
+
+    const from = { sid: session.sid, username: session.username };
+    this.updateReceiver(entry, from, message.ok ? 'complete' : 'failed');
+    this.closeSession(session);
+    entry.sessions.delete(session.sid);
+  }
+
+  /**
+   * 接收方：处理数据通道消息
+   * @private
+   */
+  async handleIncomingData(entry, data) {
+    const { transfer } = entry;
+
+    if (typeof data === 'string') {
+      let message;
+      try { message = JSON.parse(data); } catch (e) { return; }
+
+      if (message.type === 'start') {
+        // 发送方从我们给出的偏移量开始发送；不一致时以较小者为准：
+        // 发送方落后则丢弃多收的部分，发送方超前则无法补齐，清空后从头请求
+        const offset = Number(message.offset) || 0;
+        if (offset < entry.bytes) {
+          entry.chunks = [new Blob(entry.chunks).slice(0, offset)];
+          entry.bytes = offset;
+          transfer.bytes = offset;
+        } else if (offset > entry.bytes) {
+          entry.chunks = [];
+          entry.bytes = 0;
+          transfer.bytes = 0;
+          this.closeIncoming(entry);
+          this.requestResume(entry);
+        }
+      } else if (message.type === 'end') {
+        await this.finishIncoming(entry);
+      }
+      return;
+    }
+
+    entry.chunks.push(data);
+    entry.bytes += data.byteLength;
+    transfer.bytes = entry.bytes;
+    this.emitProgress(transfer);
+  }
+
+  /**
+   * 接收方：收齐后校验 SHA-256
+   * @private
+   * @fires file:update
+   */
+  async finishIncoming(entry) {
+    const { transfer } = entry;
+    this.setState(transfer, 'verifying');
+
+    const blob = new Blob(entry.chunks, { type: FileTransferManager.DOWNLOAD_TYPE });
+    let hash = null;
+    try {
+      hash = await this.digest(blob);
+    } catch (e) {
+      hash = null;
+    }
+
+    const ok = blob.size === transfer.size && hash === transfer.hash;
+    // 告知发送方校验结果，发送方据此标记完成或失败
+    try {
+      if (entry.channel) entry.channel.send(JSON.stringify({ type: 'ack', ok }));
+    } catch (e) {}
+
+    this.closeIncoming(entry);
+    if (!ok) {
+      entry.chunks = [];
+      entry.bytes = 0;
+      transfer.bytes = 0;
+      transfer.error = '文件校验失败';
+      this.setState(transfer, 'failed');
+      return;
+    }
+
+    entry.chunks = [];
+    transfer.url = URL.createObjectURL(blob);
+    this.setState(transfer, 'complete');
+  }
+
+  /**
+   * 接收方：连接中断，稍后从断点继续
+   * @private
+   */
+  handleIncomingInterrupted(entry) {
+    const { transfer } = entry;
+    if (transfer.state !== 'transferring' && transfer.state !== 'connecting') return;
+    if (!this.incoming.has(transfer.id)) return;
+
+    this.closeIncoming(entry);
+    this.setState(transfer, 'interrupted');
+
+    if (entry.attempts >= FileTransferManager.MAX_RESUME_ATTEMPTS) {
+      transfer.error = '连接多次中断';
+      this.setState(transfer, 'failed');
+      return;
+    }
+    clearTimeout(entry.resumeTimer);
+    entry.resumeTimer = setTimeout(() => this.requestResume(entry), FileTransferManager.RESUME_DELAY);
+  }
+
+  /**
+   * 接收方：请求发送方从已收到的字节处开始发送
+   * @private
+   */
+  requestResume(entry) {
+    clearTimeout(entry.resumeTimer);
+    entry.resumeTimer = null;
+    entry.attempts++;
+    this.setState(entry.transfer, 'connecting');
+    this.createIncomingPeer(entry);
+    this.sendSignal({ type: 'accept', id: entry.transfer.id, offset: entry.bytes }, entry.from.sid);
+  }
+
+  /**
+   * 更新发送方视角下某个接收方的状态
+   * @private
+   */
+  updateReceiver(entry, from, state, bytes) {
+    const { transfer } = entry;
+    let receiver = transfer.receivers.find(r => r.sid === from.sid);
+    if (!receiver) {
+      receiver = { sid: from.sid, username: from.username, state, bytes: 0 };
+      transfer.receivers.push(receiver);
+    }
+    receiver.state = state;
+    if (bytes !== undefined) receiver.bytes = bytes;
+
+    transfer.bytes = Math.max(0, ...transfer.receivers.map(r => r.bytes));
+    if (state === 'transferring') {
+      this.emitProgress(transfer);
+    } else {
+      this.emitUpdate(transfer);
+    }
+  }
+
+  /**
+   * @private
+   */
+  closeSession(session) {
+    try { if (session.channel) session.channel.close(); } catch (e) {}
+    if (session.topology) session.topology.close();
+  }
+
+  /**
+   * @private
+   */
+  closeIncoming(entry) {
+    const { topology, channel } = entry;
+    entry.topology = null;
+    entry.channel = null;
+    if (channel) {
+      channel.onclose = null;
+      try { channel.close(); } catch (e) {}
+    }
+    if (topology) topology.close();
+  }
+
+  /**
+   * 计算 SHA-256（十六进制）
+   * @private
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  async digest(blob) {
+    const buffer = await blob.arrayBuffer();
+    const hash = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * @private
+   */
+  setState(transfer, state) {
+    transfer.state = state;
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * 进度事件节流，避免每个分块都刷新界面
+   * @private
+   */
+  emitProgress(transfer) {
+    const now = Date.now();
+    if (transfer.lastProgressAt && now - transfer.lastProgressAt < 100) return;
+    transfer.lastProgressAt = now;
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * @private
+   * @fires file:update
+   */
+  emitUpdate(transfer) {
+    this.eventBus.emit('file:update', {
+      transfer: { ...transfer, receivers: transfer.receivers ? transfer.receivers.map(r => ({ ...r })) : undefined }
+    });
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * HttpTransport - HTTP 回退传输
+ * 部分公司、学校网络会拦截 WebSocket。HttpTransport 用 Server-Sent Events 接收、POST 发送，
+ * 对外提供与浏览器 WebSocket 相同的接口子集，WebSocketManager 在 WebSocket 连不上时自动改用它
+ *
+ * 服务器接口（base 为 `<hostname>/api/room/<roomname>`，session 为客户端生成的会话 ID）：
+ * - GET  https://<base>/events?session=<id>  SSE，每个 message 事件的 data 与 WebSocket 的一条消息相同
+ * - POST https://<base>/send?session=<id>    请求体与 WebSocket 发出的一条消息相同（第一条为 {name}）
+ *
+ * send() 与 WebSocket 一样立即返回；POST 失败时先为这条（以及排在它后面、因此不再发出的）消息派发 senderror，
+ * event.data 为消息文本，由调用方决定是否补发，然后按连接断开处理
+ *
+ * @example
+ * const transport = new HttpTransport('example.com/api/room/nightcord-default');
+ * transport.addEventListener('open', () => transport.send(JSON.stringify({ name: 'K' })));
+ * transport.addEventListener('message', (event) => console.log(JSON.parse(event.data)));
+ */
+class HttpTransport {
+  // 与 WebSocket 的 readyState 取值一致
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  /**
+   * 当前环境是否支持
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof EventSource === 'function' && typeof fetch === 'function';
+  }
+
+  /**
+   * @param {string} base - `<hostname>/api/room/<roomname>`
+   * @param {Object} [options]
+   * @param {Function} [options.EventSource] - EventSource 构造函数，可替换用于测试
+   * @param {Function} [options.fetch] - fetch 函数，可替换用于测试
+   */
+  constructor(base, options = {}) {
+    const EventSourceImpl = options.EventSource || window.EventSource;
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+    this.session = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    this.sendUrl = `https://${base}/send?session=${this.session}`;
+    this.readyState = HttpTransport.CONNECTING;
+    this.listeners = {};
+    // 按顺序逐条 POST，保证消息顺序
+    this.queue = Promise.resolve();
+
+    this.source = new EventSourceImpl(`https://${base}/events?session=${this.session}`);
+    this.source.onopen = () => {
+      if (this.readyState !== HttpTransport.CONNECTING) return;
+      this.readyState = HttpTransport.OPEN;
+      this.dispatch('open', {});
+    };
+    this.source.onmessage = (event) => {
+      if (this.readyState !== HttpTransport.OPEN) return;
+      this.dispatch('message', { data: event.data });
+    };
+    // EventSource 会自行重连，但会话已经断开：交给 WebSocketManager 按退避规则重连
+    this.source.onerror = (event) => this.fail(event);
+  }
+
+  /**
+   * @param {string} type - 'open' | 'message' | 'close' | 'error'
+   * @param {Function} handler
+   */
+  addEventListener(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  /**
+   * 发送一条消息（按顺序逐条 POST）
+   * @param {string} text
+   * @fires senderror
+   */
+  send(text) {
+    if (this.readyState !== HttpTransport.OPEN) {
+      throw new Error('HttpTransport is not open');
+    }
+    this.queue = this.queue
+      .then(() => {
+        // 前面的请求已失败、传输已关闭：不再发出
+        if (this.readyState !== HttpTransport.OPEN) throw new Error('HttpTransport is closed');
+        return this.fetch(this.sendUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: text
+        });
+      })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      })
+      .catch(error => {
+        this.dispatch('senderror', { data: text, error });
+        this.fail(error);
+      });
+  }
+
+  close() {
+    if (this.readyState === HttpTransport.CLOSED) return;
+    this.readyState = HttpTransport.CLOSED;
+    this.source.close();
+    // 与 WebSocket 一致，close 事件异步到达
+    setTimeout(() => this.dispatch('close', { code: 1000, reason: '', wasClean: true }), 0);
+  }
+
+  /**
+   * @private
+   */
+  fail(error) {
+    if (this.readyState === HttpTransport.CLOSED) return;
+    this.readyState = HttpTransport.CLOSED;
+    this.source.close();
+    this.dispatch('error', { error });
+    this.dispatch('close', { code: 1006, reason: '', wasClean: false });
+  }
+
+  /**
+   * @private
+   */
+  dispatch(type, event) {
+    (this.listeners[type] || []).forEach(handler => {
+      try {
+        handler(event);
+      } catch (e) {
+        console.error('HttpTransport: listener failed', type, e);
+      }
+    });
+  }
+}
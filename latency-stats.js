@@ -0,0 +1,78 @@
+/**
+ * LatencyStats - 往返时延滚动统计
+ * 保留最近 size 个采样，给出最近一次、平均、最小、最大和抖动（相邻两次采样之差的平均值）
+ * WebSocketManager 用两份：network（心跳探测，服务器几乎不做处理）和 message（聊天消息发出到收到回显，
+ * 包含服务器处理和广播）。两者都高说明网络差；只有 message 高说明服务器慢
+ *
+ * @example
+ * const stats = new LatencyStats();
+ * stats.add(120);
+ * stats.add(180);
+ * console.log(stats.getStats().average, LatencyStats.rate(stats.getStats().average));
+ */
+class LatencyStats {
+  static DEFAULT_SIZE = 20;
+  // 低于 good 为「良好」，低于 fair 为「一般」，否则为「差」（毫秒）
+  static QUALITY_THRESHOLDS = { good: 300, fair: 1000 };
+
+  /**
+   * 根据往返时延评定连接质量
+   * @param {number} [rtt] - 毫秒
+   * @returns {string} 'good' | 'fair' | 'poor' | 'unknown'
+   */
+  static rate(rtt) {
+    if (!Number.isFinite(rtt)) return 'unknown';
+    if (rtt < LatencyStats.QUALITY_THRESHOLDS.good) return 'good';
+    if (rtt < LatencyStats.QUALITY_THRESHOLDS.fair) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * @param {number} [size=20] - 保留的采样数
+   */
+  constructor(size = LatencyStats.DEFAULT_SIZE) {
+    this.size = size;
+    this.samples = [];
+    this.updatedAt = null;
+  }
+
+  /**
+   * 加入一次采样
+   * @param {number} rtt - 往返时延（毫秒）
+   */
+  add(rtt) {
+    if (!Number.isFinite(rtt) || rtt < 0) return;
+    this.samples.push(rtt);
+    if (this.samples.length > this.size) this.samples.shift();
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * 清空采样（换了连接，旧的采样不再有参考意义）
+   */
+  reset() {
+    this.samples = [];
+    this.updatedAt = null;
+  }
+
+  /**
+   * @returns {{samples: number, last: number, average: number, min: number, max: number, jitter: number, updatedAt: number}|null}
+   *   没有采样时为 null；时间均为毫秒（取整）
+   */
+  getStats() {
+    const samples = this.samples;
+    if (samples.length === 0) return null;
+    const sum = samples.reduce((total, rtt) => total + rtt, 0);
+    let jitter = 0;
+    for (let i = 1; i < samples.length; i++) jitter += Math.abs(samples[i] - samples[i - 1]);
+    return {
+      samples: samples.length,
+      last: samples[samples.length - 1],
+      average: Math.round(sum / samples.length),
+      min: Math.min(...samples),
+      max: Math.max(...samples),
+      jitter: samples.length > 1 ? Math.round(jitter / (samples.length - 1)) : 0,
+      updatedAt: this.updatedAt
+    };
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * MessageEnvelope - 聊天消息信封
+ * 服务器只转发 { message: string }。新客户端把结构化的信封放在这段文本里：
+ *
+ *   <可读文本><TAG_BEGIN><头部 JSON，用 Unicode 标签字符编码><TAG_END>
+ *
+ * - 可读文本：普通消息为正文；AI 消息为 `[人设]正文`，旧客户端仍按原来的前缀识别
+ * - 头部：{ v: 版本, id, t: 类型（text 时省略）, s: 发送者（仅 AI 消息）, m: 元数据（可选） }
+ *   每个 ASCII 字符映射到 U+E0000 + 码位的标签字符，浏览器不显示，旧客户端看到的仍是可读文本
+ * - 没有头部的消息（旧客户端发出的、或加上头部会超过服务器长度上限的）按旧规则解析：
+ *   识别 `[人设]` 前缀，否则为普通文本，没有 id
+ *
+ * 信封：{ id, type, version, sender, body, metadata }
+ * - type: 'text' 普通消息 / 'ai' AI 人设消息 / 'edit' 编辑 / 'delete' 删除；新类型由更新的客户端定义，不认识的类型按正文显示
+ * - edit / delete 是对已发出消息的操作，metadata.ref 为原消息 ID；edit 的正文为修改后的内容。
+ *   旧客户端看到的可读文本分别为 `✎ 修改后的内容` 和 `（撤回了一条消息）`；没有 ref 的按普通消息解析
+ * - metadata.reply: 回复的消息 ID（text / ai 消息），只放 ID，被回复的内容由接收方按 ID 找出
+ * - sender: 普通消息为服务器告知的用户名；AI 消息为人设名（由转发者声明）
+ *
+ * @example
+ * const envelope = MessageEnvelope.create({ type: 'ai', sender: 'Nako', body: '早上好' });
+ * const text = MessageEnvelope.encode(envelope);   // 作为 { message: text } 发送
+ * MessageEnvelope.decode(text, 'K');               // { id, type: 'ai', version: 1, sender: 'Nako', body: '早上好', metadata: null }
+ */
+class MessageEnvelope {
+  static VERSION = 1;
+  static TYPES = {
+    TEXT: 'text',
+    AI: 'ai',
+    EDIT: 'edit',
+    DELETE: 'delete'
+  };
+  // 编辑、删除在旧客户端中显示的文本
+  static EDIT_PREFIX = '✎ ';
+  static DELETE_TEXT = '（撤回了一条消息）';
+  // 服务器单条消息上限（UTF-16 长度）
+  static MAX_LENGTH = 256;
+  static TAG_BASE = 0xE0000;
+  static TAG_BEGIN = '\u{E0001}';
+  static TAG_END = '\u{E007F}';
+
+  /**
+   * 生成消息 ID
+   * @returns {string}
+   */
+  static createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  /**
+   * 创建信封
+   * @param {Object} fields
+   * @param {string} fields.body - 正文
+   * @param {string} [fields.type='text'] - 消息类型
+   * @param {string} [fields.sender] - 发送者（AI 消息为人设名）
+   * @param {Object} [fields.metadata] - 元数据
+   * @param {string} [fields.id] - 消息 ID，省略时生成
+   * @returns {{id: string, type: string, version: number, sender: string|null, body: string, metadata: Object|null}}
+   */
+  static create({ body, type = MessageEnvelope.TYPES.TEXT, sender = null, metadata = null, id } = {}) {
+    return {
+      id: id || MessageEnvelope.createId(),
+      type,
+      version: MessageEnvelope.VERSION,
+      sender,
+      body,
+      metadata
+    };
+  }
+
+  /**
+   * 编码为消息文本
+   * @param {Object} envelope - 见 create()
+   * @returns {string}
+   */
+  static encode(envelope) {
+    const header = { v: envelope.version || MessageEnvelope.VERSION, id: envelope.id };
+    if (envelope.type !== MessageEnvelope.TYPES.TEXT) header.t = envelope.type;
+    if (envelope.type === MessageEnvelope.TYPES.AI && envelope.sender) header.s = envelope.sender;
+    if (envelope.metadata) header.m = envelope.metadata;
+    return MessageEnvelope.getVisibleText(envelope) + MessageEnvelope.encodeTags(header);
+  }
+
+  /**
+   * 不带头部的可读文本（旧客户端看到的内容，也是头部放不下时的回退）
+   * @param {Object} envelope
+   * @returns {string}
+   */
+  static getVisibleText(envelope) {
+    switch (envelope.type) {
+      case MessageEnvelope.TYPES.AI:
+        return envelope.sender ? `[${envelope.sender}]${envelope.body}` : envelope.body;
+      case MessageEnvelope.TYPES.EDIT:
+        return MessageEnvelope.EDIT_PREFIX + envelope.body;
+      case MessageEnvelope.TYPES.DELETE:
+        return MessageEnvelope.DELETE_TEXT;
+      default:
+        return envelope.body;
+    }
+  }
+
+  /**
+   * 是否是对已发出消息的操作（编辑 / 删除）
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static isOperation(type) {
+    return type === MessageEnvelope.TYPES.EDIT || type === MessageEnvelope.TYPES.DELETE;
+  }
+
+  /**
+   * 解析消息文本
+   * @param {string} text - 服务器消息的 message 字段
+   * @param {string} name - 服务器告知的发送者
+   * @returns {{id: string|null, type: string, version: number, sender: string, body: string, metadata: Object|null}}
+   *   没有头部时 version 为 0
+   */
+  static decode(text, name) {
+    const begin = typeof text === 'string' ? text.lastIndexOf(MessageEnvelope.TAG_BEGIN) : -1;
+    const header = begin !== -1 && text.endsWith(MessageEnvelope.TAG_END)
+      ? MessageEnvelope.decodeTags(text.slice(begin + MessageEnvelope.TAG_BEGIN.length, -MessageEnvelope.TAG_END.length))
+      : null;
+    if (!header || typeof header.v !== 'number') return MessageEnvelope.decodeLegacy(String(text ?? ''), name);
+
+    const visible = text.slice(0, begin);
+    const type = typeof header.t === 'string' ? header.t : MessageEnvelope.TYPES.TEXT;
+    const envelope = {
+      id: typeof header.id === 'string' ? header.id : null,
+      type,
+      version: header.v,
+      sender: name,
+      body: visible,
+      metadata: header.m && typeof header.m === 'object' ? header.m : null
+    };
+    if (type === MessageEnvelope.TYPES.AI) {
+      const prefix = `[${header.s}]`;
+      // 声明的人设必须是已知的，且可读文本与之一致，否则按普通消息显示
+      if (MessageEnvelope.isPersona(header.s) && visible.startsWith(prefix)) {
+        envelope.sender = header.s;
+        envelope.body = visible.slice(prefix.length);
+      } else {
+        envelope.type = MessageEnvelope.TYPES.TEXT;
+      }
+    } else if (MessageEnvelope.isOperation(type)) {
+      if (!envelope.metadata || typeof envelope.metadata.ref !== 'string') {
+        envelope.type = MessageEnvelope.TYPES.TEXT;
+      } else if (type === MessageEnvelope.TYPES.DELETE) {
+        envelope.body = '';
+      } else if (visible.startsWith(MessageEnvelope.EDIT_PREFIX)) {
+        envelope.body = visible.slice(MessageEnvelope.EDIT_PREFIX.length);
+      }
+    }
+    return envelope;
+  }
+
+  /**
+   * 按旧规则解析没有头部的消息：`[人设]` 前缀为 AI 消息
+   * @private
+   */
+  static decodeLegacy(text, name) {
+    const envelope = { id: null, type: MessageEnvelope.TYPES.TEXT, version: 0, sender: name, body: text, metadata: null };
+    const persona = MessageEnvelope.getPersonas().find(display => text.startsWith(`[${display}]`));
+    if (persona) {
+      envelope.type = MessageEnvelope.TYPES.AI;
+      envelope.sender = persona;
+      envelope.body = text.slice(persona.length + 2);
+    }
+    return envelope;
+  }
+
+  /**
+   * 已知的 AI 人设显示名
+   * @private
+   * @returns {string[]}
+   */
+  static getPersonas() {
+    return typeof window !== 'undefined' && window.AIConfig ? window.AIConfig.getAllDisplayNames() : [];
+  }
+
+  /**
+   * @private
+   */
+  static isPersona(name) {
+    return typeof name === 'string' && MessageEnvelope.getPersonas().includes(name);
+  }
+
+  /**
+   * 把头部编码为标签字符（非 ASCII 先转义为 \uXXXX）
+   * @private
+   */
+  static encodeTags(header) {
+    const json = JSON.stringify(header)
+      .replace(/[^\x20-\x7e]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+    let tags = '';
+    for (const c of json) tags += String.fromCodePoint(MessageEnvelope.TAG_BASE + c.charCodeAt(0));
+    return MessageEnvelope.TAG_BEGIN + tags + MessageEnvelope.TAG_END;
+  }
+
+  /**
+   * @private
+   * @returns {Object|null}
+   */
+  static decodeTags(tags) {
+    let json = '';
+    for (const c of tags) {
+      const code = c.codePointAt(0) - MessageEnvelope.TAG_BASE;
+      if (code < 0x20 || code > 0x7e) return null;
+      json += String.fromCharCode(code);
+    }
+    try {
+      const header = JSON.parse(json);
+      return header && typeof header === 'object' ? header : null;
+    } catch (e) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * MessageOutbox - 发件箱
+ * 保存服务器不可用时未能发出的文字消息，按房间持久化到 localStorage（nightcord-outbox:<room>），
+ * 刷新页面后仍在；何时发送、何时判定失败由 NightcordManager 决定
+ * 同一房间可能在多个标签页中打开：每次读写前都从 localStorage 重新读取，修改只作用于对应的条目，
+ * 不会覆盖其他标签页加入或移除的消息；发送前用 get() 确认条目还在，已被其他标签页发出的不再重复发送
+ *
+ * 每条消息：{ id, name, message, payload, createdAt, state }
+ * - id: 消息 ID，与消息信封的 ID 相同，发出后的 message:status 和回显都沿用它
+ * - payload: 实际发给服务器的文本（信封编码后，见 MessageEnvelope）；较早保存的条目没有，直接发送 message
+ * - state: 'pending' 等待重新连上后自动发送 / 'failed' 不再自动发送，等待用户重试或删除
+ *
+ * @example
+ * const outbox = new MessageOutbox();
+ * outbox.setRoom('nightcord-default');
+ * const item = outbox.add('K', 'As always, at 25:00.');
+ * outbox.remove(item.id);
+ */
+class MessageOutbox {
+  // 超过该时间仍未发出的消息不再自动发送（对话已经继续，补发可能让人困惑），改为等待用户决定
+  static MAX_AGE = 10 * 60 * 1000;
+  static MAX_ITEMS = 50;
+
+  constructor() {
+    this.room = null;
+    this.items = [];
+  }
+
+  storageKey(room) { return `nightcord-outbox:${room}`; }
+
+  /**
+   * 切换到某个房间的发件箱
+   * @param {string} room - 房间名
+   */
+  setRoom(room) {
+    this.room = room;
+    this.load();
+  }
+
+  /**
+   * 从 localStorage 读取当前房间的发件箱（其他标签页可能已经修改）
+   * @private
+   */
+  load() {
+    if (!this.room) return;
+    try {
+      const items = JSON.parse(localStorage.getItem(this.storageKey(this.room)) || '[]');
+      this.items = Array.isArray(items) ? items.filter(item => item && item.id && typeof item.message === 'string') : [];
+    } catch (e) {
+      this.items = [];
+    }
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string, message: string, payload: string, createdAt: number, state: string}>} 按加入顺序
+   */
+  getItems() {
+    this.load();
+    return this.items.map(item => ({ ...item }));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    this.load();
+    const item = this.items.find(entry => entry.id === id);
+    return item ? { ...item } : null;
+  }
+
+  /**
+   * 是否有等待自动发送的消息
+   * @returns {boolean}
+   */
+  hasPending() {
+    this.load();
+    return this.items.some(item => item.state === 'pending');
+  }
+
+  /**
+   * 加入一条消息
+   * @param {string} name - 发送者
+   * @param {string} message - 消息内容（显示用）
+   * @param {string} [payload] - 发给服务器的文本，省略时与 message 相同
+   * @param {string} [id] - 消息 ID（信封 ID），省略时生成
+   * @returns {Object} 新加入的条目
+   */
+  add(name, message, payload = message, id) {
+    const item = {
+      id: id || Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+      name,
+      message,
+      payload,
+      createdAt: Date.now(),
+      state: 'pending'
+    };
+    this.load();
+    this.items.push(item);
+    // 超出上限时丢弃最早的
+    if (this.items.length > MessageOutbox.MAX_ITEMS) this.items.shift();
+    this.save();
+    return { ...item };
+  }
+
+  /**
+   * 修改一条消息
+   * @param {string} id
+   * @param {Object} patch - 要修改的字段
+   */
+  update(id, patch) {
+    this.load();
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) return;
+    Object.assign(item, patch);
+    this.save();
+  }
+
+  /**
+   * 移除一条消息（已发出或被用户删除）
+   * @param {string} id
+   */
+  remove(id) {
+    this.load();
+    const length = this.items.length;
+    this.items = this.items.filter(item => item.id !== id);
+    if (this.items.length !== length) this.save();
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    if (!this.room) return;
+    try {
+      if (this.items.length > 0) {
+        localStorage.setItem(this.storageKey(this.room), JSON.stringify(this.items));
+      } else {
+        localStorage.removeItem(this.storageKey(this.room));
+      }
+    } catch (e) {}
+  }
+}
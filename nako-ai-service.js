@@ -138,6 +138,7 @@ class NakoAIService {
       let fullContent = '';
       let fullReasoning = ''; // 思考过程
       let usage = null;
+      let signature = null; // 服务对回复的签名，转发时供其他用户验证（见 PersonaVerifier）
 
       // 检查是否是流式响应
       const contentType = response.headers.get('content-type');
@@ -146,6 +147,7 @@ class NakoAIService {
         const result = await this.processSSEStream(response, messageId);
         fullContent = result.content;
         fullReasoning = result.reasoning;
+        signature = result.signature;
       } else if (contentType && contentType.includes('application/json')) {
         // 非流式 JSON 响应
         const data = await response.json();
@@ -156,6 +158,7 @@ class NakoAIService {
         fullContent = data.response || '';
         fullReasoning = data.reasoningContent || ''; // 提取思考过程
         usage = data.usage;
+        signature = this.getSignature(data);
 
         if (!fullContent.trim()) {
           throw new Error('Nako 返回了空响应');
@@ -183,6 +186,7 @@ class NakoAIService {
         fullContent,
         reasoning: fullReasoning, // 传递思考过程
         usage,
+        signature,
         timestamp: Date.now()
       });
 
@@ -257,13 +261,14 @@ class NakoAIService {
    * @private
    * @param {Response} response - Fetch Response 对象
    * @param {string} messageId - 消息 ID
-   * @returns {Promise<string>} 完整内容
+   * @returns {Promise<{content: string, reasoning: string, signature: Object|null}>} 完整内容、思考过程和签名
    */
   async processSSEStream(response, messageId) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let fullContent = '';
     let fullReasoning = ''; // 收集完整的思考过程
+    let signature = null; // 签名随最后一个事件返回
     let buffer = ''; // 缓冲区，用于处理不完整的数据
 
     while (true) {
@@ -294,6 +299,7 @@ class NakoAIService {
           try {
             // 解析 JSON
             const json = JSON.parse(data);
+            signature = this.getSignature(json) || signature;
 
             // 检查是否有 choices 数组
             if (json.choices && json.choices.length > 0) {
@@ -331,8 +337,19 @@ class NakoAIService {
       }
     }
 
-    // 返回内容和思考过程
-    return { content: fullContent, reasoning: fullReasoning };
+    // 返回内容、思考过程和签名
+    return { content: fullContent, reasoning: fullReasoning, signature };
+  }
+
+  /**
+   * 从响应中取出签名
+   * @private
+   * @param {Object} data - 响应 JSON（或 SSE 事件）
+   * @returns {{value: string, signedAt: number}|null}
+   */
+  getSignature(data) {
+    if (typeof data.signature !== 'string' || !Number.isFinite(data.signedAt)) return null;
+    return { value: data.signature, signedAt: data.signedAt };
   }
 
   /**
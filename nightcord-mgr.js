@@ -21,11 +21,36 @@
  * chatRoom.sendMessage('As always, at 25:00.');
  */
 class NightcordManager {
+  // 经由点对点发送、尚未在服务器历史中出现的消息最多保留多少条用于对账
+  static RELAYED_LIMIT = 200;
+  // 对方可能再也不上线补发，超过该时间的点对点消息不再参与对账，避免吞掉之后相同内容的消息
+  static RELAYED_TTL = 60 * 60 * 1000;
+  // 等待回显以测量时延的消息最多保留多少条
+  static ECHO_LIMIT = 20;
+  // 自己发出的消息的投递状态（message:status）：
+  // pending 在发件箱中等待发送 / sent 已发给服务器或在线成员 / delivered 收到服务器回显 / failed 被服务器拒绝，移入发件箱
+  static MESSAGE_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+  };
+  // 服务器错误的分类，见 handleServerError()
+  static SERVER_ERRORS = [
+    { type: 'rate-limited', pattern: /rate.?limit/i },
+    { type: 'too-long', pattern: /too long/i }
+  ];
+
   /**
    * 创建聊天室管理器实例
    * @param {Object} config - 配置对象
    * @param {string} [config.hostname] - 服务器主机名
    * @param {EventBus} [config.eventBus] - 事件总线实例
+   * @param {number} [config.idleTimeout=0] - 标签页在后台多久后断开连接（毫秒，0 表示不断开）
+   * @param {Function} [config.canIdleDisconnect] - 返回 false 时后台空闲也不断开
+   * @param {Object} [config.rateLimit] - 发送限流（令牌桶）参数，见 RateLimiter
+   * @param {Object} [config.signalRateLimit] - 信令帧的发送限流参数（单独的令牌桶，不受慢速模式限制），默认同 rateLimit
+   * @param {Array<Object>} [config.signingKeys] - Nako 服务的签名公钥（JWK），用于验证 AI 人设消息，见 PersonaVerifier
    */
   constructor(config = {}) {
     this.hostname = config.hostname || "edge-chat-demo.cloudflareworkers.com";
@@ -33,16 +58,61 @@ class NightcordManager {
     this.username = null;
     this.roomname = null;
     this.lastSeenTimestamp = 0;
+    // 本次连接握手时的 lastSeenTimestamp（续传起点）
+    this.resumeSince = 0;
+    // ready 之前服务器回放的聊天消息，收到 ready 后按时间顺序处理
+    this.backlog = [];
+    // ready 之前回放的最早一条（含信令帧）的时间戳，用于判断断线期间的消息是否都已取回
+    this.backlogOldest = null;
     this.wroteWelcomeMessages = false;
+    // 当前连接是否已收到 ready（此前收到的是服务器回放的历史消息）
+    this.roomReady = false;
     this.roster = new Set();
+    // 点对点消息通道（见 setPeerRelay）
+    this.relay = null;
+    // 经由点对点收发、等待与服务器历史对账的消息：{ id, name, message, own, resent, receivedAt }
+    this.relayed = [];
+    // 经由当前连接发出、等待服务器回显的消息：{ id, message, body, sentAt, operation }，用于确认送达和测量消息往返时延
+    // operation 为编辑 / 删除操作（见 editMessage），不参与投递状态
+    this.pendingEchoes = [];
+    // 经由当前连接发出、还没有得到回复的每一帧（聊天消息、编辑 / 删除、信令、签名帧、补发的点对点消息）：{ message, chat }
+    // 服务器按顺序回复，错误对应其中最早的一帧；chat 为 true 的在 pendingEchoes 中有对应的条目
+    this.inFlight = [];
+    // 发件箱：服务器和点对点都不可用时保存未发出的消息
+    this.outbox = typeof MessageOutbox !== 'undefined' ? new MessageOutbox() : null;
+    // 发送限流：连按回车、刷屏先在客户端拦下，不再被服务器丢弃
+    this.limiter = typeof RateLimiter !== 'undefined' ? new RateLimiter(config.rateLimit) : null;
+    // 信令帧单独限流：语音、文件传输协商不占用用户的消息额度，也不受慢速模式限制
+    this.signalLimiter = typeof RateLimiter !== 'undefined' ? new RateLimiter(config.signalRateLimit || config.rateLimit) : null;
+    // 房间声明的慢速模式：两条消息之间的最小间隔（毫秒），0 表示未开启
+    this.slowMode = 0;
+    // AI 人设消息的签名验证：没有有效签名的按普通用户消息显示
+    this.personas = typeof PersonaVerifier !== 'undefined' ? new PersonaVerifier({ keys: config.signingKeys }) : null;
+    // 自己转发的 AI 回复（消息文本），回显时不需要验证
+    this.sentPersonaMessages = [];
+    // 需要异步验证的消息之后的事件排队发出，保证顺序（见 deliver）
+    this.delivery = Promise.resolve();
+    this.deliveryPending = 0;
+    // 多标签页共享连接：同一房间只由一个标签页连接服务器
+    // 共享的会话只有一个用户名：其他标签页改名后本标签页也改用新名字
+    this.tabs = typeof TabHub !== 'undefined' && TabHub.isSupported()
+      ? new TabHub({ onRename: (name) => { if (name !== this.username) this.setUser(name); } })
+      : null;
     
     this.wsManager = new WebSocketManager({
       hostname: this.hostname,
+      tabs: this.tabs,
+      getResumeSince: () => this.lastSeenTimestamp,
+      idleTimeout: config.idleTimeout,
+      canIdleDisconnect: config.canIdleDisconnect,
       onOpen: () => this.handleConnectionOpen(),
       onMessage: (data) => this.handleMessage(data),
       onClose: () => this.handleConnectionClose(),
       onError: (error) => this.handleConnectionError(error),
-      onReconnect: () => this.handleReconnect()
+      onSendError: (data) => this.handleSendFailure(data),
+      onReconnect: () => this.handleReconnect(),
+      onStateChange: (state, info) => this.handleConnectionState(state, info),
+      onLatency: (latency) => this.eventBus.emit('connection:latency', latency)
     });
   }
 
@@ -58,6 +128,9 @@ class NightcordManager {
     // Persist chosen username locally so UI can read it
     try { localStorage.setItem('nightcord-username', username); } catch (e) {}
 
+    // 共享连接时服务器会话属于主标签页：让主标签页用新名字重新连接，其他标签页同步改名
+    if (this.tabs) this.tabs.rename(username);
+
     // Some servers only honor the name when it's the first message after opening
     // the websocket. If that's the case, we must reconnect so the server receives
     // the name as the first frame. Do a controlled disconnect/connect to avoid
@@ -122,31 +195,490 @@ class NightcordManager {
       return false;
     }
 
+    this.roomReady = false;
+    this.lastSeenTimestamp = 0;
+    // 慢速模式由新房间在 ready 中重新声明
+    this.slowMode = 0;
+    if (this.limiter) this.limiter.setMinInterval(0);
     this.eventBus.emit('room:joining', { roomname: this.roomname });
+    if (this.outbox) {
+      this.outbox.setRoom(this.roomname);
+      this.emitOutbox();
+    }
     this.wsManager.connect(this.roomname, this.username);
     return true;
   }
 
+  /**
+   * 设置点对点消息通道：服务器不可用时文字消息改由它发送
+   * 服务器恢复后，自己经由点对点发出的消息会补发到服务器；
+   * 服务器回显或历史中与点对点消息相同的条目不会重复显示
+   * @param {PeerRelay} relay
+   */
+  setPeerRelay(relay) {
+    this.relay = relay;
+    this.eventBus.on('peer:message', (data) => this.handlePeerMessage(data));
+  }
+
   /**
    * 发送消息
+   * 服务器不可用而点对点通道可用时，经由点对点发送；都不可用时放入发件箱，重新连上后按顺序发送
+   * 超出发送频率或慢速模式间隔未到时不发送
+   * 消息以信封（见 MessageEnvelope）编码后发出；信封 ID 即消息 ID，之后的 message:status 和回显的 message:received 都带有它
    * @param {string} message - 消息内容
-   * @returns {boolean} 是否成功发送
+   * @param {Object} [options]
+   * @param {boolean} [options.skipRateLimit=false] - 不受限流（AI 回复等由已发出的消息触发、不是用户直接输入的消息）
+   * @param {string} [options.type='text'] - 消息类型，见 MessageEnvelope.TYPES
+   * @param {string} [options.sender] - 发送者（AI 消息为人设名）
+   * @param {Object} [options.metadata] - 信封元数据
+   * @param {string} [options.replyTo] - 回复的消息 ID（记入元数据的 reply）
+   * @param {{value: string, signedAt: number}} [options.signature] - AI 回复的签名（Nako 服务返回），先于消息发出签名帧
+   * @param {string} [options.id] - 消息 ID，省略时生成（界面已先显示这条消息时由界面提供）
+   * @returns {boolean} 是否已发出或已放入发件箱
    * @fires message:sent
+   * @fires message:status
+   * @fires message:ratelimited
+   * @fires outbox:update
    */
-  sendMessage(message) {
-    if (this.wsManager.send({ message })) {
-      this.eventBus.emit('message:sent', { message });
+  sendMessage(message, options = {}) {
+    if (!options.skipRateLimit && this.isRateLimited(message, true)) return false;
+
+    const envelope = MessageEnvelope.create({
+      body: message,
+      type: options.type,
+      sender: options.sender,
+      metadata: options.replyTo ? { ...options.metadata, reply: options.replyTo } : options.metadata,
+      id: options.id
+    });
+    // 消息放不下头部时不带 ID 发出，回显按文本对应回来（见 takeEcho）
+    const id = envelope.id;
+    const { text, id: wireId } = this.encodeMessage(envelope);
+    const details = { name: envelope.type === MessageEnvelope.TYPES.AI ? envelope.sender : this.username, message, replyTo: options.replyTo };
+    if (options.type === MessageEnvelope.TYPES.AI) {
+      this.sentPersonaMessages.push(text);
+      if (this.sentPersonaMessages.length > NightcordManager.ECHO_LIMIT) this.sentPersonaMessages.shift();
+    }
+
+    // 发件箱中还有等待发送的消息时排在它们之后，保证顺序
+    // 签名帧只随直接发送的消息发出，经由点对点或发件箱发出的 AI 回复在其他用户那里无法验证
+    const queued = this.outbox && this.outbox.hasPending();
+    // 放不下头部的 AI 回复按文本摘要对应签名帧
+    const attestationId = wireId || (options.signature && typeof PersonaVerifier !== 'undefined' ? PersonaVerifier.getContentId(text) : null);
+    if (!queued && this.sendAttestation(attestationId, options.signature) && this.sendFrame(text, true)) {
+      this.trackEcho(id, text, message);
+      this.eventBus.emit('message:sent', { message, id });
+      this.emitStatus(id, NightcordManager.MESSAGE_STATUS.SENT, details);
+      return true;
+    }
+
+    if (!queued && this.relay && this.relay.isAvailable()) {
+      const data = {
+        id: PeerRelay.createMessageId(),
+        name: this.username,
+        message: text,
+        timestamp: Date.now()
+      };
+      if (this.relay.send(data)) {
+        this.eventBus.emit('message:sent', { message, id, relayed: true });
+        // 服务器不在，由本端回显自己的消息
+        this.handlePeerMessage(data, true, id);
+        this.emitStatus(id, NightcordManager.MESSAGE_STATUS.SENT, details);
+        return true;
+      }
+    }
+
+    if (this.outbox) {
+      this.outbox.add(this.username, message, text, id);
+      this.eventBus.emit('message:sent', { message, id, queued: true });
+      this.emitStatus(id, NightcordManager.MESSAGE_STATUS.PENDING, details);
+      this.emitOutbox();
+      this.flushOutbox();
       return true;
     }
     return false;
   }
 
+  /**
+   * 经由当前连接发出一帧，并记入 inFlight
+   * @private
+   * @param {string} message - 消息文本
+   * @param {boolean} [chat=false] - 是否是等待回显的聊天消息或编辑 / 删除操作（随后调用 trackEcho）
+   * @returns {boolean} 是否成功发出
+   */
+  sendFrame(message, chat = false) {
+    if (!this.wsManager.send({ message })) return false;
+    this.inFlight.push({ message, chat });
+    if (this.inFlight.length > NightcordManager.ECHO_LIMIT) this.inFlight.shift();
+    return true;
+  }
+
+  /**
+   * 记下等待服务器回显的消息
+   * @private
+   * @param {string} id - 消息 ID
+   * @param {string} text - 发给服务器的文本
+   * @param {string} body - 消息内容
+   * @param {boolean} [operation=false] - 是否是编辑 / 删除操作
+   */
+  trackEcho(id, text, body, operation = false) {
+    this.pendingEchoes.push({ id, message: text, body, sentAt: Date.now(), operation });
+    if (this.pendingEchoes.length > NightcordManager.ECHO_LIMIT) this.pendingEchoes.shift();
+  }
+
+  /**
+   * @private
+   * @param {string} id - 消息 ID
+   * @param {string} status - 见 MESSAGE_STATUS
+   * @param {Object} [details] - { name（显示的发送者）, message（消息内容）, replyTo（回复的消息 ID）, timestamp（delivered 时为服务器时间戳） }
+   * @fires message:status
+   */
+  emitStatus(id, status, details = {}) {
+    this.eventBus.emit('message:status', { roomname: this.roomname, id, status, ...details });
+  }
+
+  /**
+   * 发出 AI 回复的签名帧（见 PersonaVerifier）
+   * @private
+   * @param {string|null} id - 消息信封 ID，消息没有头部时为文本摘要（见 PersonaVerifier.getContentId）
+   * @param {Object} [signature] - { value, signedAt }
+   * @returns {boolean} 是否可以接着发送消息（没有签名要发时为 true）
+   */
+  sendAttestation(id, signature) {
+    if (!id || !signature || typeof PersonaVerifier === 'undefined') return true;
+    return this.sendFrame(PersonaVerifier.encodeFrame(id, signature));
+  }
+
+  /**
+   * 把信封编码为消息文本；加上头部会超过服务器长度上限时只发可读文本（旧格式，没有 id）
+   * @private
+   * @param {Object} envelope - 见 MessageEnvelope.create()
+   * @returns {{text: string, id: string|null}}
+   */
+  encodeMessage(envelope) {
+    const text = MessageEnvelope.encode(envelope);
+    if (text.length <= MessageEnvelope.MAX_LENGTH) return { text, id: envelope.id };
+    return { text: MessageEnvelope.getVisibleText(envelope), id: null };
+  }
+
+  /**
+   * 获取当前房间的慢速模式间隔
+   * @returns {number} 毫秒，0 表示未开启
+   */
+  getSlowMode() {
+    return this.slowMode;
+  }
+
+  /**
+   * 消耗一次发送额度；额度不足时发出 message:ratelimited
+   * 慢速模式只约束用户的聊天消息（发送和重试），编辑 / 删除操作只消耗令牌
+   * @private
+   * @param {string} message - 要发送的消息
+   * @param {boolean} [slowMode=false] - 是否受慢速模式间隔约束
+   * @returns {boolean} 是否被限流（未发送）
+   * @fires message:ratelimited
+   */
+  isRateLimited(message, slowMode = false) {
+    if (!this.limiter) return false;
+    const reason = this.limiter.getReason({ slowMode });
+    const wait = this.limiter.take({ slowMode });
+    if (wait === 0) return false;
+    this.eventBus.emit('message:ratelimited', {
+      message,
+      reason,
+      retryAfter: wait,
+      until: Date.now() + wait,
+      slowMode: this.slowMode
+    });
+    return true;
+  }
+
+  /**
+   * 设置慢速模式（房间在 ready 或 {slowMode} 中声明，单位为秒）
+   * @private
+   * @param {number} seconds
+   * @fires room:slowmode
+   */
+  setSlowMode(seconds) {
+    const interval = Math.max(0, Number(seconds) || 0) * 1000;
+    if (interval === this.slowMode) return;
+    this.slowMode = interval;
+    if (this.limiter) this.limiter.setMinInterval(interval);
+    this.eventBus.emit('room:slowmode', { roomname: this.roomname, interval });
+  }
+
+  /**
+   * 处理服务器返回的错误
+   * 服务器按顺序处理消息：被拒绝的是还没得到回复的最早一帧（之前的都已回显）。只有这一帧是聊天消息时才归咎于它，
+   * 信令、签名帧等其他数据被拒绝，或者还有 ping 在等待回复（无法确定被拒绝的是哪一帧）时不标记任何消息。
+   * 被限流的消息放入发件箱并标记为发送失败，由用户稍后重试；被拒绝的消息发出 failed 状态
+   * @private
+   * @param {string} error - 服务器的错误信息
+   * @fires message:error
+   * @fires message:status
+   * @fires outbox:update
+   */
+  handleServerError(error) {
+    const match = NightcordManager.SERVER_ERRORS.find(entry => entry.pattern.test(error));
+    const type = match ? match.type : 'unknown';
+    const rejected = type !== 'unknown' ? this.takeRejected() : undefined;
+
+    // 被拒绝的编辑 / 删除操作不放入发件箱，由用户重新操作
+    const operation = !!rejected && rejected.operation;
+
+    if (type === 'rate-limited') {
+      // 按服务器的节奏重新开始，避免接下来的消息继续被拒绝
+      if (this.limiter) this.limiter.drain();
+      if (this.signalLimiter) this.signalLimiter.drain();
+      if (rejected && !operation && this.outbox) {
+        const item = this.outbox.add(this.username, rejected.body, rejected.message, rejected.id);
+        this.outbox.update(item.id, { state: 'failed' });
+        this.emitOutbox();
+      }
+    }
+    if (rejected && !operation) this.emitStatus(rejected.id, NightcordManager.MESSAGE_STATUS.FAILED, { message: rejected.body });
+
+    this.eventBus.emit('message:error', {
+      error,
+      type,
+      message: rejected && !operation ? rejected.body : undefined,
+      operation: operation || undefined,
+      retryAfter: type === 'rate-limited' && this.limiter ? this.limiter.getWait() : undefined
+    });
+  }
+
+  /**
+   * 服务器的错误对应的聊天消息（移出 pendingEchoes），无法确定或不是聊天消息时为 undefined
+   * @private
+   * @returns {{id: string, message: string, body: string, sentAt: number, operation: boolean}|undefined}
+   */
+  takeRejected() {
+    if (this.wsManager.hasPendingPing()) return undefined;
+    const frame = this.inFlight.shift();
+    if (!frame || !frame.chat) return undefined;
+    const index = this.pendingEchoes.findIndex(entry => entry.message === frame.message);
+    return index === -1 ? undefined : this.pendingEchoes.splice(index, 1)[0];
+  }
+
+  /**
+   * 自己发出的一帧收到回显：它之前的帧都已得到回复
+   * @private
+   * @param {string} message
+   */
+  settleFrame(message) {
+    const index = this.inFlight.findIndex(frame => frame.message === message);
+    if (index !== -1) this.inFlight.splice(0, index + 1);
+  }
+
+  /**
+   * 传输报告已发出的消息实际没有送达服务器（HTTP 回退的 POST 失败）：
+   * 聊天消息放回发件箱，重新连上后按顺序补发；编辑 / 删除操作由用户重新操作。信令等其他数据不补发
+   * @private
+   * @param {Object} data - 交给 wsManager.send() 的对象
+   * @fires message:status
+   * @fires message:error
+   * @fires outbox:update
+   */
+  handleSendFailure(data) {
+    if (!data || typeof data.message !== 'string') return;
+    const index = this.pendingEchoes.findIndex(entry => entry.message === data.message);
+    this.inFlight = this.inFlight.filter(frame => frame.message !== data.message);
+    if (index === -1) return;
+    const [entry] = this.pendingEchoes.splice(index, 1);
+
+    if (entry.operation || !this.outbox) {
+      if (!entry.operation) this.emitStatus(entry.id, NightcordManager.MESSAGE_STATUS.FAILED, { message: entry.body });
+      this.eventBus.emit('message:error', {
+        error: 'send failed',
+        type: 'unknown',
+        message: entry.operation ? undefined : entry.body,
+        operation: entry.operation || undefined
+      });
+      return;
+    }
+
+    this.outbox.add(this.username, entry.body, entry.message, entry.id);
+    this.emitStatus(entry.id, NightcordManager.MESSAGE_STATUS.PENDING, { name: this.username, message: entry.body });
+    this.emitOutbox();
+  }
+
+  /**
+   * 获取发件箱中的消息
+   * @returns {Array<{id: string, name: string, message: string, createdAt: number, state: string}>}
+   */
+  getOutbox() {
+    return this.outbox ? this.outbox.getItems() : [];
+  }
+
+  /**
+   * 重试发件箱中的一条消息：重新排队，已连上时立即发送；已停止自动重连时顺便重连
+   * @param {string} id - 发件箱消息 ID
+   * @fires outbox:update
+   */
+  retryMessage(id) {
+    if (!this.outbox || !this.outbox.get(id)) return;
+    if (this.isRateLimited(this.outbox.get(id).message, true)) return;
+    this.outbox.update(id, { state: 'pending', createdAt: Date.now() });
+    this.emitOutbox();
+    this.flushOutbox();
+    if (this.wsManager.getState() === WebSocketManager.STATES.OFFLINE) this.reconnect();
+  }
+
+  /**
+   * 删除发件箱中的一条消息
+   * @param {string} id - 发件箱消息 ID
+   * @fires outbox:update
+   */
+  discardMessage(id) {
+    if (!this.outbox || !this.outbox.get(id)) return;
+    this.outbox.remove(id);
+    this.emitOutbox();
+  }
+
+  /**
+   * 编辑自己发出的消息：发出引用原消息 ID 的编辑操作，收到服务器回显后与其他人同时应用（message:edited）
+   * @param {string} id - 原消息 ID
+   * @param {string} message - 修改后的内容
+   * @returns {boolean} 是否已发出
+   * @fires message:ratelimited
+   * @fires error
+   */
+  editMessage(id, message) {
+    return this.sendOperation(MessageEnvelope.TYPES.EDIT, id, message);
+  }
+
+  /**
+   * 删除自己发出的消息：发出引用原消息 ID 的删除操作，收到服务器回显后应用（message:deleted）
+   * @param {string} id - 原消息 ID
+   * @returns {boolean} 是否已发出
+   * @fires message:ratelimited
+   * @fires error
+   */
+  deleteMessage(id) {
+    return this.sendOperation(MessageEnvelope.TYPES.DELETE, id, '');
+  }
+
+  /**
+   * 发出编辑 / 删除操作
+   * 操作必须带头部才能对应到原消息，且只经由服务器发出：点对点和发件箱中的操作无法与服务器历史保持一致
+   * @private
+   * @param {string} type - MessageEnvelope.TYPES.EDIT / DELETE
+   * @param {string} ref - 原消息 ID
+   * @param {string} body - 修改后的内容（删除时为空）
+   * @returns {boolean} 是否已发出
+   * @fires message:ratelimited
+   * @fires error
+   */
+  sendOperation(type, ref, body) {
+    if (!ref) return false;
+    const envelope = MessageEnvelope.create({ type, body, metadata: { ref } });
+    const text = MessageEnvelope.encode(envelope);
+    if (text.length > MessageEnvelope.MAX_LENGTH) {
+      this.eventBus.emit('error', { message: '修改后的消息过长，未能发出' });
+      return false;
+    }
+    if (!this.wsManager.isConnected()) {
+      this.eventBus.emit('error', { message: '未连接到服务器，暂时无法编辑或删除消息' });
+      return false;
+    }
+    if (this.isRateLimited(body) || !this.sendFrame(text, true)) return false;
+    this.trackEcho(envelope.id, text, body, true);
+    return true;
+  }
+
+  /**
+   * 发送信令帧（见 RoomSignaling），不触发 message:sent
+   * 信令帧有自己的限流令牌桶（signalLimiter），不消耗用户的消息额度、不受慢速模式限制：
+   * 额度不足时不发送，由调用方按 getSendWait() 稍后重试
+   * @param {string} frame - 已编码的信令帧
+   * @returns {boolean} 是否成功发送
+   */
+  sendSignal(frame) {
+    if (this.signalLimiter && this.signalLimiter.getWait() > 0) return false;
+    if (!this.sendFrame(frame)) return false;
+    if (this.signalLimiter) this.signalLimiter.take();
+    return true;
+  }
+
+  /**
+   * 距离下一次可以发送信令帧还需等待多久
+   * @returns {number} 毫秒，0 表示现在可以发送
+   */
+  getSendWait() {
+    return this.signalLimiter ? this.signalLimiter.getWait() : 0;
+  }
+
+  /**
+   * 立即重连服务器（连接断开、等待重连或已停止自动重连时使用）
+   */
+  reconnect() {
+    if (!this.roomname) return;
+    this.wsManager.reconnect();
+  }
+
+  /**
+   * 是否借用其他标签页的连接（本标签页不是主标签页，见 tab-hub.js）
+   * @returns {boolean}
+   */
+  isSharedConnection() {
+    return this.wsManager.getConnectionInfo().shared;
+  }
+
+  /**
+   * 获取连接信息，包括时延统计（latency，见 WebSocketManager.getLatency()）
+   * @returns {Object} 见 WebSocketManager.getConnectionInfo()
+   */
+  getConnectionInfo() {
+    return this.wsManager.getConnectionInfo();
+  }
+
+  /**
+   * 获取连接状态
+   * @returns {string} 见 WebSocketManager.STATES
+   */
+  getConnectionState() {
+    return this.wsManager.getState();
+  }
+
+  /**
+   * 处理连接状态变化
+   * @private
+   * @param {string} state - 见 WebSocketManager.STATES
+   * @param {Object} info - 见 WebSocketManager.getConnectionInfo()，另有 previous 和（backing-off 时）delay
+   * @fires connection:state
+   */
+  handleConnectionState(state, info) {
+    // 已停止自动重连：等待中的消息改为发送失败，由用户决定重试或删除
+    if (state === WebSocketManager.STATES.OFFLINE && this.outbox && this.outbox.hasPending()) {
+      this.outbox.getItems()
+        .filter(item => item.state === 'pending')
+        .forEach(item => this.outbox.update(item.id, { state: 'failed' }));
+      this.emitOutbox();
+    }
+    this.eventBus.emit('connection:state', {
+      state,
+      previous: info.previous,
+      attempt: info.attempt,
+      maxAttempts: info.maxAttempts,
+      delay: info.delay,
+      nextRetryAt: info.nextRetryAt,
+      reason: info.pauseReason
+    });
+  }
+
   /**
    * 处理连接打开事件
    * @private
    * @fires connection:open
    */
   handleConnectionOpen() {
+    // 新连接会重新回放历史，ready 之前的消息先缓存
+    this.roomReady = false;
+    this.resumeSince = this.lastSeenTimestamp;
+    this.backlog = [];
+    this.backlogOldest = null;
+    // 之前的连接上发出的消息不会在新连接上实时回显
+    this.pendingEchoes = [];
+    this.inFlight = [];
     this.eventBus.emit('connection:open', { roomname: this.roomname });
   }
 
@@ -175,6 +707,7 @@ class NightcordManager {
    * @fires roster:clear
    */
   handleReconnect() {
+    this.roomReady = false;
     this.roster.clear();
     this.eventBus.emit('roster:clear');
   }
@@ -187,11 +720,18 @@ class NightcordManager {
    * @fires user:joined
    * @fires user:quit
    * @fires room:ready
+   * @fires room:slowmode
+   * @fires signal:ready
+   * @fires signal:frame
    * @fires message:received
+   * @fires history:gap
    */
   handleMessage(data) {
+    if (this.roomReady && data.timestamp && data.name === this.username && typeof data.message === 'string') {
+      this.settleFrame(data.message);
+    }
     if (data.error) {
-      this.eventBus.emit('message:error', { error: data.error });
+      this.handleServerError(data.error);
     } else if (data.joined) {
       this.roster.add(data.joined);
       this.eventBus.emit('user:joined', { username: data.joined });
@@ -199,43 +739,325 @@ class NightcordManager {
       this.roster.delete(data.quit);
       this.eventBus.emit('user:quit', { username: data.quit });
     } else if (data.ready) {
-      if (!this.wroteWelcomeMessages) {
+      this.roomReady = true;
+      this.setSlowMode(data.slowMode);
+      // 首次进入房间时回放的历史随 room:ready 一起交给 UI 与本地记录合并，重连时逐条发出
+      const initial = !this.wroteWelcomeMessages;
+      const messages = this.flushBacklog(data, initial);
+      this.resendRelayedMessages();
+      this.eventBus.emit('signal:ready', { roomname: this.roomname });
+      if (initial) {
         this.wroteWelcomeMessages = true;
-        this.eventBus.emit('room:ready', { 
-          roomname: this.roomname,
-          isPrivate: this.roomname.length === 64
+        const roomname = this.roomname;
+        const pending = messages.some(m => m instanceof Promise);
+        this.deliver(pending ? Promise.all(messages) : messages, (checked) => {
+          this.eventBus.emit('room:ready', {
+            roomname,
+            isPrivate: roomname.length === 64,
+            messages: checked
+              .filter(m => !MessageEnvelope.isOperation(m.type))
+              .map(m => ({ user: m.name, text: m.message, timestamp: m.timestamp, id: m.id, type: m.type, unverified: m.unverified, replyTo: m.replyTo }))
+          });
+          // 历史中的编辑 / 删除在消息列表建立后按顺序应用
+          checked.filter(m => MessageEnvelope.isOperation(m.type)).forEach(m => this.emitParsedMessage(m));
         });
       }
-    } else if (data.timestamp > this.lastSeenTimestamp) {
-      this.lastSeenTimestamp = data.timestamp;
-
-      // 检测是否是 Nako AI 消息
-      let message = data.message;
-      let isNakoMessage = false;
-      let senderName = data.name;
-
-      // 检测 AI 人设标记（如 [Nako], [Asagi] 等）
-      // 使用统一配置获取 AI 人设列表
-      const aiPersonas = window.AIConfig.getAllDisplayNames();
-      let aiPersona = null;
-
-      for (const persona of aiPersonas) {
-        if (message.startsWith(`[${persona}]`)) {
-          isNakoMessage = true;
-          aiPersona = persona;
-          message = message.slice(persona.length + 2); // 去掉 [Persona] 前缀
-          senderName = persona; // AI 消息的发送者应该是 AI 本身，而不是转发者
-          break;
-        }
-      }
+      this.flushOutbox();
+    } else if (data.slowMode !== undefined) {
+      this.setSlowMode(data.slowMode);
+    } else if (typeof PersonaVerifier !== 'undefined' && PersonaVerifier.isFrame(data.message)) {
+      // AI 回复的签名帧（包括回放的历史中的），等对应的消息到达时验证
+      if (this.personas) this.personas.remember(data.name, data.message);
+    } else if (!this.roomReady && data.timestamp) {
+      // ready 之前是服务器回放的历史
+      this.backlogOldest = Math.min(this.backlogOldest ?? data.timestamp, data.timestamp);
+      // 信令帧已经过期，直接丢弃
+      if (typeof RoomSignaling !== 'undefined' && RoomSignaling.isFrame(data.message)) return;
+      this.backlog.push(data);
+    } else if (typeof RoomSignaling !== 'undefined' && RoomSignaling.isFrame(data.message)) {
+      // 信令帧不进入聊天记录
+      this.eventBus.emit('signal:frame', {
+        name: data.name,
+        frame: data.message,
+        timestamp: data.timestamp
+      });
+    } else {
+      this.handleChatMessage(data);
+    }
+  }
+
+  /**
+   * 处理一条服务器消息（已看过的跳过）
+   * @private
+   * @param {Object} data - { name, message, timestamp }
+   * @param {Array} [collected] - 提供时把解析后的消息放入其中，而不是发出 message:received
+   * @fires message:received
+   */
+  handleChatMessage(data, collected) {
+    if (!(data.timestamp > this.lastSeenTimestamp)) return;
+    this.lastSeenTimestamp = data.timestamp;
+    const echo = this.roomReady && data.name === this.username ? this.takeEcho(data.message) : null;
+    if (echo && !echo.operation) this.emitStatus(echo.id, NightcordManager.MESSAGE_STATUS.DELIVERED, { message: echo.body, timestamp: data.timestamp });
+    // 已经经由点对点显示过的消息（补发到服务器后的回显）
+    if (this.reconcileRelayed(data.name, data.message)) return;
+    // 不带头部发出的消息，回显中没有 ID，用发送时的 ID
+    const extra = echo ? { id: echo.id } : {};
+    if (collected) {
+      collected.push(this.checkPersona(this.parseChatMessage(data, extra), data.message));
+    } else {
+      this.emitChatMessage(data, extra);
+    }
+  }
 
-      this.eventBus.emit('message:received', {
-        name: senderName,
-        message: message,
-        timestamp: data.timestamp,
-        isNako: isNakoMessage
+  /**
+   * 收到 ready 后按时间顺序处理回放的历史；断线重连时，回放没能覆盖断线期间的消息则先发出 history:gap
+   * - 服务器支持续传（ready 带 resumed: true）时，以 ready 的 truncated 为准
+   * - 否则服务器只回放最近若干条：最早一条仍晚于续传起点，说明中间可能有消息没能取回
+   * @private
+   * @param {Object} ready - 服务器的 ready 消息
+   * @param {boolean} [collect=false] - 是否收集后返回，而不是逐条发出 message:received
+   * @returns {Array<Object|Promise<Object>>} collect 时为按时间排序的消息（同 message:received 的数据，
+   *   需要验证签名的 AI 消息为 Promise，见 checkPersona()），否则为空数组
+   * @fires history:gap
+   * @fires message:received
+   */
+  flushBacklog(ready, collect = false) {
+    const backlog = this.backlog.sort((a, b) => a.timestamp - b.timestamp);
+    this.backlog = [];
+
+    const since = this.resumeSince;
+    const gap = since > 0 && (ready.resumed
+      ? !!ready.truncated
+      : this.backlogOldest !== null && this.backlogOldest > since);
+    if (gap) {
+      this.eventBus.emit('history:gap', {
+        roomname: this.roomname,
+        since,
+        until: this.backlogOldest ?? Date.now()
       });
     }
+
+    const collected = collect ? [] : undefined;
+    backlog.forEach(data => this.handleChatMessage(data, collected));
+    return collected || [];
+  }
+
+  /**
+   * 自己发出的消息收到回显：记入消息往返时延（之前还没回显的视为丢失，不再等待）
+   * @private
+   * @param {string} message
+   * @returns {{id: string, message: string, body: string, sentAt: number}|null} 对应的已发送消息
+   */
+  takeEcho(message) {
+    const index = this.pendingEchoes.findIndex(entry => entry.message === message);
+    if (index === -1) return null;
+    const [entry] = this.pendingEchoes.splice(0, index + 1).slice(-1);
+    this.wsManager.recordLatency('message', Date.now() - entry.sentAt);
+    return entry;
+  }
+
+  /**
+   * 处理经由点对点收到的消息
+   * 不更新 lastSeenTimestamp：对方的时钟与服务器不一致，不能影响服务器历史的去重
+   * 编辑 / 删除操作丢弃：点对点的发出者没有经过服务器确认，不能用来核对是否是原作者（自己的操作也只经由服务器发出）
+   * @private
+   * @param {Object} data - { id, name, message, timestamp }
+   * @param {boolean} [own=false] - 是否是自己发出的
+   * @param {string} [messageId] - 自己发出的消息的 ID（消息不带头部时用于回显）
+   * @fires message:received
+   */
+  handlePeerMessage(data, own = false, messageId) {
+    if (MessageEnvelope.isOperation(MessageEnvelope.decode(data.message, data.name).type)) return;
+    this.relayed.push({ id: data.id, name: data.name, message: data.message, own, resent: false, receivedAt: Date.now() });
+    if (this.relayed.length > NightcordManager.RELAYED_LIMIT) this.relayed.shift();
+    this.emitChatMessage(data, messageId ? { relayed: true, id: messageId } : { relayed: true });
+  }
+
+  /**
+   * 服务器恢复后，把自己经由点对点发出的消息补发到服务器，使服务器历史完整
+   * @private
+   * @fires relay:reconciled
+   */
+  resendRelayedMessages() {
+    const pending = this.relayed.filter(entry => entry.own && !entry.resent);
+    if (pending.length === 0) return;
+    pending.forEach(entry => {
+      if (this.sendFrame(entry.message)) entry.resent = true;
+    });
+    this.eventBus.emit('relay:reconciled', { count: pending.filter(entry => entry.resent).length });
+  }
+
+  /**
+   * 按顺序发送发件箱中等待的消息（需已收到 ready）
+   * 等待过久的消息不再自动发送，改为发送失败
+   * @private
+   * @fires message:status
+   * @fires outbox:update
+   */
+  flushOutbox() {
+    if (!this.outbox || !this.roomReady || !this.outbox.hasPending()) return;
+    const now = Date.now();
+    for (const item of this.outbox.getItems()) {
+      if (item.state !== 'pending') continue;
+      // 同一房间的其他标签页可能已经发出（或用户已删除）
+      if (!this.outbox.get(item.id)) continue;
+      if (now - item.createdAt > MessageOutbox.MAX_AGE) {
+        this.outbox.update(item.id, { state: 'failed' });
+        continue;
+      }
+      const text = item.payload || item.message;
+      if (!this.sendFrame(text, true)) break;
+      this.outbox.remove(item.id);
+      this.trackEcho(item.id, text, item.message);
+      const { replyTo } = this.parseChatMessage({ name: item.name, message: text });
+      this.emitStatus(item.id, NightcordManager.MESSAGE_STATUS.SENT, { name: item.name, message: item.message, replyTo });
+    }
+    this.emitOutbox();
+  }
+
+  /**
+   * @private
+   * @fires outbox:update
+   */
+  emitOutbox() {
+    this.eventBus.emit('outbox:update', { roomname: this.roomname, items: this.outbox.getItems() });
+  }
+
+  /**
+   * 服务器消息是否与某条点对点消息相同（是则移出待对账列表）
+   * @private
+   * @returns {boolean}
+   */
+  reconcileRelayed(name, message) {
+    const now = Date.now();
+    this.relayed = this.relayed.filter(entry => now - entry.receivedAt < NightcordManager.RELAYED_TTL);
+    const index = this.relayed.findIndex(entry => entry.name === name && entry.message === message);
+    if (index === -1) return false;
+    this.relayed.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * 解析消息信封、验证 AI 人设后发出聊天消息事件
+   * @private
+   * @param {Object} data - { name, message, timestamp }
+   * @param {Object} [extra] - 附加到事件数据上的字段
+   * @fires message:received
+   * @fires message:edited
+   * @fires message:deleted
+   */
+  emitChatMessage(data, extra = {}) {
+    const message = this.checkPersona(this.parseChatMessage(data, extra), data.message);
+    this.deliver(message, (checked) => this.emitParsedMessage(checked));
+  }
+
+  /**
+   * 发出一条已解析的消息：编辑 / 删除操作发出 message:edited / message:deleted，其余发出 message:received
+   * 操作只说明「谁要改哪条消息」，是否是原作者由接收方按 from 核对；操作只经由服务器收到（见 handlePeerMessage），
+   * from 为服务器告知的发出者
+   * @private
+   * @param {Object} message - parseChatMessage() 的结果
+   * @fires message:received
+   * @fires message:edited
+   * @fires message:deleted
+   */
+  emitParsedMessage(message) {
+    if (!MessageEnvelope.isOperation(message.type)) {
+      this.eventBus.emit('message:received', message);
+      return;
+    }
+    const data = {
+      roomname: this.roomname,
+      id: message.metadata.ref,
+      from: message.from,
+      timestamp: message.timestamp,
+      operationId: message.id
+    };
+    if (message.type === MessageEnvelope.TYPES.EDIT) {
+      this.eventBus.emit('message:edited', { ...data, message: message.message });
+    } else {
+      this.eventBus.emit('message:deleted', data);
+    }
+  }
+
+  /**
+   * 按到达顺序发出事件：前面还有等待验证的消息、或 value 本身需要等待时排队，否则立即发出
+   * @private
+   * @param {*|Promise<*>} value - 事件数据
+   * @param {Function} emit - 收到数据后发出事件
+   */
+  deliver(value, emit) {
+    if (this.deliveryPending === 0 && !(value instanceof Promise)) {
+      emit(value);
+      return;
+    }
+    this.deliveryPending++;
+    this.delivery = this.delivery
+      .then(() => value)
+      .then(emit)
+      .catch(error => console.error('发出消息事件失败:', error))
+      .finally(() => { this.deliveryPending--; });
+  }
+
+  /**
+   * AI 人设消息需要有效的签名（见 PersonaVerifier），否则按发出者的普通消息显示
+   * 自己转发的回复直接采信；没有配置公钥时无从验证，同样按普通消息显示；没有签名帧的不必等待验证
+   * 没有头部（消息 ID）的回复按文本摘要找签名帧
+   * @private
+   * @param {Object} message - parseChatMessage() 的结果
+   * @param {string} text - 服务器消息的 message 字段
+   * @returns {Object|Promise<Object>}
+   */
+  checkPersona(message, text) {
+    if (message.type !== MessageEnvelope.TYPES.AI) return message;
+    if (message.from === this.username && this.sentPersonaMessages.includes(text)) return message;
+    if (!this.personas || !this.personas.isEnabled()) return this.downgradePersona(message);
+    const id = message.id || PersonaVerifier.getContentId(text);
+    if (!this.personas.hasAttestation(id, message.from)) return this.downgradePersona(message);
+    return this.personas.verify({ ...message, id }).then(valid => valid ? message : this.downgradePersona(message));
+  }
+
+  /**
+   * 未通过验证的 AI 人设消息：显示为发出者的普通消息（保留 `[人设]` 前缀），并标记 unverified
+   * @private
+   * @param {Object} message - parseChatMessage() 的结果
+   * @returns {Object}
+   */
+  downgradePersona(message) {
+    return {
+      ...message,
+      name: message.from,
+      message: MessageEnvelope.getVisibleText({ type: message.type, sender: message.name, body: message.message }),
+      isNako: false,
+      type: MessageEnvelope.TYPES.TEXT,
+      unverified: true,
+      claimedSender: message.name
+    };
+  }
+
+  /**
+   * 解析消息信封，整理为 message:received 的数据
+   * @private
+   * @param {Object} data - { name, message, timestamp }
+   * @param {Object} [extra] - 附加字段
+   * @returns {{name: string, message: string, timestamp: number, isNako: boolean, id: string|null, type: string, metadata: Object|null, from: string, replyTo: string|null}}
+   *   name 为信封的发送者（AI 消息为人设名），from 为实际发出这条消息的用户，replyTo 为回复的消息 ID（元数据的 reply）
+   */
+  parseChatMessage(data, extra = {}) {
+    const envelope = MessageEnvelope.decode(data.message, data.name);
+    const reply = envelope.metadata ? envelope.metadata.reply : null;
+    return {
+      name: envelope.sender,
+      message: envelope.body,
+      timestamp: data.timestamp,
+      isNako: envelope.type === MessageEnvelope.TYPES.AI,
+      id: envelope.id,
+      type: envelope.type,
+      metadata: envelope.metadata,
+      from: data.name,
+      replyTo: typeof reply === 'string' ? reply : null,
+      ...extra
+    };
   }
 
   /**
@@ -244,7 +1066,10 @@ class NightcordManager {
    */
   leave() {
     this.wsManager.disconnect();
+    // 让其他标签页接替连接
+    if (this.tabs) this.tabs.release();
     this.roster.clear();
+    this.roomReady = false;
     this.wroteWelcomeMessages = false;
     this.eventBus.emit('room:left', { roomname: this.roomname });
   }
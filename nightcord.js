@@ -3,14 +3,80 @@ class Nightcord {
    * 创建 Nightcord 实例
    * @param {Object} config - 配置对象
    * @param {string} [config.hostname] - 服务器主机名
+   * @param {string} [config.nakoApiUrl] - Nako AI 接口地址
+   * @param {RTCIceServer[]} [config.iceServers] - 语音和文件传输使用的 STUN/TURN 服务器
+   * @param {string|Function} [config.topology='mesh'] - 语音媒体拓扑：'mesh'、'sfu' 或自定义拓扑工厂
+   * @param {Object} [config.sfu] - SFU 连接器（topology 为 'sfu' 时使用，见 rtc-topology.js）
+   * @param {number} [config.idleTimeout=0] - 标签页在后台多久后断开房间连接（毫秒，0 表示不断开；语音中不断开）
+   * @param {Array<Object>} [config.signingKeys] - Nako 服务的签名公钥（JWK），用于验证其他用户转发的 AI 回复；默认为 AIConfig.SIGNING_KEYS
    */
   constructor(config = {}) {
     this.eventBus = new EventBus();
     this.chatRoom = new NightcordManager({
       hostname: config.hostname,
-      eventBus: this.eventBus
+      eventBus: this.eventBus,
+      idleTimeout: config.idleTimeout,
+      // 语音信令经由房间连接，通话中断开会挂断
+      canIdleDisconnect: () => !(this.voice && this.voice.isActive()),
+      // 验证其他用户转发的 AI 回复
+      signingKeys: config.signingKeys || (typeof AIConfig !== 'undefined' ? AIConfig.SIGNING_KEYS : [])
     });
     this.ui = new UIManager(this.eventBus);
+    this.eventBus.on('connection:retry', () => this.chatRoom.reconnect());
+    this.eventBus.on('outbox:retry', (data) => this.chatRoom.retryMessage(data.id));
+    this.eventBus.on('outbox:discard', (data) => this.chatRoom.discardMessage(data.id));
+    this.eventBus.on('message:edit', (data) => this.chatRoom.editMessage(data.id, data.message));
+    this.eventBus.on('message:delete', (data) => this.chatRoom.deleteMessage(data.id));
+
+    // 语音频道：信令经由房间 WebSocket 传递
+    this.signaling = new RoomSignaling({
+      chatRoom: this.chatRoom,
+      eventBus: this.eventBus
+    });
+    // 点对点文字通道：服务器断开时消息经由语音连接的数据通道收发（语音设置中开启，默认关闭）
+    this.relay = new PeerRelay({ eventBus: this.eventBus });
+    this.chatRoom.setPeerRelay(this.relay);
+
+    this.voice = new VoiceManager({
+      eventBus: this.eventBus,
+      signaling: this.signaling,
+      iceServers: config.iceServers,
+      topology: config.topology,
+      sfu: config.sfu,
+      peerRelay: this.relay
+    });
+    this.eventBus.on('voice:toggle', (data) => {
+      if (data && data.join) {
+        this.voice.join();
+      } else {
+        this.voice.leave();
+      }
+    });
+    this.eventBus.on('voice:mute', (data) => this.voice.setMuted(data.muted));
+    this.eventBus.on('voice:deafen', (data) => this.voice.setDeafened(data.deafened));
+    this.eventBus.on('voice:settings:update', (data) => this.voice.setInputSettings(data));
+    this.eventBus.on('voice:ptt', (data) => this.voice.setPushToTalk(data.pressed));
+    this.eventBus.on('voice:camera', (data) => this.voice.setCamera(data.enabled));
+    this.eventBus.on('voice:screen', (data) => this.voice.setScreenShare(data.enabled));
+    this.eventBus.on('voice:record', (data) => {
+      if (data.enabled) {
+        this.voice.startRecording();
+      } else {
+        this.voice.stopRecording();
+      }
+    });
+    this.eventBus.on('voice:volume', (data) => this.voice.setUserVolume(data.username, data.volume));
+
+    // 点对点文件传输：同样经由房间信令建立数据通道（不经过 SFU）
+    this.fileTransfer = new FileTransferManager({
+      eventBus: this.eventBus,
+      signaling: this.signaling,
+      iceServers: config.iceServers
+    });
+    this.eventBus.on('file:send', (data) => this.fileTransfer.offerFile(data.file));
+    this.eventBus.on('file:accept', (data) => this.fileTransfer.accept(data.id));
+    this.eventBus.on('file:decline', (data) => this.fileTransfer.decline(data.id));
+    this.eventBus.on('file:cancel', (data) => this.fileTransfer.cancel(data.id));
 
     // 初始化 SEKAI Pass OAuth 客户端（需要在 Nako 之前初始化）
     const isLocalDev = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
@@ -82,8 +148,13 @@ class Nightcord {
       join: new Audio(`se_cord.${ext}`),
       quit: new Audio(`se_dcord.${ext}`)
     };
-    this.eventBus.on('user:joined', () => this.sounds.join.cloneNode().play().catch(() => {}));
-    this.eventBus.on('user:quit', () => this.sounds.quit.cloneNode().play().catch(() => {}));
+    // 多个标签页共享连接时只由主标签页播放
+    this.eventBus.on('user:joined', () => {
+      if (!this.chatRoom.isSharedConnection()) this.sounds.join.cloneNode().play().catch(() => {});
+    });
+    this.eventBus.on('user:quit', () => {
+      if (!this.chatRoom.isSharedConnection()) this.sounds.quit.cloneNode().play().catch(() => {});
+    });
 
     // Application state
     this.state = {
@@ -183,8 +254,8 @@ class Nightcord {
     const success = this.chatRoom.joinRoom(roomname);
     if (success) {
       this.ui.setCurrentRoom(this.chatRoom.roomname);
-      this.ui.setupChatRoom((message) => {
-        this.chatRoom.sendMessage(message);
+      this.ui.setupChatRoom((message, options) => {
+        return this.chatRoom.sendMessage(message, options);
       }, (username) => {
         this.chatRoom.setUser(username);
       });
@@ -240,6 +311,30 @@ class Nightcord {
     return this.ui;
   }
 
+  /**
+   * 获取语音管理器实例（用于外部扩展）
+   * @returns {VoiceManager} 语音管理器
+   */
+  getVoiceManager() {
+    return this.voice;
+  }
+
+  /**
+   * 获取文件传输管理器实例（用于外部扩展）
+   * @returns {FileTransferManager} 文件传输管理器
+   */
+  getFileTransferManager() {
+    return this.fileTransfer;
+  }
+
+  /**
+   * 获取点对点文字通道实例（用于外部扩展）
+   * @returns {PeerRelay} 点对点文字通道
+   */
+  getPeerRelay() {
+    return this.relay;
+  }
+
   /**
    * 获取最近的对话历史
    * @param {number} limit - 最多返回多少条
@@ -257,7 +352,7 @@ class Nightcord {
       .map(msg => ({
         userId: msg.user,
         message: msg.text,
-        isBot: window.AIConfig.getAllDisplayNames().includes(msg.user)
+        isBot: msg.type === 'ai'
       }));
 
     return recentMessages;
@@ -306,6 +401,8 @@ class Nightcord {
     }
 
     this.nakoService.cancelAll();
+    this.voice.leave();
+    this.fileTransfer.getTransfers().forEach(transfer => this.fileTransfer.cancel(transfer.id));
     this.chatRoom.leave();
     this.eventBus.clear();
   }
@@ -0,0 +1,161 @@
+/**
+ * PeerRelay - 点对点文字消息通道
+ * 不单独建立连接，只使用语音（mesh 拓扑）已有连接上预先协商的数据通道（见 VoiceManager 的 chatRelay 设置，默认关闭），
+ * 因此不会向语音之外的成员暴露 IP，也不额外占用房间信令；
+ * 平时通道上没有任何消息，房间 WebSocket 断开后，文字消息才改为通过这些通道直接发给同在语音中的成员
+ *
+ * - 语音 mesh 中成员两两直连，消息只发给直连的成员、不转发，因此发送者总是通道对端本人：
+ *   显示的用户名取自建立语音连接时服务器告知的信令发送者，不采信消息中自称的 name
+ * - 每条消息带随机 ID，按 ID 去重
+ * - 与服务器历史的对账由 NightcordManager 负责（见 NightcordManager.setPeerRelay）
+ *
+ * @example
+ * const relay = new PeerRelay({ eventBus });
+ * const voice = new VoiceManager({ eventBus, signaling, peerRelay: relay });
+ * eventBus.on('peer:message', (data) => console.log(data.name, data.message));
+ * relay.send({ id: PeerRelay.createMessageId(), name: 'K', message: '25時、ナイトコードで。', timestamp: Date.now() });
+ */
+class PeerRelay {
+  static CHANNEL_LABEL = 'nightcord-chat';
+  static SEEN_LIMIT = 1000;
+
+  /**
+   * 生成消息 ID
+   * @returns {string}
+   */
+  static createMessageId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+  }
+
+  /**
+   * @param {Object} config - 配置对象
+   * @param {EventBus} [config.eventBus] - 事件总线实例
+   */
+  constructor(config = {}) {
+    this.eventBus = config.eventBus || new EventBus();
+
+    // sid -> { sid, username, channel }
+    this.peers = new Map();
+    // 已处理过的消息 ID（按插入顺序淘汰）
+    this.seen = new Set();
+  }
+
+  /**
+   * 使用一条语音连接上的数据通道（由 VoiceManager 在建立连接时调用）
+   * @param {Object} remote - { sid, username }，username 为服务器告知的信令发送者
+   * @param {RTCDataChannel} channel - 预先协商的数据通道
+   */
+  addPeer(remote, channel) {
+    this.peers.set(remote.sid, { sid: remote.sid, username: remote.username, channel });
+    channel.onopen = () => this.emitStatus();
+    channel.onclose = () => this.emitStatus();
+    channel.onmessage = (event) => this.handleChannelMessage(remote.sid, event.data);
+  }
+
+  /**
+   * 语音连接关闭
+   * @param {string} sid - 会话 ID
+   */
+  removePeer(sid) {
+    if (this.peers.delete(sid)) this.emitStatus();
+  }
+
+  /**
+   * 是否有可用的数据通道
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.getOpenPeers().length > 0;
+  }
+
+  /**
+   * 获取当前连接的成员
+   * @returns {Array<{sid: string, username: string, open: boolean}>}
+   */
+  getPeers() {
+    return Array.from(this.peers.values()).map(peer => ({
+      sid: peer.sid,
+      username: peer.username,
+      open: !!peer.channel && peer.channel.readyState === 'open'
+    }));
+  }
+
+  /**
+   * 经由数据通道发送一条消息
+   * @param {{id: string, name: string, message: string, timestamp: number}} message
+   * @returns {boolean} 是否至少发给了一个成员
+   */
+  send(message) {
+    if (!message || !message.id) return false;
+    this.markSeen(message.id);
+    return this.broadcast({ type: 'message', ...message }) > 0;
+  }
+
+  /**
+   * @private
+   * @fires peer:message
+   */
+  handleChannelMessage(sid, raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    if (!data || data.type !== 'message' || !data.id || typeof data.message !== 'string') return;
+    const peer = this.peers.get(sid);
+    if (!peer || this.seen.has(data.id)) return;
+    this.markSeen(data.id);
+
+    this.eventBus.emit('peer:message', {
+      id: data.id,
+      name: peer.username,
+      message: data.message,
+      timestamp: data.timestamp
+    });
+  }
+
+  /**
+   * 发给所有已打开的通道
+   * @private
+   * @returns {number} 发出的数量
+   */
+  broadcast(data) {
+    const payload = JSON.stringify(data);
+    let sent = 0;
+    this.getOpenPeers().forEach(peer => {
+      try {
+        peer.channel.send(payload);
+        sent++;
+      } catch (e) {
+        console.warn('PeerRelay: failed to send', peer.sid, e);
+      }
+    });
+    return sent;
+  }
+
+  /**
+   * @private
+   */
+  getOpenPeers() {
+    return Array.from(this.peers.values()).filter(peer => peer.channel && peer.channel.readyState === 'open');
+  }
+
+  /**
+   * @private
+   */
+  markSeen(id) {
+    this.seen.add(id);
+    if (this.seen.size > PeerRelay.SEEN_LIMIT) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+
+  /**
+   * @private
+   * @fires peer:status
+   */
+  emitStatus() {
+    this.eventBus.emit('peer:status', { peers: this.getPeers().filter(peer => peer.open).length });
+  }
+}
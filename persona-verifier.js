@@ -0,0 +1,216 @@
+/**
+ * PersonaVerifier - AI 人设消息的签名验证
+ * 任何人都能发出 `[Nako]...` 或声明 ai 类型的消息信封，因此只有 Nako 服务签过名的回复才显示为 AI 人设：
+ *
+ * 1) Nako 服务用 ECDSA P-256（SHA-256）私钥为每条回复签名，签名内容为
+ *    JSON.stringify([persona, userId, signedAt, content])：人设 ID、提问者（聊天用户名）、签名时间（毫秒）、
+ *    去掉首尾空白的回复；签名为 IEEE P1363 格式（r || s）的 base64url，随响应的 signature / signedAt 返回
+ * 2) 提问者转发回复时，先发出签名帧 `FRAME_PREFIX + 消息ID:signedAt:签名`，紧接着发出消息本身
+ *    （签名放不进 256 字符的消息，所以单独成帧；帧借用信令前缀，旧客户端会当作无法解析的信令帧忽略）。
+ *    较长的回复放不下信封头部、没有消息 ID，改用消息文本的摘要（getContentId()）对应
+ * 3) 接收端按消息 ID 取出签名帧，确认签名帧与消息来自同一用户、该用户就是签名中的提问者，
+ *    再用 ai-config.js 中公布的公钥验证；任何一步不通过（包括客户端没有配置公钥，isEnabled() 为 false），
+ *    消息按普通用户消息显示并附上警告
+ * 签名帧按「发出者 + 消息 ID」记录，同一键只采用最早的一个：其他用户发出的同 ID 签名帧不能顶替真正的签名
+ *
+ * @example
+ * const verifier = new PersonaVerifier({ keys: AIConfig.SIGNING_KEYS });
+ * verifier.remember('K', frame);
+ * const ok = await verifier.verify({ id, from: 'K', name: 'Nako', message: '早上好', timestamp });
+ */
+class PersonaVerifier {
+  static FRAME_PREFIX = '\u2063rtc:sig:';
+  // 签名时间与消息时间戳最多相差多久，防止把旧的签名回复重新发出
+  static MAX_SKEW = 10 * 60 * 1000;
+  // 最多保留多少个还没用到的签名帧
+  static ATTESTATION_LIMIT = 100;
+  static ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+  /**
+   * 是否是签名帧
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isFrame(text) {
+    return typeof text === 'string' && text.startsWith(PersonaVerifier.FRAME_PREFIX);
+  }
+
+  /**
+   * 编码签名帧
+   * @param {string} id - 消息信封 ID
+   * @param {{value: string, signedAt: number}} signature - Nako 服务返回的签名
+   * @returns {string}
+   */
+  static encodeFrame(id, signature) {
+    return `${PersonaVerifier.FRAME_PREFIX}${id}:${signature.signedAt}:${signature.value}`;
+  }
+
+  /**
+   * 解析签名帧
+   * @param {string} text
+   * @returns {{id: string, signedAt: number, value: string}|null}
+   */
+  static decodeFrame(text) {
+    if (!PersonaVerifier.isFrame(text)) return null;
+    const match = /^(\w+):(\d+):([\w-]+)$/.exec(text.slice(PersonaVerifier.FRAME_PREFIX.length));
+    return match ? { id: match[1], signedAt: Number(match[2]), value: match[3] } : null;
+  }
+
+  /**
+   * 没有消息 ID（放不下信封头部）的消息用于对应签名帧的 ID：消息文本的 FNV-1a 摘要
+   * @param {string} text - 服务器消息的 message 字段
+   * @returns {string}
+   */
+  static getContentId(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return 'c' + (hash >>> 0).toString(16);
+  }
+
+  /**
+   * 签名帧的记录键
+   * @private
+   * @param {string} name - 发出签名帧的用户
+   * @param {string} id - 消息 ID
+   * @returns {string}
+   */
+  static getKey(name, id) {
+    return JSON.stringify([name, id]);
+  }
+
+  /**
+   * 被签名的内容
+   * @param {Object} fields
+   * @param {string} fields.persona - 人设 ID（如 nako）
+   * @param {string} fields.userId - 提问者
+   * @param {number} fields.signedAt - 签名时间
+   * @param {string} fields.content - 回复
+   * @returns {string}
+   */
+  static getPayload({ persona, userId, signedAt, content }) {
+    return JSON.stringify([persona, userId, signedAt, content.trim()]);
+  }
+
+  /**
+   * 人设显示名对应的人设 ID
+   * @private
+   * @param {string} displayName
+   * @returns {string|null}
+   */
+  static getPersonaId(displayName) {
+    if (typeof window === 'undefined' || !window.AIConfig) return null;
+    const ai = window.AIConfig.AI_PERSONAS.find(a => a.displayName === displayName);
+    return ai ? ai.persona : null;
+  }
+
+  /**
+   * @private
+   * @param {string} text - base64url
+   * @returns {Uint8Array}
+   */
+  static decodeBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+
+  /**
+   * @param {Object} [config] - 配置对象
+   * @param {Array<Object>} [config.keys] - Nako 服务公布的公钥（JWK），可以有多个用于轮换
+   * @param {SubtleCrypto} [config.subtle] - WebCrypto 实现，可替换用于测试
+   */
+  constructor(config = {}) {
+    this.keys = config.keys || [];
+    this.subtle = config.subtle || (typeof crypto !== 'undefined' ? crypto.subtle : null);
+    // 导入后的公钥（首次验证时导入）
+    this.importedKeys = null;
+    // 收到的签名帧：发出者 + 消息 ID（见 getKey）-> { name, signedAt, value }
+    this.attestations = new Map();
+  }
+
+  /**
+   * 是否能够验证（有公钥且浏览器支持 WebCrypto）
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.subtle && this.keys.length > 0;
+  }
+
+  /**
+   * 记下一个签名帧，等对应的消息到达时使用
+   * @param {string} name - 发出签名帧的用户
+   * @param {string} text - 签名帧
+   */
+  remember(name, text) {
+    const frame = PersonaVerifier.decodeFrame(text);
+    if (!frame) return;
+    const key = PersonaVerifier.getKey(name, frame.id);
+    if (this.attestations.has(key)) return;
+    this.attestations.set(key, { name, signedAt: frame.signedAt, value: frame.value });
+    if (this.attestations.size > PersonaVerifier.ATTESTATION_LIMIT) {
+      this.attestations.delete(this.attestations.keys().next().value);
+    }
+  }
+
+  /**
+   * 消息是否有同一用户发出的签名帧（没有的不必验证）
+   * @param {string|null} id - 消息信封 ID
+   * @param {string} name - 发出消息的用户
+   * @returns {boolean}
+   */
+  hasAttestation(id, name) {
+    const attestation = id ? this.attestations.get(PersonaVerifier.getKey(name, id)) : null;
+    return !!attestation && attestation.name === name;
+  }
+
+  /**
+   * 验证一条 AI 人设消息
+   * @param {Object} message - message:received 的数据：{ id, name（人设名）, message（正文）, from, timestamp }
+   * @returns {Promise<boolean>} 签名有效
+   */
+  async verify(message) {
+    if (!this.isEnabled() || !this.hasAttestation(message.id, message.from)) return false;
+    const key = PersonaVerifier.getKey(message.from, message.id);
+    const attestation = this.attestations.get(key);
+    this.attestations.delete(key);
+
+    const persona = PersonaVerifier.getPersonaId(message.name);
+    if (!persona || Math.abs(message.timestamp - attestation.signedAt) > PersonaVerifier.MAX_SKEW) return false;
+
+    try {
+      const data = new TextEncoder().encode(PersonaVerifier.getPayload({
+        persona,
+        userId: message.from,
+        signedAt: attestation.signedAt,
+        content: message.message
+      }));
+      const signature = PersonaVerifier.decodeBase64Url(attestation.value);
+      for (const key of await this.importKeys()) {
+        if (await this.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, signature, data)) return true;
+      }
+    } catch (error) {
+      console.warn('验证 AI 消息签名失败:', error);
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<CryptoKey[]>}
+   */
+  importKeys() {
+    if (!this.importedKeys) {
+      this.importedKeys = Promise.all(this.keys.map(jwk =>
+        this.subtle.importKey('jwk', jwk, PersonaVerifier.ALGORITHM, false, ['verify'])
+          .catch(error => {
+            console.warn('导入 AI 签名公钥失败:', error);
+            return null;
+          })
+      )).then(keys => keys.filter(Boolean));
+    }
+    return this.importedKeys;
+  }
+}
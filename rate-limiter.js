@@ -0,0 +1,103 @@
+/**
+ * RateLimiter - 发送限流（令牌桶）
+ * 桶中最多 capacity 个令牌，每 refillInterval 补充一个，每条消息消耗一个：允许短时间连发几条，
+ * 之后按补充速度发送。另可设置两条消息之间的最小间隔（房间的慢速模式），只约束调用时没有传 slowMode: false 的消息
+ *
+ * 演示服务器按 IP 限流：每条消息占用 5 秒，累计超过 20 秒即拒绝，默认值与之大致对齐，
+ * 在客户端先拦下连按回车和刷屏，避免消息被服务器丢弃
+ *
+ * @example
+ * const limiter = new RateLimiter({ capacity: 5, refillInterval: 5000 });
+ * const wait = limiter.take();
+ * if (wait > 0) console.log(`${Math.ceil(wait / 1000)} 秒后可再发送`);
+ */
+class RateLimiter {
+  static DEFAULT_CAPACITY = 5;
+  static DEFAULT_REFILL_INTERVAL = 5000;
+
+  /**
+   * @param {Object} [config] - 配置对象
+   * @param {number} [config.capacity=5] - 桶容量（最多连发几条）
+   * @param {number} [config.refillInterval=5000] - 补充一个令牌所需时间（毫秒）
+   * @param {number} [config.minInterval=0] - 两条消息之间的最小间隔（毫秒，0 表示不限）
+   * @param {Function} [config.now=Date.now] - 时间函数，可替换用于测试
+   */
+  constructor(config = {}) {
+    this.capacity = config.capacity || RateLimiter.DEFAULT_CAPACITY;
+    this.refillInterval = config.refillInterval || RateLimiter.DEFAULT_REFILL_INTERVAL;
+    this.minInterval = config.minInterval || 0;
+    this.now = config.now || Date.now;
+
+    this.tokens = this.capacity;
+    this.refilledAt = this.now();
+    this.lastTakenAt = null;
+  }
+
+  /**
+   * 设置最小间隔（慢速模式）
+   * @param {number} interval - 毫秒，0 表示不限
+   */
+  setMinInterval(interval) {
+    this.minInterval = interval > 0 ? interval : 0;
+  }
+
+  /**
+   * 尝试消耗一个令牌
+   * @param {Object} [options]
+   * @param {boolean} [options.slowMode=true] - 是否受最小间隔约束；为 false 时不检查间隔，也不开始新的间隔
+   * @returns {number} 0 表示可以发送（已消耗）；否则为还需等待的毫秒数（未消耗）
+   */
+  take(options = {}) {
+    const wait = this.getWait(options);
+    if (wait > 0) return wait;
+    this.tokens -= 1;
+    if (options.slowMode !== false) this.lastTakenAt = this.now();
+    return 0;
+  }
+
+  /**
+   * 不消耗令牌，查询还需等待多久
+   * @param {Object} [options] - 同 take()
+   * @returns {number} 毫秒，0 表示现在可以发送
+   */
+  getWait(options = {}) {
+    this.refill();
+    const now = this.now();
+    const slowWait = options.slowMode !== false && this.minInterval > 0 && this.lastTakenAt !== null
+      ? this.lastTakenAt + this.minInterval - now
+      : 0;
+    const tokenWait = this.tokens >= 1 ? 0 : (1 - this.tokens) * this.refillInterval;
+    return Math.max(0, Math.ceil(slowWait), Math.ceil(tokenWait));
+  }
+
+  /**
+   * 当前等待的原因
+   * @param {Object} [options] - 同 take()
+   * @returns {string|null} 'slowmode' 慢速模式间隔未到 / 'rate' 令牌用完 / null 可以发送
+   */
+  getReason(options = {}) {
+    this.refill();
+    if (options.slowMode !== false && this.minInterval > 0 && this.lastTakenAt !== null && this.now() - this.lastTakenAt < this.minInterval) return 'slowmode';
+    return this.tokens >= 1 ? null : 'rate';
+  }
+
+  /**
+   * 清空令牌桶（服务器已经拒绝时，按服务器的节奏重新开始）
+   * @param {number} [delay] - 至少等待多久（毫秒），默认为一个补充间隔
+   */
+  drain(delay = this.refillInterval) {
+    this.tokens = 1 - delay / this.refillInterval;
+    this.refilledAt = this.now();
+  }
+
+  /**
+   * @private
+   */
+  refill() {
+    const now = this.now();
+    const elapsed = now - this.refilledAt;
+    if (elapsed <= 0) return;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed / this.refillInterval);
+    this.refilledAt = now;
+  }
+}
@@ -0,0 +1,420 @@
+/**
+ * RoomSignaling - 房间信令通道
+ * 把 WebRTC 信令（SDP、ICE 候选等）编码为带前缀的房间消息，
+ * 通过 NightcordManager 经由房间 WebSocket 收发
+ * 单条房间消息有长度限制，超长的信令会被拆分成多帧，在接收端重组
+ *
+ * 信令帧和聊天消息一样计入服务器的限流、占用服务器保存的历史，因此尽量少发：
+ * - 短时间内发给同一目标的信令（如陆续收集到的 ICE 候选）合并为一个载荷发出
+ * - 超过一帧的载荷先压缩（deflate-raw + base64，浏览器不支持 CompressionStream 时不压缩）
+ * - 帧按 NightcordManager 的信令限流（单独的令牌桶，不受慢速模式限制）排队发出，不会挤掉用户自己的消息额度；
+ *   暂时发不出去的帧留在队列中稍后重试
+ *
+ * 所有信令通道实现相同的接口，VoiceManager 等只依赖接口：
+ * - sid: 本端会话 ID
+ * - send(signal, to): 发送信令，to 为目标会话 ID，省略时广播
+ * - subscribe(handler): 订阅信令 handler(signal, from)，from 为 { sid, username }，返回取消订阅函数
+ * - onReady(handler): 通道可用（每次连上房间）时回调
+ *
+ * @example
+ * const signaling = new RoomSignaling({ chatRoom, eventBus });
+ * signaling.subscribe((signal, from) => console.log(from.username, signal));
+ * signaling.send({ ns: 'voice', type: 'join' });
+ */
+class RoomSignaling {
+  static FRAME_PREFIX = '\u2063rtc:';
+  static MAX_FRAME_LENGTH = 256;
+  static PARTIAL_TTL = 30000;
+  // 等待多久再发出，期间发给同一目标的信令合并为一个载荷
+  static BATCH_DELAY = 200;
+  // 压缩后的载荷以此开头（JSON 载荷不会以它开头）
+  static COMPRESSED_PREFIX = 'z:';
+
+  /**
+   * 判断一条房间消息是否为信令帧
+   * @param {string} text - 消息内容
+   * @returns {boolean}
+   */
+  static isFrame(text) {
+    return typeof text === 'string' && text.startsWith(RoomSignaling.FRAME_PREFIX);
+  }
+
+  /**
+   * 压缩载荷（deflate-raw + base64）
+   * @param {string} text
+   * @returns {Promise<string|null>} 不支持压缩或压缩失败时为 null
+   */
+  static async compress(text) {
+    if (typeof CompressionStream === 'undefined') return null;
+    try {
+      const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      let binary = '';
+      bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+      return btoa(binary);
+    } catch (e) {
+      console.warn('RoomSignaling: failed to compress signal payload', e);
+      return null;
+    }
+  }
+
+  /**
+   * 解压 compress() 的结果
+   * @param {string} text
+   * @returns {Promise<string>}
+   */
+  static async decompress(text) {
+    const bytes = Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+
+  /**
+   * 生成随机会话 ID
+   * @returns {string}
+   */
+  static createSessionId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36).slice(-4);
+  }
+
+  /**
+   * 创建房间信令通道
+   * @param {Object} config - 配置对象
+   * @param {NightcordManager} config.chatRoom - 聊天室管理器
+   * @param {EventBus} [config.eventBus] - 事件总线实例，默认使用 chatRoom 的事件总线
+   * @param {string} [config.sid] - 会话 ID，默认随机生成
+   * @param {number} [config.maxFrameLength=256] - 单帧最大长度（与服务器单条消息上限一致）
+   */
+  constructor(config = {}) {
+    this.chatRoom = config.chatRoom;
+    this.eventBus = config.eventBus || this.chatRoom.eventBus;
+    this.sid = config.sid || RoomSignaling.createSessionId();
+    this.maxFrameLength = config.maxFrameLength || RoomSignaling.MAX_FRAME_LENGTH;
+    this.handlers = [];
+    this.readyHandlers = [];
+    // 未收齐的分片：`${username}:${frameId}` -> { parts, received, total, updatedAt }
+    this.partials = new Map();
+    // 还没编码的信令：[{ to, signals }]，相邻的同一目标的信令合并
+    this.queue = [];
+    // 已编码、等待发出的帧
+    this.frames = [];
+    this.timer = null;
+    this.flushing = false;
+    // 收到的载荷需要解压时排队分发，保证顺序（description 先于 candidate）
+    this.inbound = Promise.resolve();
+    this.inboundPending = 0;
+
+    this.eventBus.on('signal:frame', (data) => this.handleFrame(data));
+    this.eventBus.on('signal:ready', () => this.readyHandlers.forEach(handler => handler()));
+  }
+
+  /**
+   * 当前用户名
+   * @returns {string|null}
+   */
+  get username() {
+    return this.chatRoom.username;
+  }
+
+  /**
+   * 发送信令（稍后与相邻的同一目标的信令合并发出）
+   * @param {Object} signal - 信令对象（需可 JSON 序列化）
+   * @param {string} [to] - 目标会话 ID，省略时广播给房间内所有人
+   * @returns {boolean} 已放入发送队列
+   */
+  send(signal, to) {
+    const target = to || null;
+    const last = this.queue[this.queue.length - 1];
+    if (last && last.to === target) {
+      last.signals.push(signal);
+    } else {
+      this.queue.push({ to: target, signals: [signal] });
+    }
+    this.schedule(RoomSignaling.BATCH_DELAY);
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {number} delay
+   */
+  schedule(delay) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+  }
+
+  /**
+   * 按发送限流逐帧发出；额度不足或暂时发不出去时等待后重试，期间新的信令继续合并进还没编码的载荷
+   * 连接断开时丢弃队列：重新连上后各模块会在 signal:ready 时重新协商
+   * @private
+   */
+  async flush() {
+    if (this.flushing) return;
+    this.flushing = true;
+    try {
+      while (this.frames.length > 0 || this.queue.length > 0) {
+        if (this.frames.length === 0) {
+          const group = this.queue.shift();
+          this.frames = await this.encode(JSON.stringify({ from: this.sid, to: group.to, signals: group.signals }));
+        }
+        const wait = typeof this.chatRoom.getSendWait === 'function' ? this.chatRoom.getSendWait() : 0;
+        if (wait > 0) {
+          this.schedule(wait);
+          return;
+        }
+        if (!this.chatRoom.sendSignal(this.frames[0])) {
+          if (typeof this.chatRoom.isConnected === 'function' && !this.chatRoom.isConnected()) {
+            this.queue = [];
+            this.frames = [];
+            return;
+          }
+          // 帧留在队列中，等额度恢复后重试
+          const retry = typeof this.chatRoom.getSendWait === 'function' ? this.chatRoom.getSendWait() : 0;
+          this.schedule(retry || RoomSignaling.BATCH_DELAY);
+          return;
+        }
+        this.frames.shift();
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * 订阅信令
+   * @param {Function} handler - (signal, from) => void
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe(handler) {
+    this.handlers.push(handler);
+    return () => {
+      this.handlers = this.handlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * 注册通道可用回调（每次进入房间并收到 ready 后触发）
+   * @param {Function} handler
+   */
+  onReady(handler) {
+    this.readyHandlers.push(handler);
+  }
+
+  /**
+   * 将载荷拆分为若干帧：PREFIX + frameId:seq/total: + 分片；超过一帧的载荷先压缩
+   * @private
+   * @param {string} payload
+   * @returns {Promise<string[]>}
+   */
+  async encode(payload) {
+    if (payload.length > this.getPieceLength()) {
+      const compressed = await RoomSignaling.compress(payload);
+      if (compressed !== null && compressed.length + RoomSignaling.COMPRESSED_PREFIX.length < payload.length) {
+        payload = RoomSignaling.COMPRESSED_PREFIX + compressed;
+      }
+    }
+    return this.split(payload);
+  }
+
+  /**
+   * 每帧能放下的载荷长度
+   * @private
+   * @returns {number}
+   */
+  getPieceLength() {
+    // 预留帧头空间：frameId(6) + seq/total(各最多 4 位) + 分隔符
+    return this.maxFrameLength - RoomSignaling.FRAME_PREFIX.length - 17;
+  }
+
+  /**
+   * @private
+   * @param {string} payload
+   * @returns {string[]}
+   */
+  split(payload) {
+    const frameId = Math.random().toString(36).slice(2, 8);
+    const pieceLength = this.getPieceLength();
+    const total = Math.max(1, Math.ceil(payload.length / pieceLength));
+    const frames = [];
+    for (let seq = 0; seq < total; seq++) {
+      const piece = payload.slice(seq * pieceLength, (seq + 1) * pieceLength);
+      frames.push(`${RoomSignaling.FRAME_PREFIX}${frameId}:${seq}/${total}:${piece}`);
+    }
+    return frames;
+  }
+
+  /**
+   * 处理收到的信令帧，重组完成后分发
+   * @private
+   * @param {Object} data - { name, frame, timestamp }
+   */
+  handleFrame(data) {
+    const match = /^(\w+):(\d+)\/(\d+):/.exec(data.frame.slice(RoomSignaling.FRAME_PREFIX.length));
+    if (!match) return;
+
+    const [header, frameId, seqText, totalText] = match;
+    const seq = Number(seqText);
+    const total = Number(totalText);
+    const piece = data.frame.slice(RoomSignaling.FRAME_PREFIX.length + header.length);
+    if (seq >= total) return;
+
+    const now = Date.now();
+    this.dropStalePartials(now);
+
+    let payload;
+    if (total === 1) {
+      payload = piece;
+    } else {
+      const key = `${data.name}:${frameId}`;
+      let partial = this.partials.get(key);
+      if (!partial) {
+        partial = { parts: new Array(total), received: 0, total, updatedAt: now };
+        this.partials.set(key, partial);
+      }
+      if (partial.parts[seq] === undefined) {
+        partial.parts[seq] = piece;
+        partial.received++;
+      }
+      partial.updatedAt = now;
+      if (partial.received < partial.total) return;
+      this.partials.delete(key);
+      payload = partial.parts.join('');
+    }
+
+    // 前面还有等待解压的载荷、或者这个载荷需要解压时排队，否则立即分发
+    if (this.inboundPending === 0 && !payload.startsWith(RoomSignaling.COMPRESSED_PREFIX)) {
+      this.handlePayload(payload, data.name);
+      return;
+    }
+    this.inboundPending++;
+    this.inbound = this.inbound
+      .then(() => payload.startsWith(RoomSignaling.COMPRESSED_PREFIX)
+        ? RoomSignaling.decompress(payload.slice(RoomSignaling.COMPRESSED_PREFIX.length))
+        : payload)
+      .then(text => this.handlePayload(text, data.name))
+      .catch(e => console.warn('RoomSignaling: failed to decompress signal payload', e))
+      .finally(() => { this.inboundPending--; });
+  }
+
+  /**
+   * 解析重组后的载荷并分发
+   * @private
+   * @param {string} payload - JSON：{ from, to, signals }（旧版本为单个 signal）
+   * @param {string} username - 服务器告知的发送者
+   */
+  handlePayload(payload, username) {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (e) {
+      console.warn('RoomSignaling: failed to parse signal payload', e);
+      return;
+    }
+
+    // 忽略自己发出的回显和发给别人的信令
+    if (!message || message.from === this.sid) return;
+    if (message.to && message.to !== this.sid) return;
+
+    const signals = Array.isArray(message.signals) ? message.signals : [message.signal];
+    signals.forEach(signal => this.dispatch(signal, { sid: message.from, username }));
+  }
+
+  /**
+   * 清理长时间未收齐的分片
+   * @private
+   * @param {number} now
+   */
+  dropStalePartials(now) {
+    for (const [key, partial] of this.partials) {
+      if (now - partial.updatedAt > RoomSignaling.PARTIAL_TTL) {
+        this.partials.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 将信令分发给订阅者
+   * @private
+   */
+  dispatch(signal, from) {
+    this.handlers.forEach(handler => {
+      try {
+        handler(signal, from);
+      } catch (e) {
+        console.error('RoomSignaling: signal handler failed', e);
+      }
+    });
+  }
+}
+
+/**
+ * LoopbackSignaling - 内存回环信令通道
+ * 同一页面内的多个实例通过共享的 hub 互相投递信令，不经过服务器
+ * 与 RoomSignaling 接口一致，用于测试和本地调试
+ *
+ * @example
+ * const hub = new Set();
+ * const k = new LoopbackSignaling({ username: 'K', hub });
+ * const amia = new LoopbackSignaling({ username: 'Amia', hub });
+ * const voiceK = new VoiceManager({ signaling: k, getUserMedia: () => Promise.resolve(fakeStream) });
+ */
+class LoopbackSignaling {
+  /**
+   * @param {Object} config - 配置对象
+   * @param {string} config.username - 本端用户名
+   * @param {Set<LoopbackSignaling>} [config.hub] - 共享的实例集合
+   * @param {string} [config.sid] - 会话 ID，默认随机生成
+   */
+  constructor(config = {}) {
+    this.username = config.username;
+    this.hub = config.hub || new Set();
+    this.sid = config.sid || RoomSignaling.createSessionId();
+    this.handlers = [];
+    this.hub.add(this);
+  }
+
+  /**
+   * 发送信令（异步投递，模拟网络）
+   * @param {Object} signal
+   * @param {string} [to]
+   * @returns {boolean}
+   */
+  send(signal, to) {
+    const payload = JSON.stringify(signal);
+    const from = { sid: this.sid, username: this.username };
+    this.hub.forEach(peer => {
+      if (peer === this || (to && peer.sid !== to)) return;
+      setTimeout(() => peer.dispatch(JSON.parse(payload), from), 0);
+    });
+    return true;
+  }
+
+  subscribe(handler) {
+    this.handlers.push(handler);
+    return () => {
+      this.handlers = this.handlers.filter(h => h !== handler);
+    };
+  }
+
+  onReady(handler) {
+    // 回环通道始终可用
+    setTimeout(handler, 0);
+  }
+
+  /**
+   * 从 hub 中移除
+   */
+  close() {
+    this.hub.delete(this);
+  }
+
+  /**
+   * @private
+   */
+  dispatch(signal, from) {
+    this.handlers.forEach(handler => handler(signal, from));
+  }
+}
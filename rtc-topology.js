@@ -0,0 +1,597 @@
+/**
+ * RTC 拓扑层
+ * VoiceManager 不直接创建 RTCPeerConnection，而是通过拓扑对象收发媒体：
+ * - MeshTopology: 全连接，每个对端一条连接，适合小房间
+ * - SfuTopology: 所有成员只与选择性转发服务器（SFU）建立一条连接，由 SFU 转发各路媒体
+ * - LocalSfu: 在页面内运行的 SFU 替身，用于测试和本地调试
+ *
+ * 所有拓扑实现相同的接口：
+ * - open(): 开始（加入语音时调用）
+ * - close(): 关闭所有连接
+ * - addPeer(remote): 有新成员加入语音，remote 为 { sid, username }
+ * - removePeer(sid): 成员离开语音
+ * - publish(stream) / unpublish(stream): 发送/停止发送一路本地媒体流的所有轨道
+ * - handleSignal(signal, from): 处理房间信令中的 description / candidate，返回是否已处理
+ * - isConnected(sid): 与该成员的媒体是否已连通
+ * - getPeerConnections(): 当前所有连接，Map<string, RTCPeerConnection>
+ * 以及构造时传入的回调：
+ * - onTrack({ sid, track, stream }): 收到某个成员的轨道
+ * - onPeerClosed(sid): 与某个成员的媒体连接关闭
+ * - onConnectionStateChange(sid, state): 连接状态变化
+ * MeshTopology 还可以在每条连接上附带一个数据通道（config.dataChannel），用于不经过服务器的消息（见 PeerRelay）
+ *
+ * FileTransferManager 也通过 MeshTopology 建立连接：每个接收者的每次（续）传一个只连接对方的实例，
+ * 文件经由预先协商的数据通道传输（SFU 不转发数据通道，因此与房间的语音拓扑无关）
+ *
+ * @example
+ * const topology = new MeshTopology({
+ *   signaling,
+ *   namespace: 'voice',
+ *   onTrack: ({ sid, stream }) => console.log(sid, stream)
+ * });
+ */
+class MeshTopology {
+  static DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+  // 连接失败后最多尝试 ICE restart 的次数，超过后才关闭连接
+  static MAX_ICE_RESTARTS = 3;
+
+  /**
+   * RTCSessionDescription 转为可 JSON 序列化的对象
+   * @param {RTCSessionDescription} description
+   * @returns {{type: string, sdp: string}}
+   */
+  static serializeDescription(description) {
+    return { type: description.type, sdp: description.sdp };
+  }
+
+  /**
+   * @param {Object} config - 配置对象
+   * @param {Object} config.signaling - 信令通道（见 room-signaling.js）
+   * @param {string} config.namespace - 信令命名空间
+   * @param {RTCIceServer[]} [config.iceServers] - ICE 服务器列表（STUN/TURN）
+   * @param {Function} [config.RTCPeerConnection] - RTCPeerConnection 构造函数，可替换用于测试
+   * @param {Function} [config.onTrack] - 收到轨道回调
+   * @param {Function} [config.onPeerClosed] - 连接关闭回调
+   * @param {Function} [config.onConnectionStateChange] - 连接状态变化回调
+   * @param {string|Function} [config.dataChannel] - 在每条连接上创建的数据通道标签（双方预先协商，id 固定为 0）；
+   *   为函数时在创建每条连接时调用，返回 null 则该连接不创建
+   * @param {Function} [config.onDataChannel] - 数据通道创建回调 ({ sid, username, channel }) => void
+   */
+  constructor(config = {}) {
+    this.signaling = config.signaling;
+    this.namespace = config.namespace;
+    this.dataChannel = config.dataChannel || null;
+    this.onDataChannel = config.onDataChannel || (() => {});
+    this.iceServers = config.iceServers || MeshTopology.DEFAULT_ICE_SERVERS;
+    this.PeerConnection = config.RTCPeerConnection || window.RTCPeerConnection;
+    this.onTrack = config.onTrack || (() => {});
+    this.onPeerClosed = config.onPeerClosed || (() => {});
+    this.onConnectionStateChange = config.onConnectionStateChange || (() => {});
+
+    // sid -> { sid, pc, polite, makingOffer, ignoreOffer, queue, restarts, channel }
+    this.links = new Map();
+    this.published = [];
+  }
+
+  open() {}
+
+  close() {
+    Array.from(this.links.keys()).forEach(sid => this.removePeer(sid));
+    this.published = [];
+  }
+
+  /**
+   * 为新成员创建连接并发送已发布的轨道（由 onnegotiationneeded 发起 offer）
+   * @param {Object} remote - { sid, username }
+   */
+  addPeer(remote) {
+    const link = this.links.get(remote.sid) || this.createLink(remote);
+    this.attachPublished(link);
+    return link;
+  }
+
+  removePeer(sid) {
+    const link = this.links.get(sid);
+    if (!link) return;
+    this.links.delete(sid);
+    link.pc.onconnectionstatechange = null;
+    try { link.pc.close(); } catch (e) {}
+    this.onPeerClosed(sid);
+  }
+
+  publish(stream) {
+    if (!this.published.includes(stream)) this.published.push(stream);
+    this.links.forEach(link => this.attachPublished(link));
+  }
+
+  unpublish(stream) {
+    this.published = this.published.filter(s => s !== stream);
+    const tracks = stream.getTracks();
+    this.links.forEach(link => {
+      link.pc.getSenders()
+        .filter(sender => sender.track && tracks.includes(sender.track))
+        .forEach(sender => {
+          try { link.pc.removeTrack(sender); } catch (e) {}
+        });
+    });
+  }
+
+  /**
+   * 处理对端的 SDP / ICE 候选，同一对端按到达顺序串行处理
+   * @param {Object} signal - { type: 'description' | 'candidate', ... }
+   * @param {Object} from - { sid, username }
+   * @returns {boolean} 是否已处理
+   */
+  handleSignal(signal, from) {
+    if (signal.type !== 'description' && signal.type !== 'candidate') return false;
+
+    const link = this.links.get(from.sid) || this.createLink(from);
+    link.queue = link.queue
+      .then(() => signal.type === 'description'
+        ? this.handleDescription(link, signal.description)
+        : this.handleCandidate(link, signal.candidate))
+      .catch(error => {
+        console.warn('MeshTopology: failed to handle signal', signal.type, error);
+      });
+    return true;
+  }
+
+  isConnected(sid) {
+    const link = this.links.get(sid);
+    return !!link && link.pc.connectionState === 'connected';
+  }
+
+  getPeerConnections() {
+    return new Map(Array.from(this.links.values()).map(link => [link.sid, link.pc]));
+  }
+
+  /**
+   * 创建连接（perfect negotiation：会话 ID 较小的一方为 polite）
+   * @private
+   */
+  createLink(remote) {
+    const pc = new this.PeerConnection({ iceServers: this.iceServers });
+    const link = {
+      sid: remote.sid,
+      pc,
+      polite: this.signaling.sid < remote.sid,
+      makingOffer: false,
+      ignoreOffer: false,
+      queue: Promise.resolve(),
+      restarts: 0
+    };
+    this.links.set(remote.sid, link);
+
+    pc.onnegotiationneeded = async () => {
+      try {
+        link.makingOffer = true;
+        await pc.setLocalDescription();
+        this.sendSignal({ type: 'description', description: MeshTopology.serializeDescription(pc.localDescription) }, link.sid);
+      } catch (error) {
+        console.warn('MeshTopology: negotiation failed', error);
+      } finally {
+        link.makingOffer = false;
+      }
+    };
+
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate) this.sendSignal({ type: 'candidate', candidate: candidate.toJSON() }, link.sid);
+    };
+
+    pc.ontrack = ({ track, streams }) => {
+      this.onTrack({ sid: link.sid, track, stream: streams[0] || new MediaStream([track]) });
+    };
+
+    pc.onconnectionstatechange = () => {
+      const state = pc.connectionState;
+      if (state === 'connected') link.restarts = 0;
+      if (state === 'failed' && link.restarts < MeshTopology.MAX_ICE_RESTARTS && typeof pc.restartIce === 'function') {
+        // 网络切换等导致的失败先尝试 ICE restart：重新收集候选，由 onnegotiationneeded 重新协商
+        link.restarts++;
+        pc.restartIce();
+      } else if (state === 'failed' || state === 'closed') {
+        this.removePeer(link.sid);
+      }
+      this.onConnectionStateChange(link.sid, state);
+    };
+
+    const label = typeof this.dataChannel === 'function' ? this.dataChannel() : this.dataChannel;
+    if (label) {
+      // 预先协商的通道：双方各自创建，不依赖 ondatachannel，也会触发 onnegotiationneeded；只有一方创建时通道不会打开
+      link.channel = pc.createDataChannel(label, { negotiated: true, id: 0 });
+      this.onDataChannel({ sid: link.sid, username: remote.username, channel: link.channel });
+    }
+
+    return link;
+  }
+
+  /**
+   * 把已发布的轨道加到连接上（已添加的不会重复添加）
+   * @private
+   */
+  attachPublished(link) {
+    const senders = link.pc.getSenders();
+    this.published.forEach(stream => {
+      stream.getTracks().forEach(track => {
+        if (!senders.some(sender => sender.track === track)) {
+          link.pc.addTrack(track, stream);
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  async handleDescription(link, description) {
+    const { pc } = link;
+    const offerCollision = description.type === 'offer' &&
+      (link.makingOffer || pc.signalingState !== 'stable');
+
+    link.ignoreOffer = !link.polite && offerCollision;
+    if (link.ignoreOffer) return;
+
+    await pc.setRemoteDescription(description);
+    if (description.type === 'offer') {
+      // 先应用远端 offer 再加本地轨道，复用 offer 中的收发器
+      this.attachPublished(link);
+      await pc.setLocalDescription();
+      this.sendSignal({ type: 'description', description: MeshTopology.serializeDescription(pc.localDescription) }, link.sid);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async handleCandidate(link, candidate) {
+    try {
+      await link.pc.addIceCandidate(candidate);
+    } catch (error) {
+      // 被忽略的 offer 对应的候选会添加失败，属于正常情况
+      if (!link.ignoreOffer) throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  sendSignal(signal, to) {
+    return this.signaling.send({ ns: this.namespace, ...signal }, to);
+  }
+}
+
+/**
+ * SfuTopology - 经由选择性转发服务器（SFU）收发媒体
+ * 本端只与 SFU 建立一条连接：发布的轨道上行一份，其他成员的轨道由 SFU 下发
+ *
+ * SFU 的信令不经过房间，而是由 connector 建立的会话收发：
+ * - connector.connect({ sid, username }) 返回会话 { send(message), onMessage(handler), close() }
+ * - 消息 { type: 'description', description } / { type: 'candidate', candidate }：连接协商，SFU 为 impolite 一方
+ * - SFU 下发 { type: 'tracks', streams: { [streamId]: sid } }：各路媒体流属于哪个成员
+ * - SFU 下发 { type: 'leave', sid }：该成员已离开
+ * 成员的加入/离开仍通过房间信令得知，因此 addPeer / removePeer 不需要做任何事
+ */
+class SfuTopology {
+  /**
+   * @param {Object} config - 同 MeshTopology，另加：
+   * @param {Object} config.connector - SFU 连接器（见上）
+   */
+  constructor(config = {}) {
+    this.signaling = config.signaling;
+    this.iceServers = config.iceServers || MeshTopology.DEFAULT_ICE_SERVERS;
+    this.PeerConnection = config.RTCPeerConnection || window.RTCPeerConnection;
+    this.connector = config.connector;
+    this.onTrack = config.onTrack || (() => {});
+    this.onPeerClosed = config.onPeerClosed || (() => {});
+    this.onConnectionStateChange = config.onConnectionStateChange || (() => {});
+
+    this.session = null;
+    this.pc = null;
+    this.published = [];
+    // 流 ID -> 所属成员 sid
+    this.streamOwners = new Map();
+    // 所属成员未知的轨道，等待 tracks 消息
+    this.pendingTracks = [];
+    this.makingOffer = false;
+    this.queue = Promise.resolve();
+  }
+
+  open() {
+    if (this.session) return;
+
+    this.session = this.connector.connect({ sid: this.signaling.sid, username: this.signaling.username });
+    this.session.onMessage(message => {
+      this.queue = this.queue
+        .then(() => this.handleSfuMessage(message))
+        .catch(error => console.warn('SfuTopology: failed to handle message', message && message.type, error));
+    });
+
+    const pc = new this.PeerConnection({ iceServers: this.iceServers });
+    this.pc = pc;
+
+    pc.onnegotiationneeded = async () => {
+      try {
+        this.makingOffer = true;
+        await pc.setLocalDescription();
+        this.session.send({ type: 'description', description: MeshTopology.serializeDescription(pc.localDescription) });
+      } catch (error) {
+        console.warn('SfuTopology: negotiation failed', error);
+      } finally {
+        this.makingOffer = false;
+      }
+    };
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate && this.session) this.session.send({ type: 'candidate', candidate: candidate.toJSON() });
+    };
+    pc.ontrack = ({ track, streams }) => {
+      const stream = streams[0] || new MediaStream([track]);
+      const sid = this.streamOwners.get(stream.id);
+      if (sid) {
+        this.onTrack({ sid, track, stream });
+      } else {
+        this.pendingTracks.push({ track, stream });
+      }
+    };
+    pc.onconnectionstatechange = () => this.onConnectionStateChange(null, pc.connectionState);
+
+    this.published.forEach(stream => this.attachStream(stream));
+  }
+
+  close() {
+    const owners = new Set(this.streamOwners.values());
+    if (this.session) this.session.close();
+    if (this.pc) {
+      this.pc.onconnectionstatechange = null;
+      try { this.pc.close(); } catch (e) {}
+    }
+    this.session = null;
+    this.pc = null;
+    this.published = [];
+    this.streamOwners.clear();
+    this.pendingTracks = [];
+    this.queue = Promise.resolve();
+    owners.forEach(sid => this.onPeerClosed(sid));
+  }
+
+  addPeer() {}
+
+  removePeer() {}
+
+  publish(stream) {
+    if (!this.published.includes(stream)) this.published.push(stream);
+    if (this.pc) this.attachStream(stream);
+  }
+
+  unpublish(stream) {
+    this.published = this.published.filter(s => s !== stream);
+    if (!this.pc) return;
+    const tracks = stream.getTracks();
+    this.pc.getSenders()
+      .filter(sender => sender.track && tracks.includes(sender.track))
+      .forEach(sender => {
+        try { this.pc.removeTrack(sender); } catch (e) {}
+      });
+  }
+
+  handleSignal() {
+    return false;
+  }
+
+  isConnected(sid) {
+    return !!this.pc && this.pc.connectionState === 'connected' &&
+      Array.from(this.streamOwners.values()).includes(sid);
+  }
+
+  getPeerConnections() {
+    return this.pc ? new Map([['sfu', this.pc]]) : new Map();
+  }
+
+  /**
+   * @private
+   */
+  attachStream(stream) {
+    const senders = this.pc.getSenders();
+    stream.getTracks().forEach(track => {
+      if (!senders.some(sender => sender.track === track)) this.pc.addTrack(track, stream);
+    });
+  }
+
+  /**
+   * 处理 SFU 下发的消息（本端总是 polite 一方）
+   * @private
+   */
+  async handleSfuMessage(message) {
+    if (!message || !this.pc) return;
+    const { pc } = this;
+
+    switch (message.type) {
+      case 'description': {
+        const { description } = message;
+        const offerCollision = description.type === 'offer' && (this.makingOffer || pc.signalingState !== 'stable');
+        if (offerCollision) {
+          await pc.setLocalDescription({ type: 'rollback' });
+        }
+        await pc.setRemoteDescription(description);
+        if (description.type === 'offer') {
+          await pc.setLocalDescription();
+          this.session.send({ type: 'description', description: MeshTopology.serializeDescription(pc.localDescription) });
+        }
+        break;
+      }
+      case 'candidate':
+        await pc.addIceCandidate(message.candidate);
+        break;
+      case 'tracks':
+        Object.entries(message.streams || {}).forEach(([streamId, sid]) => this.streamOwners.set(streamId, sid));
+        this.pendingTracks = this.pendingTracks.filter(({ track, stream }) => {
+          const sid = this.streamOwners.get(stream.id);
+          if (sid) this.onTrack({ sid, track, stream });
+          return !sid;
+        });
+        break;
+      case 'leave':
+        Array.from(this.streamOwners.entries()).forEach(([streamId, sid]) => {
+          if (sid === message.sid) this.streamOwners.delete(streamId);
+        });
+        this.onPeerClosed(message.sid);
+        break;
+    }
+  }
+}
+
+/**
+ * LocalSfu - 页面内的 SFU 替身
+ * 实现 SfuTopology 所需的 connector 接口：每个会话一条连接，
+ * 收到某个成员的轨道后加到其他所有会话的连接上转发
+ * 用于测试和本地调试，无需部署真实的 SFU
+ *
+ * @example
+ * const sfu = new LocalSfu();
+ * const voice = new VoiceManager({ signaling, topology: 'sfu', sfu });
+ */
+class LocalSfu {
+  /**
+   * @param {Object} [config] - 配置对象
+   * @param {Function} [config.RTCPeerConnection] - RTCPeerConnection 构造函数
+   */
+  constructor(config = {}) {
+    this.PeerConnection = config.RTCPeerConnection || window.RTCPeerConnection;
+    // sid -> session
+    this.sessions = new Map();
+  }
+
+  /**
+   * 建立会话
+   * @param {Object} member - { sid, username }
+   * @returns {{send: Function, onMessage: Function, close: Function}}
+   */
+  connect({ sid, username }) {
+    this.disconnect(sid);
+
+    const pc = new this.PeerConnection({});
+    const session = {
+      sid,
+      username,
+      pc,
+      handlers: [],
+      // 该成员上行的轨道：trackId -> { track, stream }
+      published: new Map(),
+      // 转发给该成员的轨道：trackId -> { sender, owner }
+      forwarded: new Map(),
+      makingOffer: false,
+      queue: Promise.resolve()
+    };
+    this.sessions.set(sid, session);
+
+    pc.onnegotiationneeded = async () => {
+      try {
+        session.makingOffer = true;
+        await pc.setLocalDescription();
+        this.deliver(session, { type: 'description', description: MeshTopology.serializeDescription(pc.localDescription) });
+      } catch (error) {
+        console.warn('LocalSfu: negotiation failed', error);
+      } finally {
+        session.makingOffer = false;
+      }
+    };
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate) this.deliver(session, { type: 'candidate', candidate: candidate.toJSON() });
+    };
+    pc.ontrack = ({ track, streams }) => {
+      const stream = streams[0] || new MediaStream([track]);
+      session.published.set(track.id, { track, stream });
+      stream.onremovetrack = (event) => this.unforward(session, event.track);
+      this.sessions.forEach(other => {
+        if (other !== session) this.forward(session, other, track, stream);
+      });
+    };
+
+    // 把已有成员的轨道转发给新成员
+    this.sessions.forEach(other => {
+      if (other === session) return;
+      other.published.forEach(({ track, stream }) => this.forward(other, session, track, stream));
+    });
+
+    return {
+      send: (message) => setTimeout(() => this.handleMessage(session, message), 0),
+      onMessage: (handler) => session.handlers.push(handler),
+      close: () => this.disconnect(sid)
+    };
+  }
+
+  /**
+   * 关闭会话并通知其他成员
+   * @param {string} sid
+   */
+  disconnect(sid) {
+    const session = this.sessions.get(sid);
+    if (!session) return;
+    this.sessions.delete(sid);
+
+    this.sessions.forEach(other => {
+      other.forwarded.forEach((entry, trackId) => {
+        if (entry.owner !== sid) return;
+        try { other.pc.removeTrack(entry.sender); } catch (e) {}
+        other.forwarded.delete(trackId);
+      });
+      this.deliver(other, { type: 'leave', sid });
+    });
+    try { session.pc.close(); } catch (e) {}
+  }
+
+  /**
+   * @private
+   */
+  forward(owner, target, track, stream) {
+    if (target.forwarded.has(track.id)) return;
+    const sender = target.pc.addTrack(track, stream);
+    target.forwarded.set(track.id, { sender, owner: owner.sid });
+    this.deliver(target, { type: 'tracks', streams: { [stream.id]: owner.sid } });
+  }
+
+  /**
+   * @private
+   */
+  unforward(owner, track) {
+    owner.published.delete(track.id);
+    this.sessions.forEach(other => {
+      const entry = other.forwarded.get(track.id);
+      if (!entry) return;
+      try { other.pc.removeTrack(entry.sender); } catch (e) {}
+      other.forwarded.delete(track.id);
+    });
+  }
+
+  /**
+   * 处理成员发来的协商消息（SFU 为 impolite 一方）
+   * @private
+   */
+  handleMessage(session, message) {
+    if (this.sessions.get(session.sid) !== session) return;
+    const { pc } = session;
+
+    session.queue = session.queue.then(async () => {
+      if (message.type === 'description') {
+        const { description } = message;
+        const offerCollision = description.type === 'offer' && (session.makingOffer || pc.signalingState !== 'stable');
+        if (offerCollision) return;
+        await pc.setRemoteDescription(description);
+        if (description.type === 'offer') {
+          await pc.setLocalDescription();
+          this.deliver(session, { type: 'description', description: MeshTopology.serializeDescription(pc.localDescription) });
+        }
+      } else if (message.type === 'candidate') {
+        await pc.addIceCandidate(message.candidate).catch(() => {});
+      }
+    }).catch(error => console.warn('LocalSfu: failed to handle message', message.type, error));
+  }
+
+  /**
+   * 异步投递消息，模拟网络
+   * @private
+   */
+  deliver(session, message) {
+    const payload = JSON.stringify(message);
+    setTimeout(() => session.handlers.forEach(handler => handler(JSON.parse(payload))), 0);
+  }
+}
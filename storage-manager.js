@@ -28,7 +28,7 @@ class StorageManager {
   loadMessages(room) {
     try {
       const messages = JSON.parse(localStorage.getItem(this.storageKeyMessages(room)) || '[]');
-      return this.normalizeAIMessages(messages, room);
+      return this.normalizeMessages(messages, room);
     } catch (e) { return []; }
   }
 
@@ -36,6 +36,43 @@ class StorageManager {
     try { localStorage.setItem(this.storageKeyMessages(room), JSON.stringify(msgs)); } catch (e) {}
   }
 
+  /**
+   * 编辑一条已保存的消息（只改原作者的普通消息）
+   * @param {string} room - 房间名
+   * @param {string} id - 消息 ID
+   * @param {string} author - 发出编辑的用户
+   * @param {string} text - 修改后的内容
+   * @param {number} editedAt - 编辑时间
+   * @returns {boolean} 是否找到并修改
+   */
+  editMessage(room, id, author, text, editedAt) {
+    return this.updateMessage(room, id, author, { text, edited: editedAt });
+  }
+
+  /**
+   * 删除一条已保存的消息：保留位置，正文清空并标记 deleted，显示为「已删除」
+   * @param {string} room - 房间名
+   * @param {string} id - 消息 ID
+   * @param {string} author - 发出删除的用户
+   * @returns {boolean} 是否找到并删除
+   */
+  deleteMessage(room, id, author) {
+    return this.updateMessage(room, id, author, { text: '', deleted: true });
+  }
+
+  /**
+   * @private
+   */
+  updateMessage(room, id, author, changes) {
+    const messages = this.loadMessages(room);
+    const index = messages.findIndex(m => m.id === id);
+    const msg = messages[index];
+    if (!msg || msg.user !== author || (msg.type && msg.type !== 'text') || msg.deleted) return false;
+    messages[index] = { ...msg, ...changes };
+    this.saveMessages(room, messages);
+    return true;
+  }
+
   getLastMsgTimestamp(room) {
     try { return Number(localStorage.getItem(this.storageKeyLastMsg(room)) || 0); } catch (e) { return 0; }
   }
@@ -45,51 +82,44 @@ class StorageManager {
   }
 
   /**
-   * 标准化 AI 消息并去重
-   * 解决旧客户端将 AI 消息存为调用者名义的问题
-   * @param {Array} messages - 原始消息数组
+   * 标准化消息并去重（有消息 ID 的按 ID 去重）
+   * 解决旧客户端将 AI 消息存为调用者名义、以及把信封头部原样存入正文的问题（解析规则见 MessageEnvelope）
+   * @param {Array} messages - 原始消息数组 [{ user, text, timestamp, id?, type?, edited?, deleted? }]
    * @param {string} room - 房间名
    * @returns {Array} 标准化后的消息数组
    */
-  normalizeAIMessages(messages, room) {
+  normalizeMessages(messages, room) {
     if (!Array.isArray(messages) || messages.length === 0) {
       return messages;
     }
 
-    // 获取所有 AI 人设列表
-    const aiPersonas = window.AIConfig ? window.AIConfig.getAllDisplayNames() : [];
-    if (aiPersonas.length === 0) {
-      return messages; // AIConfig 未加载，跳过标准化
+    // MessageEnvelope 或 AIConfig 未加载时无法识别，跳过标准化
+    if (typeof MessageEnvelope === 'undefined' || !window.AIConfig) {
+      return messages;
     }
 
     let modified = false;
     const normalized = [];
-    const seen = new Set(); // 用于去重：timestamp_user_text
+    const seen = new Set(); // 用于去重：有消息 ID 的按 ID，较早的没有 ID 的按 timestamp_user_text
 
     for (const msg of messages) {
       let { user, text, timestamp } = msg;
-      let isAIMessage = false;
-
-      // 检测是否是 AI 消息（带 [Persona] 前缀）
-      for (const persona of aiPersonas) {
-        const prefix = `[${persona}]`;
-        if (text && text.startsWith(prefix)) {
-          // 这是一条 AI 消息
-          isAIMessage = true;
-          const cleanText = text.slice(prefix.length).trim();
-
-          // 标准化：将 user 改为 AI 名，text 去掉前缀
-          if (user !== persona || text !== cleanText) {
-            user = persona;
-            text = cleanText;
-            modified = true;
-          }
-          break;
+      let stored = msg;
+
+      // 已经标准化过的消息（带 type）不再解析，避免把正文恰好以 [人设] 开头的普通消息误判
+      if (!msg.type && typeof text === 'string') {
+        const envelope = MessageEnvelope.decode(text, user);
+        if (envelope.sender !== user || envelope.body !== text || envelope.id) {
+          user = envelope.sender;
+          text = envelope.type === MessageEnvelope.TYPES.AI ? envelope.body.trim() : envelope.body;
+          stored = { ...msg, user, text, type: envelope.type };
+          if (envelope.id) stored.id = envelope.id;
+          modified = true;
         }
       }
 
       // 去重：生成唯一键
-      const key = `${timestamp}_${user}_${text}`;
+      const key = stored.id ? `id:${stored.id}` : `${timestamp}_${user}_${text}`;
       if (seen.has(key)) {
         // 这是重复消息，跳过
         modified = true;
@@ -98,7 +128,7 @@ class StorageManager {
       seen.add(key);
 
       // 添加标准化后的消息
-      normalized.push({ user, text, timestamp });
+      normalized.push(stored);
     }
 
     // 如果有修改，保存回 localStorage
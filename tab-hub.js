@@ -0,0 +1,590 @@
+/**
+ * TabHub - 多标签页共享房间连接
+ * 同一浏览器打开多个标签页时，每个房间只由一个标签页（主标签页）连接服务器，
+ * 其他标签页（从标签页）经由 BroadcastChannel 借用它的连接：
+ * - 选主：Web Locks（每个房间一把锁），持有锁的标签页是主标签页；从标签页排队等锁，
+ *   主标签页关闭或离开房间后由排在最前的从标签页接替
+ * - 主标签页把服务器消息转发给从标签页，代从标签页发出消息；
+ *   从标签页加入时，主标签页用当前成员列表和最近的消息（快照）代替服务器回放
+ * - 服务器只看到主标签页一个会话，成员列表中不再出现重复的自己
+ * - 服务器按顺序回复每一帧（回显、错误或 pong）：主标签页记下每一帧由哪个标签页发出，
+ *   错误和 pong 只交给发出那一帧的标签页
+ * - 共享的会话只有一个用户名：任一标签页改名（rename()）都由主标签页用新名字重新连接，其他标签页随之改名
+ * - 主标签页的连接断开后，从标签页不自己计重连次数，而是跟随主标签页的连接状态（publishState() / watch()）
+ *
+ * 对 WebSocketManager 来说，TabHub.connect() 返回的对象与普通传输（WebSocket）接口相同：
+ * 主标签页上它包着真正的连接，从标签页上它是一个经由 BroadcastChannel 的虚拟连接（shared 为 true）
+ *
+ * @example
+ * const tabs = new TabHub();
+ * const wsManager = new WebSocketManager({ tabs });
+ */
+class TabHub {
+  static CHANNEL = 'nightcord-tabs';
+  static LOCK_PREFIX = 'nightcord-connection:';
+  // 快照中最多带多少条最近的消息（与服务器回放条数一致）
+  static HISTORY_LIMIT = 100;
+  // 从标签页等待主标签页应答的时间，超时视为连接失败
+  static REPLY_TIMEOUT = 3000;
+
+  /**
+   * 当前环境是否支持（需要 BroadcastChannel 和 Web Locks）
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof BroadcastChannel === 'function' &&
+      typeof navigator !== 'undefined' && !!navigator.locks && typeof navigator.locks.request === 'function';
+  }
+
+  /**
+   * @param {Object} [config] - 配置对象
+   * @param {Function} [config.BroadcastChannel] - BroadcastChannel 构造函数，可替换用于测试
+   * @param {LockManager} [config.locks] - Web Locks 实现，可替换用于测试
+   * @param {Function} [config.onRename] - 其他标签页改了名，本标签页也应改用该名字时的回调 (name) => void
+   */
+  constructor(config = {}) {
+    const BroadcastChannelImpl = config.BroadcastChannel || window.BroadcastChannel;
+    this.locks = config.locks || navigator.locks;
+    this.onRename = config.onRename || (() => {});
+    this.channel = new BroadcastChannelImpl(TabHub.CHANNEL);
+    this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+
+    // 本标签页持有的锁：base -> 释放函数
+    this.held = new Map();
+    // 排队等锁：base -> AbortController
+    this.waiting = new Map();
+    // 作为主标签页的连接状态：base -> { socket, roster, history, ready（最近的 ready 消息）, name, pending }
+    this.leading = new Map();
+    // 作为从标签页的虚拟连接
+    this.followers = new Set();
+    // 主标签页最近公布的连接状态：base -> { state, info }
+    this.leaderStates = new Map();
+    // 跟随主标签页连接状态的回调：base -> Set<handler>
+    this.watchers = new Map();
+  }
+
+  /**
+   * 主标签页公布自己的连接状态（见 WebSocketManager.STATES），本标签页不是主标签页时忽略
+   * @param {string} base
+   * @param {string} state
+   * @param {Object} [info] - 如 { delay }（backing-off 时距离下次重连的毫秒数）
+   */
+  publishState(base, state, info = {}) {
+    if (this.held.has(base)) this.post({ type: 'state', base, state, info });
+  }
+
+  /**
+   * 跟随主标签页的连接状态：handler(state, info) 在主标签页公布状态时调用（先补上最近一次非 open 的状态）；
+   * 本标签页接替为主标签页时以 state 为 'leader' 调用
+   * @param {string} base
+   * @param {Function} handler
+   * @returns {Function} 取消跟随
+   */
+  watch(base, handler) {
+    if (!this.watchers.has(base)) this.watchers.set(base, new Set());
+    this.watchers.get(base).add(handler);
+    const last = this.leaderStates.get(base);
+    if (last && last.state !== 'open') setTimeout(() => this.notifyWatchers(base, last.state, last.info, handler), 0);
+    return () => {
+      const handlers = this.watchers.get(base);
+      if (handlers) handlers.delete(handler);
+    };
+  }
+
+  /**
+   * @private
+   * @param {Function} [only] - 只通知这一个（补发最近的状态时）
+   */
+  notifyWatchers(base, state, info, only) {
+    const handlers = this.watchers.get(base);
+    if (!handlers) return;
+    Array.from(handlers)
+      .filter(handler => !only || handler === only)
+      .forEach(handler => {
+        try {
+          handler(state, info || {});
+        } catch (e) {
+          console.error('TabHub: watcher failed', e);
+        }
+      });
+  }
+
+  /**
+   * 创建一个连接：本标签页能成为主标签页时用 createSocket() 建立真正的连接，否则借用主标签页的连接
+   * @param {string} base - `<hostname>/api/room/<roomname>`，每个 base 单独选主
+   * @param {Function} createSocket - 创建真正连接的函数
+   * @returns {TabSocket}
+   */
+  connect(base, createSocket) {
+    // 切换了房间：让出其他房间的主标签页身份
+    Array.from(this.held.keys()).filter(other => other !== base).forEach(other => this.release(other));
+    Array.from(this.waiting.keys()).filter(other => other !== base).forEach(other => this.release(other));
+    return new TabSocket(this, base, createSocket);
+  }
+
+  /**
+   * 本标签页是否是某个房间的主标签页
+   * @param {string} base
+   * @returns {boolean}
+   */
+  isLeader(base) {
+    return this.held.has(base);
+  }
+
+  /**
+   * 让出主标签页身份并停止排队（离开房间时调用）；省略 base 时释放全部
+   * @param {string} [base]
+   */
+  release(base) {
+    const bases = base ? [base] : Array.from(new Set([...this.held.keys(), ...this.waiting.keys()]));
+    bases.forEach(key => {
+      const release = this.held.get(key);
+      if (release) {
+        this.held.delete(key);
+        this.stopLeading(key);
+        release();
+      }
+      const controller = this.waiting.get(key);
+      if (controller) {
+        this.waiting.delete(key);
+        controller.abort();
+      }
+    });
+  }
+
+  /**
+   * 本标签页改了名（在重新连接之前调用）：主标签页通知从标签页改用新名字，
+   * 从标签页请主标签页用新名字重新连接（服务器只在握手时接受名字）
+   * @param {string} name - 新用户名
+   */
+  rename(name) {
+    this.held.forEach((release, base) => this.post({ type: 'renamed', base, name }));
+    this.followers.forEach(socket => this.post({ type: 'rename', base: socket.base, name }));
+  }
+
+  /**
+   * 尝试立即成为主标签页
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  acquire(base) {
+    if (this.held.has(base)) return Promise.resolve(true);
+    return new Promise(resolve => {
+      this.locks.request(TabHub.LOCK_PREFIX + base, { ifAvailable: true }, lock => {
+        if (!lock) {
+          resolve(false);
+          return null;
+        }
+        resolve(true);
+        // 一直持有，直到 release() 或页面关闭
+        return new Promise(release => this.held.set(base, release));
+      }).catch(() => resolve(false));
+    });
+  }
+
+  /**
+   * 排队等锁，轮到时接替主标签页：关闭当前的虚拟连接，由 WebSocketManager 重连时建立真正的连接
+   * @private
+   */
+  waitForLeadership(base) {
+    if (this.waiting.has(base) || this.held.has(base)) return;
+    const controller = new AbortController();
+    this.waiting.set(base, controller);
+    this.locks.request(TabHub.LOCK_PREFIX + base, { signal: controller.signal }, () => {
+      this.waiting.delete(base);
+      return new Promise(release => {
+        this.held.set(base, release);
+        this.leaderStates.delete(base);
+        Array.from(this.followers)
+          .filter(socket => socket.base === base)
+          .forEach(socket => socket.fail(new Error('leader changed')));
+        this.notifyWatchers(base, 'leader');
+      });
+    }).catch(() => {});
+  }
+
+  /**
+   * 作为主标签页：记录成员和最近的消息，把服务器消息转发给从标签页
+   * @private
+   * @param {string} base
+   * @param {Object} socket - 真正的连接
+   * @param {Function} deliver - 把属于本标签页的服务器消息交给本标签页的 TabSocket
+   */
+  startLeading(base, socket, deliver) {
+    // pending：已发出、还没有得到回复的帧 { from（从标签页 ID，主标签页自己为 null）, message }
+    const state = { socket, roster: new Set(), history: [], ready: false, name: null, pending: [] };
+    this.leading.set(base, state);
+
+    socket.addEventListener('message', (event) => {
+      if (this.leading.get(base) !== state) {
+        deliver(event);
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        deliver(event);
+        return;
+      }
+      if (data.joined) state.roster.add(data.joined);
+      if (data.quit) state.roster.delete(data.quit);
+      if (data.ready) state.ready = data;
+      // 之后单独声明的慢速模式也记入，新加入的从标签页才能按同样的间隔发送
+      if (data.slowMode !== undefined && !data.ready && state.ready) state.ready = { ...state.ready, slowMode: data.slowMode };
+      if (data.timestamp) {
+        state.history.push(data);
+        if (state.history.length > TabHub.HISTORY_LIMIT) state.history.shift();
+      }
+      const owner = this.takeReply(state, data);
+      // 错误和 pong 只交给发出那一帧的标签页
+      if (data.error || data.pong !== undefined) {
+        if (owner) {
+          this.post({ type: 'frame', base, to: owner, data: event.data });
+        } else {
+          deliver(event);
+        }
+        return;
+      }
+      deliver(event);
+      this.post({ type: 'frame', base, data: event.data });
+    });
+    const handleEnd = () => {
+      if (this.leading.get(base) !== state) return;
+      this.stopLeading(base);
+    };
+    socket.addEventListener('close', handleEnd);
+    socket.addEventListener('error', handleEnd);
+  }
+
+  /**
+   * 主标签页经由真正的连接发出一帧后，记下由哪个标签页发出
+   * @private
+   * @param {string} base
+   * @param {string} text - 发出的消息
+   * @param {string|null} from - 从标签页 ID，主标签页自己为 null
+   */
+  track(base, text, from) {
+    const state = this.leading.get(base);
+    if (!state) return;
+
+    let data = null;
+    try { data = JSON.parse(text); } catch (e) {}
+    if (!data) return;
+    if (data.name !== undefined && data.message === undefined) {
+      // 握手：记下服务器会话的用户名，用于识别回显
+      state.name = data.name;
+      return;
+    }
+    state.pending.push({ from, message: data.message });
+    if (state.pending.length > TabHub.HISTORY_LIMIT) state.pending.shift();
+  }
+
+  /**
+   * 服务器的回复对应哪一帧：错误和 pong 对应最早未回复的一帧，回显按内容对应
+   * @private
+   * @returns {string|null} 发出那一帧的从标签页 ID；主标签页自己的或不是回复时为 null
+   */
+  takeReply(state, data) {
+    if (data.error || data.pong !== undefined) {
+      const entry = state.pending.shift();
+      return entry ? entry.from : null;
+    }
+    if (data.timestamp && data.name === state.name && typeof data.message === 'string') {
+      const index = state.pending.findIndex(entry => entry.message === data.message);
+      // 之前的帧都已有回复（服务器按顺序处理）
+      if (index !== -1) state.pending.splice(0, index + 1);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  stopLeading(base) {
+    if (!this.leading.delete(base)) return;
+    this.post({ type: 'down', base });
+  }
+
+  /**
+   * 主标签页的连接是否可用
+   * @private
+   */
+  getOpenLeading(base) {
+    const state = this.leading.get(base);
+    return state && state.socket.readyState === 1 ? state : null;
+  }
+
+  /**
+   * @private
+   */
+  handleChannelMessage(message) {
+    if (!message || !message.base) return;
+
+    // 主标签页：应答从标签页
+    if (['hello', 'join', 'send', 'rename'].includes(message.type)) {
+      if (this.held.has(message.base)) this.handleFollowerRequest(message);
+      return;
+    }
+
+    // 从标签页：主标签页的连接状态
+    if (message.type === 'state') {
+      if (this.held.has(message.base)) return;
+      this.leaderStates.set(message.base, { state: message.state, info: message.info });
+      this.notifyWatchers(message.base, message.state, message.info);
+      return;
+    }
+
+    // 从标签页：主标签页已改名
+    if (message.type === 'renamed') {
+      if (Array.from(this.followers).some(socket => socket.base === message.base)) this.onRename(message.name);
+      return;
+    }
+
+    // 从标签页：分发给对应的虚拟连接
+    this.followers.forEach(socket => socket.handleChannelMessage(message));
+  }
+
+  /**
+   * @private
+   */
+  handleFollowerRequest(message) {
+    const state = this.getOpenLeading(message.base);
+    switch (message.type) {
+      case 'hello':
+        this.post({ type: state ? 'welcome' : 'down', base: message.base, to: message.from });
+        return;
+      case 'join':
+        if (!state) {
+          this.post({ type: 'down', base: message.base, to: message.from });
+          return;
+        }
+        this.post({ type: 'snapshot', base: message.base, to: message.from, frames: this.createSnapshot(state, message.since) });
+        return;
+      case 'send':
+        if (state) {
+          try {
+            state.socket.send(message.data);
+            this.track(message.base, message.data, message.from);
+          } catch (e) {}
+        }
+        return;
+      case 'rename':
+        this.onRename(message.name);
+        return;
+    }
+  }
+
+  /**
+   * 用当前成员列表和最近的消息代替服务器回放
+   * @private
+   * @returns {string[]} 依次投递的消息
+   */
+  createSnapshot(state, since = 0) {
+    const frames = Array.from(state.roster).map(name => ({ joined: name }));
+    state.history.filter(data => data.timestamp > since).forEach(data => frames.push(data));
+    if (state.ready) {
+      // 原样转发 ready（慢速模式等）；续传结果只对主标签页自己的握手成立，从标签页按快照本身判断有没有缺口
+      const { resumed, truncated, ...ready } = state.ready;
+      frames.push(ready);
+    }
+    return frames.map(data => JSON.stringify(data));
+  }
+
+  /**
+   * @private
+   */
+  post(message) {
+    try {
+      this.channel.postMessage(message);
+    } catch (e) {
+      console.warn('TabHub: failed to post message', e);
+    }
+  }
+}
+
+/**
+ * TabSocket - TabHub.connect() 返回的连接，接口与 WebSocket 相同
+ * 先决定主从：主标签页上转发真正连接的事件，从标签页上经由 BroadcastChannel 与主标签页通信
+ */
+class TabSocket {
+  /**
+   * @param {TabHub} hub
+   * @param {string} base
+   * @param {Function} createSocket
+   */
+  constructor(hub, base, createSocket) {
+    this.hub = hub;
+    this.base = base;
+    this.id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    this.readyState = 0;
+    // 是否借用其他标签页的连接
+    this.shared = false;
+    this.socket = null;
+    this.listeners = {};
+    this.replyTimer = null;
+    // 从标签页：收到快照之前不投递转发的消息，避免与快照重复
+    this.synced = false;
+
+    hub.acquire(base).then(leader => {
+      if (this.readyState === 3) return;
+      if (leader) {
+        this.lead(createSocket);
+      } else {
+        this.follow();
+      }
+    });
+  }
+
+  /**
+   * @param {string} type - 'open' | 'message' | 'close' | 'error'
+   * @param {Function} handler
+   */
+  addEventListener(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  /**
+   * @param {string} text
+   */
+  send(text) {
+    if (this.readyState !== 1) throw new Error('TabSocket is not open');
+    if (this.socket) {
+      this.socket.send(text);
+      this.hub.track(this.base, text, null);
+      return;
+    }
+    // 握手：向主标签页要快照，而不是转发给服务器（服务器只认主标签页的会话）
+    let data = null;
+    try { data = JSON.parse(text); } catch (e) {}
+    if (data && data.name !== undefined && data.message === undefined) {
+      this.hub.post({ type: 'join', base: this.base, from: this.id, since: data.since || 0 });
+      this.waitForReply();
+      return;
+    }
+    this.hub.post({ type: 'send', base: this.base, from: this.id, data: text });
+  }
+
+  close() {
+    if (this.readyState === 3) return;
+    this.readyState = 3;
+    this.cleanup();
+    if (this.socket) {
+      this.socket.close();
+    } else {
+      setTimeout(() => this.dispatch('close', { code: 1000, reason: '', wasClean: true }), 0);
+    }
+  }
+
+  /**
+   * 作为主标签页：建立真正的连接并转发其事件
+   * @private
+   */
+  lead(createSocket) {
+    let socket;
+    try {
+      socket = createSocket();
+    } catch (e) {
+      this.fail(e);
+      return;
+    }
+    this.socket = socket;
+    // 服务器消息由 TabHub 过滤后交回（属于从标签页的错误和 pong 不交给本标签页）
+    this.hub.startLeading(this.base, socket, (event) => this.dispatch('message', event));
+    socket.addEventListener('open', (event) => {
+      this.readyState = socket.readyState;
+      this.dispatch('open', event);
+    });
+    socket.addEventListener('error', (event) => {
+      this.readyState = 3;
+      this.dispatch('error', event);
+    });
+    socket.addEventListener('close', (event) => {
+      this.readyState = 3;
+      this.dispatch('close', event);
+    });
+  }
+
+  /**
+   * 作为从标签页：确认主标签页的连接可用后打开
+   * @private
+   */
+  follow() {
+    this.shared = true;
+    this.hub.followers.add(this);
+    this.hub.waitForLeadership(this.base);
+    this.hub.post({ type: 'hello', base: this.base, from: this.id });
+    this.waitForReply();
+  }
+
+  /**
+   * @private
+   */
+  handleChannelMessage(message) {
+    if (message.base !== this.base || this.readyState === 3) return;
+    if (message.to && message.to !== this.id) return;
+
+    switch (message.type) {
+      case 'welcome':
+        clearTimeout(this.replyTimer);
+        if (this.readyState !== 0) return;
+        this.readyState = 1;
+        this.dispatch('open', {});
+        break;
+      case 'snapshot':
+        clearTimeout(this.replyTimer);
+        this.synced = true;
+        message.frames.forEach(data => this.dispatch('message', { data }));
+        break;
+      case 'frame':
+        if (this.synced) this.dispatch('message', { data: message.data });
+        break;
+      case 'down':
+        // 主标签页的连接断了（它会自己重连）：由使用方跟随主标签页的状态，而不是自己重连
+        this.leaderDown = true;
+        this.fail(new Error('leader disconnected'));
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  waitForReply() {
+    clearTimeout(this.replyTimer);
+    this.replyTimer = setTimeout(() => this.fail(new Error('leader did not reply')), TabHub.REPLY_TIMEOUT);
+  }
+
+  /**
+   * 从标签页的虚拟连接失效（主标签页断开、换主或无应答）
+   * @private
+   */
+  fail(error) {
+    if (this.readyState === 3 || this.socket) return;
+    this.readyState = 3;
+    this.cleanup();
+    this.dispatch('error', { error });
+    this.dispatch('close', { code: 1006, reason: error.message, wasClean: false });
+  }
+
+  /**
+   * @private
+   */
+  cleanup() {
+    clearTimeout(this.replyTimer);
+    this.hub.followers.delete(this);
+  }
+
+  /**
+   * @private
+   */
+  dispatch(type, event) {
+    (this.listeners[type] || []).forEach(handler => {
+      try {
+        handler(event);
+      } catch (e) {
+        console.error('TabSocket: listener failed', type, e);
+      }
+    });
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * 两个 VoiceManager 经由 LoopbackSignaling 加入语音并互相看到对方
+ * 浏览器接口（RTCPeerConnection、MediaStream、AudioContext）用最小的假实现代替，不需要真实设备
+ *
+ * 运行：node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// 与 index.html 中的加载顺序一致
+const SCRIPTS = ['event-bus.js', 'room-signaling.js', 'rtc-topology.js', 'voice-audio.js', 'voice-stats.js', 'voice-recorder.js', 'voice-mgr.js'];
+
+let nextId = 0;
+const createId = (prefix) => `${prefix}${++nextId}`;
+
+class FakeTrack {
+  constructor(kind) {
+    this.kind = kind;
+    this.id = createId('track');
+    this.enabled = true;
+    this.readyState = 'live';
+  }
+
+  clone() {
+    return new FakeTrack(this.kind);
+  }
+
+  stop() {
+    this.readyState = 'ended';
+  }
+}
+
+class FakeMediaStream {
+  constructor(tracks = []) {
+    this.id = createId('stream');
+    this.tracks = [...tracks];
+  }
+
+  getTracks() { return [...this.tracks]; }
+  getAudioTracks() { return this.tracks.filter(track => track.kind === 'audio'); }
+  getVideoTracks() { return this.tracks.filter(track => track.kind === 'video'); }
+  addTrack(track) { this.tracks.push(track); }
+  removeTrack(track) { this.tracks = this.tracks.filter(t => t !== track); }
+}
+
+/**
+ * 同一进程内的 RTCPeerConnection：SDP 只是连接的 ID，应用对方的 answer 时两端即连通，
+ * 并把各自发送的轨道交给对方的 ontrack
+ */
+class FakePeerConnection {
+  static byDescription = new Map();
+
+  constructor() {
+    this.id = createId('pc');
+    this.senders = [];
+    this.signalingState = 'stable';
+    this.connectionState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.remote = null;
+    this.needsNegotiation = false;
+  }
+
+  addTrack(track, stream) {
+    const sender = { track, stream, replaceTrack: async (next) => { sender.track = next; } };
+    this.senders.push(sender);
+    this.scheduleNegotiation();
+    return sender;
+  }
+
+  removeTrack(sender) {
+    this.senders = this.senders.filter(s => s !== sender);
+    this.scheduleNegotiation();
+  }
+
+  getSenders() {
+    return [...this.senders];
+  }
+
+  async setLocalDescription(description) {
+    const type = (description && description.type) || (this.signalingState === 'have-remote-offer' ? 'answer' : 'offer');
+    const sdp = `${this.id}:${this.senders.length}`;
+    FakePeerConnection.byDescription.set(sdp, this);
+    this.localDescription = { type, sdp };
+    this.needsNegotiation = false;
+    this.signalingState = type === 'offer' ? 'have-local-offer' : 'stable';
+    if (type === 'answer') this.connect();
+    setTimeout(() => {
+      if (this.onicecandidate) this.onicecandidate({ candidate: { toJSON: () => ({ candidate: this.id }) } });
+    }, 0);
+  }
+
+  async setRemoteDescription(description) {
+    this.remoteDescription = description;
+    this.remote = FakePeerConnection.byDescription.get(description.sdp);
+    // 本端也在发 offer 时隐式回滚
+    this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+    if (description.type === 'answer') this.connect();
+  }
+
+  async addIceCandidate() {
+    if (!this.remoteDescription) throw new Error('no remote description');
+  }
+
+  createDataChannel(label) {
+    return { label, readyState: 'connecting', send() {}, close() {} };
+  }
+
+  getStats() {
+    return Promise.resolve(new Map());
+  }
+
+  close() {
+    this.connectionState = 'closed';
+  }
+
+  /**
+   * @private
+   */
+  scheduleNegotiation() {
+    if (this.needsNegotiation) return;
+    this.needsNegotiation = true;
+    setTimeout(() => {
+      if (this.needsNegotiation && this.signalingState === 'stable' && this.onnegotiationneeded) this.onnegotiationneeded();
+    }, 0);
+  }
+
+  /**
+   * @private
+   */
+  connect() {
+    setTimeout(() => {
+      if (this.connectionState === 'closed' || this.connectionState === 'connected') return;
+      this.connectionState = 'connected';
+      if (this.onconnectionstatechange) this.onconnectionstatechange();
+      if (this.remote && this.ontrack) {
+        this.remote.senders.forEach(({ track, stream }) => this.ontrack({ track, streams: [stream] }));
+      }
+    }, 0);
+  }
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.currentTime = 0;
+    this.destination = {};
+  }
+
+  createNode(extra = {}) {
+    return { connect: (node) => node, disconnect() {}, ...extra };
+  }
+
+  createMediaStreamSource(stream) { return this.createNode({ mediaStream: stream }); }
+  createAnalyser() { return this.createNode({ fftSize: 512, getFloatTimeDomainData(buffer) { buffer.fill(0); } }); }
+  createGain() { return this.createNode({ gain: { value: 1, setTargetAtTime(value) { this.value = value; } } }); }
+  createDynamicsCompressor() {
+    const param = () => ({ value: 0 });
+    return this.createNode({ threshold: param(), knee: param(), ratio: param(), attack: param(), release: param() });
+  }
+  createMediaStreamDestination() { return this.createNode({ stream: new FakeMediaStream([new FakeTrack('audio')]) }); }
+  resume() { return Promise.resolve(); }
+  close() { return Promise.resolve(); }
+}
+
+/**
+ * 在独立的上下文中加载页面脚本，类之间像浏览器中一样共享全局作用域
+ */
+function loadScripts() {
+  const storage = new Map();
+  const unref = (timer) => {
+    // 采样和统计的定时器不阻止测试进程退出
+    if (timer && timer.unref) timer.unref();
+    return timer;
+  };
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval: (...args) => unref(setInterval(...args)),
+    clearInterval,
+    MediaStream: FakeMediaStream,
+    RTCPeerConnection: FakePeerConnection,
+    localStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key)
+    }
+  });
+  context.window = context;
+  SCRIPTS.forEach(file => {
+    const code = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+  return vm.runInContext('({ EventBus, LoopbackSignaling, VoiceManager })', context);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 等待条件成立，超时则失败
+ */
+async function waitFor(check, message, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > deadline) assert.fail(message);
+    await wait(5);
+  }
+}
+
+test('two VoiceManagers join over LoopbackSignaling and exchange rosters', async () => {
+  const { EventBus, LoopbackSignaling, VoiceManager } = loadScripts();
+  const hub = new Set();
+
+  const createVoice = (username) => {
+    const eventBus = new EventBus();
+    const rosters = [];
+    eventBus.on('voice:roster', ({ participants }) => rosters.push(participants));
+    const voice = new VoiceManager({
+      eventBus,
+      signaling: new LoopbackSignaling({ username, hub }),
+      getUserMedia: () => Promise.resolve(new FakeMediaStream([new FakeTrack('audio')])),
+      RTCPeerConnection: FakePeerConnection,
+      createAudioContext: () => new FakeAudioContext(),
+      createAudioElement: () => ({ play: () => Promise.resolve() }),
+      statsInterval: 60000
+    });
+    return { voice, rosters };
+  };
+
+  const k = createVoice('K');
+  const amia = createVoice('Amia');
+
+  try {
+    assert.equal(await k.voice.join(), true);
+    assert.equal(await amia.voice.join(), true);
+
+    const sees = (self, other) => self.voice.getParticipants()
+      .some(p => !p.self && p.username === other && p.connected);
+    await waitFor(() => sees(k, 'Amia') && sees(amia, 'K'), 'members did not connect to each other');
+
+    // 展开成本上下文的数组，deepEqual 才不会因为原型来自另一个上下文而失败
+    const names = (self) => [...self.voice.getParticipants()].map(p => `${p.username}${p.self ? '*' : ''}`).sort();
+    assert.deepEqual(names(k), ['Amia', 'K*']);
+    assert.deepEqual(names(amia), ['Amia*', 'K']);
+    // 名单变化经由 voice:roster 通知界面
+    assert.ok(k.rosters.some(participants => participants.some(p => p.username === 'Amia')));
+    assert.ok(amia.rosters.some(participants => participants.some(p => p.username === 'K')));
+
+    // 离开后对方的名单随之更新
+    amia.voice.leave();
+    await waitFor(() => !k.voice.getParticipants().some(p => p.username === 'Amia'), 'K still lists Amia after Amia left');
+  } finally {
+    k.voice.leave();
+    amia.voice.leave();
+  }
+});
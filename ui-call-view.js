@@ -0,0 +1,190 @@
+/**
+ * CallView - 通话视图模块
+ * 负责：
+ * 1) 把语音中的摄像头和屏幕共享渲染为视频平铺
+ * 2) 停靠在消息列表旁边（右侧或上方），停靠位置保存在 localStorage
+ * 3) 点击某个画面放大（聚焦），再次点击恢复平铺
+ * 只订阅 voice:video 事件，不直接访问 VoiceManager
+ */
+(function (global) {
+  class CallView {
+    static STORAGE_KEY = 'nightcord-call-view';
+    static DOCK_POSITIONS = ['side', 'top'];
+
+    /**
+     * @param {Object} options
+     * @param {EventBus} options.eventBus - 事件总线
+     * @param {HTMLElement} options.container - 通话视图容器（#call-view）
+     * @param {HTMLElement} [options.dockTarget] - 停靠的父容器（.chat-body），用于切换布局
+     */
+    constructor({ eventBus, container, dockTarget } = {}) {
+      this.eventBus = eventBus;
+      this.container = container;
+      this.dockTarget = dockTarget || (container ? container.parentElement : null);
+
+      // `${sid}:${kind}` -> { tile, video, stream }
+      this.tiles = new Map();
+      this.focusedKey = null;
+      this.collapsed = false;
+      this.dock = this.loadDock();
+
+      this.init();
+    }
+
+    init() {
+      if (!this.eventBus || !this.container) return;
+
+      this.grid = this.container.querySelector('.call-grid');
+      const dockButton = this.container.querySelector('#call-view-dock');
+      if (dockButton) {
+        dockButton.addEventListener('click', () => this.setDock(this.dock === 'side' ? 'top' : 'side'));
+      }
+      const collapseButton = this.container.querySelector('#call-view-collapse');
+      if (collapseButton) {
+        collapseButton.addEventListener('click', () => {
+          this.collapsed = true;
+          this.updateVisibility();
+        });
+      }
+
+      this.applyDock();
+      this.eventBus.on('voice:video', (data) => this.render(data.videos || []));
+    }
+
+    /**
+     * 设置停靠位置
+     * @param {string} dock - 'side' | 'top'
+     */
+    setDock(dock) {
+      if (!CallView.DOCK_POSITIONS.includes(dock)) return;
+      this.dock = dock;
+      this.saveDock();
+      this.applyDock();
+    }
+
+    /**
+     * 渲染视频平铺（复用已有的 video 元素，避免画面闪烁）
+     * @param {Array} videos - VoiceManager.getVideoStreams() 的结果
+     */
+    render(videos) {
+      const keys = new Set();
+      let added = false;
+
+      videos.forEach(item => {
+        const key = `${item.sid}:${item.kind}`;
+        keys.add(key);
+        let entry = this.tiles.get(key);
+        if (!entry) {
+          entry = this.createTile(key, item);
+          this.tiles.set(key, entry);
+          this.grid.appendChild(entry.tile);
+          added = true;
+        }
+        if (entry.stream !== item.stream) {
+          entry.stream = item.stream;
+          entry.video.srcObject = item.stream;
+          const playing = entry.video.play && entry.video.play();
+          if (playing && playing.catch) playing.catch(() => {});
+        }
+        entry.label.textContent = item.kind === 'screen' ? `${item.username} 的屏幕` : item.username;
+      });
+
+      Array.from(this.tiles.keys()).forEach(key => {
+        if (keys.has(key)) return;
+        const entry = this.tiles.get(key);
+        entry.video.srcObject = null;
+        entry.tile.remove();
+        this.tiles.delete(key);
+        if (this.focusedKey === key) this.focusedKey = null;
+      });
+
+      // 有新画面出现时重新展开
+      if (added) this.collapsed = false;
+      this.updateFocus();
+      this.updateVisibility();
+    }
+
+    /**
+     * @private
+     */
+    createTile(key, item) {
+      const tile = document.createElement('div');
+      tile.className = `call-tile ${item.kind}`;
+      tile.dataset.key = key;
+
+      const video = document.createElement('video');
+      video.autoplay = true;
+      video.playsInline = true;
+      // 声音由 VoiceManager 的音频元素播放
+      video.muted = true;
+      if (item.self && item.kind === 'camera') video.classList.add('mirrored');
+
+      const label = document.createElement('span');
+      label.className = 'call-tile-label';
+
+      tile.appendChild(video);
+      tile.appendChild(label);
+      tile.title = '点击放大 / 还原';
+      tile.addEventListener('click', () => {
+        this.focusedKey = this.focusedKey === key ? null : key;
+        this.updateFocus();
+      });
+
+      return { tile, video, label, stream: null };
+    }
+
+    /**
+     * @private
+     */
+    updateFocus() {
+      this.grid.classList.toggle('has-focus', !!this.focusedKey);
+      this.tiles.forEach((entry, key) => entry.tile.classList.toggle('focused', key === this.focusedKey));
+      this.grid.dataset.count = String(this.tiles.size);
+    }
+
+    /**
+     * @private
+     */
+    updateVisibility() {
+      const visible = this.tiles.size > 0 && !this.collapsed;
+      this.container.classList.toggle('hidden', !visible);
+      if (this.dockTarget) this.dockTarget.classList.toggle('in-call', visible);
+    }
+
+    /**
+     * @private
+     */
+    applyDock() {
+      if (this.dockTarget) {
+        CallView.DOCK_POSITIONS.forEach(dock => this.dockTarget.classList.toggle(`dock-${dock}`, dock === this.dock));
+      }
+      const dockButton = this.container.querySelector('#call-view-dock');
+      if (dockButton) dockButton.title = this.dock === 'side' ? '停靠到上方' : '停靠到右侧';
+    }
+
+    /**
+     * @private
+     */
+    loadDock() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(CallView.STORAGE_KEY) || '{}');
+        return CallView.DOCK_POSITIONS.includes(saved.dock) ? saved.dock : 'side';
+      } catch (e) {
+        return 'side';
+      }
+    }
+
+    /**
+     * @private
+     */
+    saveDock() {
+      try {
+        localStorage.setItem(CallView.STORAGE_KEY, JSON.stringify({ dock: this.dock }));
+      } catch (e) {
+        console.warn('Failed to save call view settings:', e);
+      }
+    }
+  }
+
+  global.CallView = CallView;
+})(window);
@@ -0,0 +1,112 @@
+/**
+ * ComposerContext - 输入框上方的编辑 / 回复提示条
+ * 负责：
+ * 1) 编辑自己的消息时显示「正在编辑」，并把原内容放入输入框（composer:edit）
+ * 2) 回复某条消息时显示被回复的发送者和内容，输入框保持不变（composer:reply）
+ * 3) 点击 ✕ 或在输入框中按 Esc 取消（composer:cancel）；取消编辑时清空输入框
+ * 回车时由 UIManager 读取当前状态（get()），决定发送新消息、回复还是编辑
+ */
+(function (global) {
+  class ComposerContext {
+    // 提示条中原内容最多显示多少个字符
+    static PREVIEW_LENGTH = 60;
+
+    /**
+     * @param {Object} options
+     * @param {EventBus} options.eventBus - 事件总线
+     * @param {HTMLElement} options.container - 提示条容器（#composer-context）
+     * @param {HTMLInputElement} [options.input] - 聊天输入框
+     */
+    constructor({ eventBus, container, input } = {}) {
+      this.eventBus = eventBus;
+      this.container = container;
+      this.input = input;
+
+      // 当前状态：{ mode: 'edit' | 'reply', id, text, user? }，null 表示发送新消息
+      this.context = null;
+
+      this.init();
+    }
+
+    init() {
+      if (!this.eventBus || !this.container) return;
+
+      this.eventBus.on('composer:edit', (data) => this.set({ mode: 'edit', id: data.id, text: data.text }));
+      this.eventBus.on('composer:reply', (data) => this.set({ mode: 'reply', id: data.id, text: data.text, user: data.user }));
+      this.eventBus.on('composer:cancel', () => this.clear());
+      this.eventBus.on('room:joining', () => this.clear());
+
+      if (this.input) {
+        // 自动补全列表打开时 Esc 先关闭列表（已 preventDefault）
+        this.input.addEventListener('keydown', (event) => {
+          if (event.key !== 'Escape' || event.defaultPrevented || !this.context) return;
+          event.preventDefault();
+          this.clear();
+        });
+      }
+    }
+
+    /**
+     * 当前状态
+     * @returns {{mode: string, id: string, text: string, user?: string}|null}
+     */
+    get() {
+      return this.context;
+    }
+
+    /**
+     * @private
+     */
+    set(context) {
+      // 从编辑切换到回复时不保留编辑中的内容
+      if (this.context && this.context.mode === 'edit' && this.input) this.input.value = '';
+      this.context = context;
+      if (this.input) {
+        if (context.mode === 'edit') this.input.value = context.text;
+        this.input.focus();
+      }
+      this.render();
+    }
+
+    /**
+     * 退出编辑 / 回复；退出编辑时清空输入框
+     */
+    clear() {
+      if (!this.context) return;
+      const editing = this.context.mode === 'edit';
+      this.context = null;
+      if (editing && this.input) this.input.value = '';
+      this.render();
+    }
+
+    /**
+     * @private
+     */
+    render() {
+      this.container.classList.toggle('hidden', !this.context);
+      this.container.innerHTML = '';
+      if (!this.context) return;
+
+      const label = document.createElement('span');
+      label.className = 'composer-context-label';
+      label.textContent = this.context.mode === 'edit' ? '正在编辑' : `回复 ${this.context.user}`;
+      const preview = document.createElement('span');
+      preview.className = 'composer-context-preview';
+      const text = this.context.text;
+      preview.textContent = text.length > ComposerContext.PREVIEW_LENGTH
+        ? text.slice(0, ComposerContext.PREVIEW_LENGTH) + '…'
+        : text;
+      const cancel = document.createElement('button');
+      cancel.className = 'composer-context-cancel';
+      cancel.textContent = '✕';
+      cancel.title = '取消（Esc）';
+      cancel.addEventListener('click', () => this.clear());
+
+      this.container.appendChild(label);
+      this.container.appendChild(preview);
+      this.container.appendChild(cancel);
+    }
+  }
+
+  global.ComposerContext = ComposerContext;
+})(window);
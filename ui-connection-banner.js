@@ -0,0 +1,176 @@
+/**
+ * ConnectionBanner - 连接状态提示条模块
+ * 负责：
+ * 1) 根据 connection:state 在聊天区顶部显示连接中 / 断线重连倒计时 / 已停止重连 / 网络断开
+ * 2) 提供「立即重试」按钮（发出 connection:retry）
+ * 3) 断线期间有点对点通道时提示消息仍可收发（peer:status）
+ * 4) 聊天区标题栏的信号强度指示（connection:latency），悬停显示网络和消息时延
+ * 只通过事件总线与 NightcordManager 通信
+ */
+(function (global) {
+  class ConnectionBanner {
+    // 首次连接通常很快，超过该时间仍未连上才显示「正在连接」，避免改名重连时闪烁
+    static CONNECTING_DELAY = 1500;
+    static QUALITY_LABELS = { good: '良好', fair: '一般', poor: '差', unknown: '未知' };
+    // 消息时延比网络时延高出该值时，判断为服务器处理慢（毫秒）
+    static SERVER_SLOW_MARGIN = 500;
+
+    /**
+     * 生成时延说明，区分网络差和服务器慢
+     * @param {Object} latency - connection:latency 事件数据（见 WebSocketManager.getLatency()）
+     * @returns {string}
+     */
+    static describeLatency(latency) {
+      const { network, message, quality } = latency;
+      const parts = [`连接质量：${ConnectionBanner.QUALITY_LABELS[quality]}`];
+      if (network) parts.push(`网络往返 ${network.average} ms（抖动 ${network.jitter} ms）`);
+      if (message) parts.push(`消息往返 ${message.average} ms`);
+      if (network && message && message.average - network.average > ConnectionBanner.SERVER_SLOW_MARGIN) {
+        parts.push('网络正常，服务器响应较慢');
+      } else if (quality === 'poor') {
+        parts.push('网络较差');
+      }
+      return parts.join('\n');
+    }
+
+    /**
+     * @param {Object} options
+     * @param {EventBus} options.eventBus - 事件总线
+     * @param {HTMLElement} options.container - 提示条容器（#connection-banner）
+     * @param {HTMLElement} [options.indicator] - 信号强度指示（#connection-quality）
+     */
+    constructor({ eventBus, container, indicator } = {}) {
+      this.eventBus = eventBus;
+      this.container = container;
+      this.indicator = indicator;
+
+      this.status = { state: 'idle' };
+      this.peers = 0;
+      this.countdownTimer = null;
+      this.connectingTimer = null;
+
+      this.init();
+    }
+
+    init() {
+      if (!this.eventBus || !this.container) return;
+
+      this.text = this.container.querySelector('.connection-banner-text');
+      this.retryButton = this.container.querySelector('#connection-retry');
+      if (this.retryButton) {
+        this.retryButton.addEventListener('click', () => this.eventBus.emit('connection:retry'));
+      }
+
+      this.eventBus.on('connection:state', (data) => {
+        this.update(data);
+        // 断开后旧的时延不再有意义
+        if (data.state !== 'open') this.setQuality({ network: null, message: null, quality: 'unknown' }, '未连接');
+      });
+      this.eventBus.on('connection:latency', (data) => this.setQuality(data));
+      this.eventBus.on('peer:status', (data) => {
+        this.peers = data.peers;
+        this.render();
+      });
+    }
+
+    /**
+     * @param {Object} status - connection:state 事件数据
+     */
+    update(status) {
+      this.status = status;
+      clearTimeout(this.connectingTimer);
+      this.connectingTimer = null;
+
+      if (status.state === 'connecting') {
+        this.hide();
+        this.connectingTimer = setTimeout(() => {
+          this.connectingTimer = null;
+          this.render();
+        }, ConnectionBanner.CONNECTING_DELAY);
+        return;
+      }
+      this.render();
+    }
+
+    /**
+     * @private
+     */
+    render() {
+      if (this.connectingTimer) return;
+      const { state, attempt, maxAttempts, nextRetryAt, reason } = this.status;
+      const relay = this.peers > 0 ? `，消息暂经由点对点连接发给 ${this.peers} 位成员` : '';
+      const attempts = maxAttempts > 0 ? `${attempt}/${maxAttempts}` : `${attempt}`;
+      let text = null;
+      let retry = false;
+
+      switch (state) {
+        case 'connecting':
+          text = '正在连接服务器…';
+          break;
+        case 'reconnecting':
+          text = `正在重新连接（第 ${attempts} 次）…${relay}`;
+          break;
+        case 'backing-off': {
+          const seconds = Math.max(0, Math.ceil((nextRetryAt - Date.now()) / 1000));
+          text = `与服务器的连接已断开，${seconds} 秒后第 ${attempts} 次重连${relay}`;
+          retry = true;
+          break;
+        }
+        case 'offline':
+          text = `无法连接服务器，已停止自动重连${relay}`;
+          retry = true;
+          break;
+        case 'paused':
+          if (reason === 'network') {
+            text = `网络已断开，恢复后将自动重连${relay}`;
+          } else {
+            text = '标签页在后台时间较长，已断开连接';
+            retry = true;
+          }
+          break;
+      }
+
+      this.setCountdown(state === 'backing-off');
+      if (!text) {
+        this.hide();
+        return;
+      }
+      this.text.textContent = text;
+      this.container.classList.toggle('offline', state === 'offline' || state === 'paused');
+      if (this.retryButton) this.retryButton.classList.toggle('hidden', !retry);
+      this.container.classList.remove('hidden');
+    }
+
+    hide() {
+      this.container.classList.add('hidden');
+      this.setCountdown(false);
+    }
+
+    /**
+     * 更新信号强度指示
+     * @private
+     * @param {Object} latency - 见 WebSocketManager.getLatency()
+     * @param {string} [title] - 提示文字，省略时由时延生成
+     */
+    setQuality(latency, title) {
+      if (!this.indicator) return;
+      this.indicator.className = `voice-quality connection-quality ${latency.quality}`;
+      this.indicator.title = title || ConnectionBanner.describeLatency(latency);
+    }
+
+    /**
+     * 等待重连期间每秒刷新倒计时
+     * @private
+     */
+    setCountdown(active) {
+      if (active && !this.countdownTimer) {
+        this.countdownTimer = setInterval(() => this.render(), 1000);
+      } else if (!active && this.countdownTimer) {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+      }
+    }
+  }
+
+  global.ConnectionBanner = ConnectionBanner;
+})(window);
@@ -19,6 +19,16 @@ class UIManager {
   static MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
   static TWELVE_HOURS_MS = UIManager.MILLISECONDS_PER_DAY / 2;
   static STICKER_WIDTH_THRESHOLD = 180;
+  // 跳转到被回复的消息后高亮多久（毫秒）
+  static HIGHLIGHT_DURATION = 2000;
+  // 跳转到不在列表中的消息时，一并从本地存储取出它前后各多少条
+  static JUMP_CONTEXT = 20;
+  // 自己发出的消息的投递状态标记（见 NightcordManager.MESSAGE_STATUS）
+  static MESSAGE_STATUS_LABELS = {
+    pending: { icon: '○', title: '等待发送' },
+    sent: { icon: '✓', title: '已发出' },
+    delivered: { icon: '✓✓', title: '已送达' }
+  };
 
   /**
    * 简单节流函数，确保处理器每 wait 毫秒最多执行一次
@@ -50,8 +60,10 @@ class UIManager {
     this.scrollThreshold = 150; // 距离底部超过此像素数认为在阅读历史消息
     this.interactionTimeWindow = 5000; // 5秒内有用户交互活动则不自动滚动
 
-    // Nako AI 相关：跟踪本地显示的消息，用于去重
-    this.localNakoMessages = new Map(); // fullContent -> { timestamp, messageId }
+    // 自己发出、还没确认送达的消息：消息 ID -> 消息数据（见 updateMessageStatus）
+    this.ownMessages = new Map();
+    // 本次断线是否已提示过点对点收发
+    this.relayNoticeShown = false;
 
     // DOM elements
     this.elements = {
@@ -65,6 +77,16 @@ class UIManager {
       chatlog: document.querySelector("#messages"),
       chatInput: document.querySelector("#messageInput"),
       roster: document.querySelector("#voice-users"),
+      voiceChannel: document.querySelector("#voice-channel"),
+      voiceControls: document.querySelector("#voice-controls"),
+      callView: document.querySelector("#call-view"),
+      recordingBanner: document.querySelector("#recording-banner"),
+      connectionBanner: document.querySelector("#connection-banner"),
+      connectionQuality: document.querySelector("#connection-quality"),
+      rateLimitNotice: document.querySelector("#rate-limit-notice"),
+      composerContext: document.querySelector("#composer-context"),
+      attachButton: document.querySelector('.input-btns button[title="附件"]'),
+      fileInput: document.querySelector("#file-input"),
     };
 
     this.onSetUser = null;
@@ -73,8 +95,19 @@ class UIManager {
     this.currentRoom = null;
     // 每条消息对象只保留 user/text/timestamp 存入 localStorage；渲染层会补充 avatar/color/time
     this.messages = [];
+    // 当前房间本地存储的消息及按 ID 的索引 { room, messages, index }，查找被回复的消息时使用；存储变化时置空
+    this.storedLookup = null;
     this.lastMsgTimestamp = 0;
     this.roster = [];
+    // 语音成员：username -> { sid, username, self, connected }
+    this.voiceParticipants = new Map();
+    this.voiceActive = false;
+    // 通话质量：username -> VoiceManager.getCallStats() 的一项
+    this.voiceStats = new Map();
+    // 文件传输卡片：transferId -> 消息对象（不保存到本地存储）
+    this.transfers = new Map();
+    // 发件箱中未发出的消息：outboxId -> 消息对象（保存在 MessageOutbox 中，不进入本地消息记录）
+    this.outboxMessages = new Map();
 
     this.systemIcon = `<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M13,10.69v2.72H10.23V10.69Zm3,0v2.69h2.69V10.72ZM23.29,12A11.31,11.31,0,1,1,12,.67,11.31,11.31,0,0,1,23.29,12Zm-.18.07a8.87,8.87,0,1,0-8.87,8.86A8.87,8.87,0,0,0,23.11,12.05Z" fill="white"></path></svg>`;
 
@@ -105,6 +138,61 @@ class UIManager {
       this.stickerService = null;
     }
 
+    if (typeof VoiceControls !== 'undefined' && this.elements.voiceControls) {
+      this.voiceControls = new VoiceControls({
+        eventBus: this.eventBus,
+        container: this.elements.voiceControls,
+        settingsPanel: document.querySelector('#voice-settings'),
+        volumePanel: document.querySelector('#voice-volume')
+      });
+    } else {
+      console.warn('VoiceControls not available, voice control bar disabled');
+      this.voiceControls = null;
+    }
+
+    if (typeof CallView !== 'undefined' && this.elements.callView) {
+      this.callView = new CallView({
+        eventBus: this.eventBus,
+        container: this.elements.callView,
+        dockTarget: document.querySelector('#chat-body')
+      });
+    } else {
+      console.warn('CallView not available, video tiles disabled');
+      this.callView = null;
+    }
+
+    if (typeof ConnectionBanner !== 'undefined' && this.elements.connectionBanner) {
+      this.connectionBanner = new ConnectionBanner({
+        eventBus: this.eventBus,
+        container: this.elements.connectionBanner,
+        indicator: this.elements.connectionQuality
+      });
+    } else {
+      console.warn('ConnectionBanner not available, connection state banner disabled');
+      this.connectionBanner = null;
+    }
+
+    if (typeof RateLimitNotice !== 'undefined' && this.elements.rateLimitNotice) {
+      this.rateLimitNotice = new RateLimitNotice({
+        eventBus: this.eventBus,
+        container: this.elements.rateLimitNotice
+      });
+    } else {
+      console.warn('RateLimitNotice not available, send cooldown hints disabled');
+      this.rateLimitNotice = null;
+    }
+
+    if (typeof VoiceStatsPanel !== 'undefined' && this.elements.voiceControls) {
+      this.voiceStatsPanel = new VoiceStatsPanel({
+        eventBus: this.eventBus,
+        container: document.querySelector('#voice-stats'),
+        toggleButton: document.querySelector('#voice-stats-toggle')
+      });
+    } else {
+      console.warn('VoiceStatsPanel not available, call diagnostics disabled');
+      this.voiceStatsPanel = null;
+    }
+
     if (typeof AutocompleteManager !== 'undefined') {
       this.autocomplete = new AutocompleteManager({
         input: this.elements.chatInput,
@@ -117,6 +205,18 @@ class UIManager {
       console.warn('AutocompleteManager not available, mention/sticker autocomplete disabled');
       this.autocomplete = null;
     }
+
+    // 在自动补全之后创建：自动补全列表打开时由它先处理 Esc
+    if (typeof ComposerContext !== 'undefined' && this.elements.composerContext) {
+      this.composerContext = new ComposerContext({
+        eventBus: this.eventBus,
+        container: this.elements.composerContext,
+        input: this.elements.chatInput
+      });
+    } else {
+      console.warn('ComposerContext not available, message editing disabled');
+      this.composerContext = null;
+    }
   }
 
   /**
@@ -126,42 +226,49 @@ class UIManager {
   setupEventListeners() {
     // 设置移动端菜单
     this.setupMobileMenu();
+    this.setupVoiceChannel();
+    this.setupAttachment();
     
     // Subscribe to chat room events
     this.eventBus.on('message:received', (data) => {
       // 只存储非系统消息
       if (data.name === '系统') return;
 
-      // 如果是 Nako 消息，检查是否是本地刚发送的
-      if (data.isNako) {
-        const local = this.localNakoMessages.get(data.message);
-        if (local) {
-          // 这是本地刚显示过的 Nako 消息，忽略广播
-          this.localNakoMessages.delete(data.message);
-          return;
-        }
-
-        // 检查是否已经有本地流式消息元素（通过内容匹配）
-        const existingLocalMsg = Array.from(this.elements.chatlog.querySelectorAll('[data-local-nako-message="true"]'))
-          .find(el => {
-            const textEl = el.querySelector('.message-text');
-            return textEl && textEl.textContent.trim() === data.message.trim();
-          });
-
-        if (existingLocalMsg) {
-          return;
-        }
+      // 按 ID 去重：自己发出后先显示的（包括本地显示的 AI 回复）、经由点对点和服务器各收到一次的
+      const existing = data.id ? this.findMessage(data.id) : null;
+      if (existing) {
+        if (this.ownMessages.has(data.id)) this.confirmMessage(existing, data.timestamp);
+        return;
       }
-
-      // 检查本地是否已存在该消息（通过时间戳和内容简单去重）
-      const exists = this.messages.some(
-        m => m.text === data.message && m.user === data.name && Math.abs(m.timestamp - data.timestamp) < 1000
-      );
-      if (!exists) {
-        this.addChatMessage(data.name, data.message, data.timestamp);
+      this.addChatMessage(data.name, data.message, data.timestamp, undefined, undefined, { id: data.id, type: data.type, unverified: data.unverified, replyTo: data.replyTo });
+    });
+    this.eventBus.on('message:status', (data) => this.updateMessageStatus(data));
+    this.eventBus.on('message:edited', (data) => this.applyMessageEdit(data));
+    this.eventBus.on('message:deleted', (data) => this.applyMessageDelete(data));
+    this.eventBus.on('message:received', (data) => {
+      // 第一次经由点对点收发消息时提示一次
+      if (!data.relayed || this.relayNoticeShown) return;
+      this.relayNoticeShown = true;
+      this.addChatMessage('系统', '与服务器的连接已断开，消息正经由点对点连接在在线成员之间收发。', null, this.systemIcon, 'bg-default');
+    });
+    this.eventBus.on('relay:reconciled', (data) => {
+      this.relayNoticeShown = false;
+      if (data.count > 0) {
+        this.addChatMessage('系统', `已重新连上服务器，断线期间发出的 ${data.count} 条消息已同步到服务器。`, null, this.systemIcon, 'bg-default');
       }
     });
-    this.eventBus.on('message:error', (data) => this.showError(data.error));
+    this.eventBus.on('connection:open', () => { this.relayNoticeShown = false; });
+    this.eventBus.on('history:gap', (data) => {
+      // 断线期间的消息没能全部从服务器取回，在补回的消息之前标出缺口
+      this.addChatMessage('系统', `⋯ ${this.formatDate(data.since)} 至 ${this.formatDate(data.until)} 之间的部分消息未能从服务器取回`, null, this.systemIcon, 'bg-default');
+    });
+    this.eventBus.on('message:error', (data) => this.handleMessageError(data));
+    this.eventBus.on('room:slowmode', (data) => {
+      const text = data.interval > 0
+        ? `本房间已开启慢速模式：每 ${Math.ceil(data.interval / 1000)} 秒可发送一条消息`
+        : '本房间已关闭慢速模式';
+      this.addSystemMessage(text, null, this.systemIcon, 'bg-default');
+    });
     this.eventBus.on('message:sent', () => this.clearChatInput());
     this.eventBus.on('user:joined', (data) => this.addUserToRoster(data.username));
     this.eventBus.on('user:quit', (data) => this.removeUserFromRoster(data.username));
@@ -178,34 +285,45 @@ class UIManager {
       let localMsgs = (this.storage ? this.storage.loadMessages(room) : this.loadLocalMessages(room)) || [];
       if (serverMsgs.length > 0 && localMsgs.length > 0) {
         const minServerTs = Math.min(...serverMsgs.map(m => m.timestamp));
+        // 本地按发出时间保存的消息（如本地显示的 AI 回复）可能早于服务器时间戳，按 ID 排除
+        const serverIds = new Set(serverMsgs.map(m => m.id).filter(Boolean));
         // 只取比服务器最早一条还早的本地消息
-        localMsgs = localMsgs.filter(m => m.timestamp < minServerTs && m.user !== '系统');
+        localMsgs = localMsgs.filter(m => m.timestamp < minServerTs && m.user !== '系统' && !(m.id && serverIds.has(m.id)));
+      }
+      // 合并：本地早期消息 + 服务器消息，并写回本地存储（服务器只保留最近的消息）
+      const merged = [...localMsgs, ...serverMsgs].slice(-2000);
+      if (serverMsgs.length > 0) {
+        const stored = merged.map(({ user, text, timestamp, id, type, unverified, edited, deleted, replyTo }) => this.createStoredMessage(user, text, timestamp, { id, type, unverified, edited, deleted, replyTo }));
+        if (this.storage) this.storage.saveMessages(room, stored); else this.saveLocalMessages(room, stored);
+        this.storedLookup = null;
+      }
+      this.messages = merged.map(m => this.createMessageDataFromStored(m));
+      // 文件传输卡片不在服务器历史中，按时间插回
+      if (this.transfers.size > 0) {
+        this.messages = [...this.messages, ...this.transfers.values()].sort((a, b) => a.timestamp - b.timestamp);
       }
-      // 合并：本地早期消息 + 服务器消息
-      this.messages = [...localMsgs, ...serverMsgs].map(m => {
-        // 兼容老数据
-        const { user, text, timestamp } = m;
-        const { name, avatar, color } = this.generateAvatar(user);
-        return {
-          user: name,
-          avatar,
-          color,
-          time: timestamp ? this.formatDate(timestamp) : '',
-          text,
-          timestamp
-        };
-      });
-      // 渲染
-      this.renderMessages();
       // 记录最新消息时间戳 到 per-room lastmsg
       if (this.messages.length > 0) {
         const lastTs = this.messages[this.messages.length - 1].timestamp;
+        this.lastMsgTimestamp = lastTs;
         if (this.storage) this.storage.setLastMsgTimestamp(room, lastTs); else this.setLastMsgTimestamp(room, lastTs);
       }
+      // 未发出的消息始终排在最后
+      this.messages.push(...this.outboxMessages.values());
+      // 渲染
+      this.renderMessages();
       // 欢迎消息
       this.showWelcomeMessages(data);
     });
     this.eventBus.on('error', (data) => this.showError(data.message));
+    this.eventBus.on('voice:roster', (data) => this.updateVoiceParticipants(data.active, data.participants));
+    this.eventBus.on('voice:error', (data) => this.showError(data.message));
+    this.eventBus.on('voice:speaking', (data) => this.updateSpeakingIndicator(data.username, data.speaking));
+    this.eventBus.on('voice:stats', (data) => this.updateCallQuality(data.stats));
+    this.eventBus.on('voice:recording:saved', (data) => this.saveRecordings(data.recordings));
+    this.eventBus.on('file:update', (data) => this.updateTransfer(data.transfer));
+    this.eventBus.on('file:error', (data) => this.showError(data.message));
+    this.eventBus.on('outbox:update', (data) => this.updateOutbox(data.items));
 
     // Nako AI 事件监听
     this.setupNakoEventListeners();
@@ -232,24 +350,16 @@ class UIManager {
       const cleanContent = data.fullContent.trim();
       const reasoning = data.reasoning || ''; // 思考过程
 
-      // 标记为本地已显示，用于去重
-      this.localNakoMessages.set(cleanContent, {
-        timestamp: Date.now(),
-        messageId: data.messageId
-      });
+      // 本地显示与广播使用同一个消息 ID，收到广播的回显时按 ID 去重
+      const id = typeof MessageEnvelope !== 'undefined' ? MessageEnvelope.createId() : undefined;
 
       // 完成流式显示
-      this.finishStreamingMessage(data.messageId, data.user, cleanContent, reasoning);
+      this.finishStreamingMessage(data.messageId, data.user, cleanContent, reasoning, id);
 
-      // 通过 WebSocket 发送给所有人（带人设标记，如 [Nako] 或 [Asagi]）
+      // 通过 WebSocket 发送给所有人（带人设标记，如 [Nako] 或 [Asagi]），附上 Nako 服务的签名供其他用户验证
       if (this.onSendMessage) {
-        this.onSendMessage(`[${data.user}]${cleanContent}`);
+        this.onSendMessage(cleanContent, { type: 'ai', sender: data.user, skipRateLimit: true, signature: data.signature, id });
       }
-
-      // 5秒后清理去重标记（防止内存泄漏）
-      setTimeout(() => {
-        this.localNakoMessages.delete(cleanContent);
-      }, 5000);
     });
 
     // Nako 错误
@@ -461,24 +571,16 @@ class UIManager {
   }
 
   setCurrentRoom(roomname) {
+    // 文件传输卡片只属于当前房间
+    if (roomname !== this.currentRoom) this.transfers.clear();
     this.currentRoom = roomname;
     this.elements.roomName.textContent = roomname;
     // 切换到新房间时，尝试从本地存储加载消息并渲染（若随后有 room:ready 会被覆盖为合并后的消息）
     try {
       const local = (this.storage ? this.storage.loadMessages(this.currentRoom || 'nightcord-default') : this.loadLocalMessages(this.currentRoom || 'nightcord-default'));
       // transform similar to room:ready: ensure fields for rendering
-      this.messages = (Array.isArray(local) ? local : []).map(m => {
-        const { user, text, timestamp } = m;
-        const { name, avatar, color } = this.generateAvatar(user);
-        return {
-          user: name,
-          avatar,
-          color,
-          time: timestamp ? this.formatDate(timestamp) : '',
-          text,
-          timestamp
-        };
-      });
+      this.messages = (Array.isArray(local) ? local : []).map(m => this.createMessageDataFromStored(m));
+      this.messages.push(...this.outboxMessages.values());
       this.lastMsgTimestamp = this.storage ? this.storage.getLastMsgTimestamp(this.currentRoom || 'nightcord-default') : this.getLastMsgTimestamp(this.currentRoom || 'nightcord-default');
       this.renderMessages();
     } catch (e) {
@@ -557,13 +659,59 @@ class UIManager {
     this.roster.forEach(user => {
       const div = document.createElement('div');
       div.className = 'voice-user';
+      div.dataset.username = user.name;
       div.innerHTML = `
           <div class="voice-user-info">
             <span class="avatar ${user.color}">${user.avatar}</span>
             <span style="font-size:14px;">${user.name}</span>
           </div>
         `;
-      // 只有是自己才可点击
+      const participant = this.voiceParticipants.get(user.name);
+      if (participant) {
+        div.classList.add('in-voice');
+        if (participant.speaking) div.querySelector('.avatar').classList.add('speaking');
+        const status = document.createElement('span');
+        status.className = 'voice-status';
+        if (participant.deafened) {
+          status.textContent = '🔕';
+          status.title = '已闭麦';
+        } else if (participant.muted) {
+          status.textContent = '🔇';
+          status.title = '已静音';
+        } else {
+          status.textContent = '🔊';
+          status.title = '语音中';
+        }
+        if (participant.camera) {
+          status.textContent += '📷';
+          status.title += '，摄像头已开启';
+        }
+        if (participant.screen) {
+          status.textContent += '🖥️';
+          status.title += '，正在共享屏幕';
+        }
+        if (participant.recording) {
+          status.textContent += '🔴';
+          status.title += '，正在录音';
+        }
+        if (!participant.self && !participant.connected) {
+          status.classList.add('pending');
+          status.title += '（未连接）';
+        }
+        div.appendChild(status);
+        this.renderQualityIndicator(div, user.name);
+      }
+      if (participant && !participant.self && this.voiceActive && this.voiceControls) {
+        // 语音中的其他成员：点击调节音量
+        const volume = participant.volume === undefined ? 1 : participant.volume;
+        div.style.cursor = 'pointer';
+        div.title = volume === 1 ? '点击调节音量' : `点击调节音量（当前 ${Math.round(volume * 100)}%）`;
+        div.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.voiceControls.showVolume(participant);
+        });
+      }
+      // 只有是自己才可修改昵称
       if (user.name === currentName) {
         div.style.cursor = 'pointer';
         div.title = '点击修改你的昵称';
@@ -583,6 +731,354 @@ class UIManager {
     });
   }
 
+  /**
+   * 更新语音成员并刷新在线列表
+   * @param {boolean} active - 自己是否在语音中
+   * @param {Array} participants - 语音成员列表
+   */
+  updateVoiceParticipants(active, participants) {
+    this.voiceActive = !!active;
+    this.voiceParticipants = new Map((participants || []).map(p => [p.username, p]));
+    if (this.elements.voiceChannel) {
+      this.elements.voiceChannel.classList.toggle('active', this.voiceActive);
+      this.elements.voiceChannel.title = this.voiceActive ? '点击离开语音' : '点击加入语音';
+    }
+    if (this.voiceControls) {
+      this.voiceControls.update(this.voiceActive, (participants || []).find(p => p.self));
+    }
+    this.renderRecordingBanner();
+    this.renderVoiceUsers();
+  }
+
+  /**
+   * 有人录音时在聊天区顶部显示提示，所有房间成员（包括不在语音中的）都能看到
+   * @private
+   */
+  renderRecordingBanner() {
+    const banner = this.elements.recordingBanner;
+    if (!banner) return;
+    const names = Array.from(this.voiceParticipants.values())
+      .filter(p => p.recording)
+      .map(p => (p.self ? '你' : p.username));
+    banner.classList.toggle('hidden', names.length === 0);
+    banner.textContent = names.length > 0 ? `🔴 ${names.join('、')} 正在录制语音` : '';
+  }
+
+  /**
+   * 下载录音文件
+   * @param {Array} recordings - VoiceManager.stopRecording() 的结果
+   */
+  saveRecordings(recordings) {
+    if (!recordings || recordings.length === 0) return;
+    recordings.forEach(recording => {
+      const url = URL.createObjectURL(recording.blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = recording.name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      // 留出时间让浏览器开始下载
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    });
+    this.addChatMessage('系统', `录音已保存：${recordings.map(r => r.name).join('、')}`, null, this.systemIcon, 'bg-default');
+  }
+
+  /**
+   * 更新在线列表中某个用户的说话光圈（不重新渲染整个列表）
+   * @param {string} username - 用户名
+   * @param {boolean} speaking - 是否在说话
+   */
+  updateSpeakingIndicator(username, speaking) {
+    if (!username) return;
+    const participant = this.voiceParticipants.get(username);
+    if (participant) participant.speaking = speaking;
+    Array.from(this.elements.roster.querySelectorAll('.voice-user'))
+      .filter(el => el.dataset.username === username)
+      .forEach(el => {
+        const avatar = el.querySelector('.avatar');
+        if (avatar) avatar.classList.toggle('speaking', speaking);
+      });
+  }
+
+  /**
+   * 更新在线列表中每个语音成员的通话质量图标
+   * @param {Array} stats - VoiceManager.getCallStats() 的结果
+   */
+  updateCallQuality(stats) {
+    this.voiceStats = new Map((stats || []).map(entry => [entry.username, entry]));
+    this.elements.roster.querySelectorAll('.voice-user.in-voice').forEach(el => {
+      this.renderQualityIndicator(el, el.dataset.username);
+    });
+  }
+
+  /**
+   * 在语音成员行末尾显示信号格，鼠标悬停显示时延和丢包
+   * @private
+   */
+  renderQualityIndicator(div, username) {
+    let indicator = div.querySelector('.voice-quality');
+    const entry = this.voiceStats.get(username);
+    if (!entry) {
+      if (indicator) indicator.remove();
+      return;
+    }
+    if (!indicator) {
+      indicator = document.createElement('span');
+      indicator.innerHTML = '<i></i><i></i><i></i>';
+      div.appendChild(indicator);
+    }
+    indicator.className = `voice-quality ${entry.quality}`;
+    const rtt = Number.isFinite(entry.rtt) ? `${Math.round(entry.rtt)}ms` : '—';
+    const loss = Number.isFinite(entry.packetLoss) ? `${(entry.packetLoss * 100).toFixed(1)}%` : '—';
+    indicator.title = `延迟 ${rtt}，丢包 ${loss}`;
+  }
+
+  /**
+   * 绑定语音频道入口：点击加入/离开语音
+   * @private
+   */
+  setupVoiceChannel() {
+    const { voiceChannel } = this.elements;
+    if (!voiceChannel) return;
+    voiceChannel.title = '点击加入语音';
+    voiceChannel.addEventListener('click', () => {
+      this.eventBus.emit('voice:toggle', { join: !this.voiceActive });
+    });
+  }
+
+  /**
+   * 绑定附件按钮：选择文件后发起点对点传输
+   * @private
+   */
+  setupAttachment() {
+    const { attachButton, fileInput } = this.elements;
+    if (!attachButton || !fileInput) return;
+    attachButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      Array.from(fileInput.files || []).forEach(file => this.eventBus.emit('file:send', { file }));
+      // 清空以便再次选择同一文件
+      fileInput.value = '';
+    });
+  }
+
+  /**
+   * 新增或刷新文件传输卡片
+   * @param {Object} transfer - FileTransferManager 的传输信息
+   */
+  updateTransfer(transfer) {
+    if (!transfer) return;
+    let msg = this.transfers.get(transfer.id);
+    if (!msg) {
+      msg = this.createMessageData(transfer.username, '', Date.now());
+      msg.transfer = transfer;
+      this.transfers.set(transfer.id, msg);
+      this.messages.push(msg);
+
+      const msgDiv = this.createMessageElement(msg);
+      const streamingMsg = this.elements.chatlog.querySelector('.streaming');
+      if (streamingMsg) {
+        this.elements.chatlog.insertBefore(msgDiv, streamingMsg);
+      } else {
+        this.elements.chatlog.appendChild(msgDiv);
+      }
+      if (this.shouldAutoScrollToBottom()) {
+        this.elements.chatlog.scrollTop = this.elements.chatlog.scrollHeight;
+      }
+      return;
+    }
+
+    msg.transfer = transfer;
+    const card = Array.from(this.elements.chatlog.querySelectorAll('.message-file'))
+      .find(el => el.dataset.transferId === transfer.id);
+    if (card) card.replaceWith(this.createTransferCard(transfer));
+  }
+
+  /**
+   * 同步发件箱中未发出的消息：新增的显示为等待发送，已发出或已删除的移除
+   * @param {Array<Object>} items - NightcordManager.getOutbox() 的结果
+   */
+  updateOutbox(items = []) {
+    const ids = new Set(items.map(item => item.id));
+    const findElement = (id) => Array.from(this.elements.chatlog.querySelectorAll('.message.outbox'))
+      .find(el => el.dataset.outboxId === id);
+
+    this.outboxMessages.forEach((msg, id) => {
+      if (ids.has(id)) return;
+      this.outboxMessages.delete(id);
+      this.messages = this.messages.filter(m => m !== msg);
+      const el = findElement(id);
+      if (el) el.remove();
+    });
+
+    items.forEach(item => {
+      let msg = this.outboxMessages.get(item.id);
+      if (msg) {
+        if (msg.outbox.state === item.state) return;
+        msg.outbox = item;
+        const el = findElement(item.id);
+        if (el) el.replaceWith(this.createMessageElement(msg));
+        return;
+      }
+
+      msg = this.createMessageData(item.name, item.message, item.createdAt);
+      msg.outbox = item;
+      this.outboxMessages.set(item.id, msg);
+      this.messages.push(msg);
+      const msgDiv = this.createMessageElement(msg);
+      const streamingMsg = this.elements.chatlog.querySelector('.streaming');
+      if (streamingMsg) {
+        this.elements.chatlog.insertBefore(msgDiv, streamingMsg);
+      } else {
+        this.elements.chatlog.appendChild(msgDiv);
+      }
+      if (this.shouldAutoScrollToBottom()) {
+        this.elements.chatlog.scrollTop = this.elements.chatlog.scrollHeight;
+      }
+    });
+  }
+
+  /**
+   * 渲染发件箱消息的状态与重试 / 删除按钮
+   * @private
+   * @param {Object} item - 发件箱消息
+   * @returns {HTMLElement}
+   */
+  createOutboxStatus(item) {
+    const status = document.createElement('div');
+    status.className = 'message-outbox-status';
+    const text = document.createElement('span');
+    text.textContent = item.state === 'failed' ? '发送失败' : '等待连接后发送…';
+    status.appendChild(text);
+
+    const addButton = (label, event) => {
+      const button = document.createElement('button');
+      button.className = 'message-outbox-action';
+      button.textContent = label;
+      button.addEventListener('click', () => this.eventBus.emit(event, { id: item.id }));
+      status.appendChild(button);
+    };
+    if (item.state === 'failed') addButton('重试', 'outbox:retry');
+    addButton('删除', 'outbox:discard');
+    return status;
+  }
+
+  /**
+   * 渲染文件传输卡片
+   * @private
+   * @param {Object} transfer - 传输信息
+   * @returns {HTMLElement}
+   */
+  createTransferCard(transfer) {
+    const incoming = transfer.direction === 'incoming';
+    const card = document.createElement('div');
+    card.className = `message-file transfer-${transfer.state}`;
+    card.dataset.transferId = transfer.id;
+
+    const icon = document.createElement('div');
+    icon.className = 'file-icon';
+    icon.textContent = '📄';
+
+    const info = document.createElement('div');
+    info.className = 'file-info';
+    const name = document.createElement('div');
+    name.className = 'file-name';
+    name.textContent = transfer.name;
+    name.title = transfer.name;
+    const size = document.createElement('div');
+    size.className = 'file-size';
+    size.textContent = this.formatFileSize(transfer.size);
+    const status = document.createElement('div');
+    status.className = 'file-status';
+    info.appendChild(name);
+    info.appendChild(size);
+
+    const percent = transfer.size > 0 ? Math.floor((transfer.bytes / transfer.size) * 100) : 0;
+    const statusText = {
+      hashing: '正在准备…',
+      offered: incoming ? '邀请你接收文件' : '等待对方接收',
+      connecting: '正在连接…',
+      transferring: `${percent}%`,
+      interrupted: `连接中断，等待续传（${percent}%）`,
+      verifying: '正在校验…',
+      complete: incoming ? '已接收' : '已发送',
+      declined: '已拒绝',
+      cancelled: '已取消',
+      failed: transfer.error || '传输失败'
+    };
+    const receiverText = {
+      connecting: '连接中',
+      transferring: '接收中',
+      interrupted: '已中断',
+      verifying: '校验中',
+      complete: '已接收',
+      declined: '已拒绝',
+      cancelled: '已取消',
+      failed: '失败'
+    };
+    if (!incoming && transfer.receivers && transfer.receivers.length > 0 && transfer.state === 'offered') {
+      status.textContent = transfer.receivers.map(r => {
+        const progress = r.state === 'transferring' ? ` ${Math.floor((r.bytes / (transfer.size || 1)) * 100)}%` : '';
+        return `${r.username} ${receiverText[r.state] || ''}${progress}`;
+      }).join(' · ');
+    } else {
+      status.textContent = statusText[transfer.state] || '';
+    }
+    info.appendChild(status);
+
+    if (transfer.state === 'transferring' || transfer.state === 'interrupted') {
+      const progress = document.createElement('div');
+      progress.className = 'file-progress';
+      const bar = document.createElement('div');
+      bar.className = 'file-progress-bar';
+      bar.style.width = `${percent}%`;
+      progress.appendChild(bar);
+      info.appendChild(progress);
+    }
+
+    card.appendChild(icon);
+    card.appendChild(info);
+
+    const addButton = (label, title, event) => {
+      const button = document.createElement('button');
+      button.className = 'file-download';
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', () => this.eventBus.emit(event, { id: transfer.id }));
+      card.appendChild(button);
+    };
+
+    if (incoming && transfer.state === 'offered') {
+      addButton('✔', '接收', 'file:accept');
+      addButton('✖', '拒绝', 'file:decline');
+    } else if (incoming && transfer.state === 'complete' && transfer.url) {
+      const link = document.createElement('a');
+      link.className = 'file-download';
+      link.href = transfer.url;
+      link.download = transfer.name;
+      link.textContent = '⬇';
+      link.title = '保存';
+      card.appendChild(link);
+    } else if (['hashing', 'offered', 'connecting', 'transferring', 'interrupted'].includes(transfer.state)) {
+      addButton('✖', incoming ? '取消接收' : '撤回', 'file:cancel');
+    }
+
+    return card;
+  }
+
+  /**
+   * 格式化文件大小
+   * @private
+   * @param {number} bytes
+   * @returns {string}
+   */
+  formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+
   /**
    * 渲染消息列表
    */
@@ -686,16 +1182,16 @@ class UIManager {
    * @param {string} user - 用户名
    * @param {string} fullContent - 完整内容
    * @param {string} reasoning - 思考过程
+   * @param {string} [id] - 广播时使用的消息 ID，收到回显时据此去重
    */
-  finishStreamingMessage(messageId, user, fullContent, reasoning = '') {
+  finishStreamingMessage(messageId, user, fullContent, reasoning = '', id) {
     // 移除流式标记，但保留消息元素
     const msgDiv = this.elements.chatlog.querySelector(`[data-message-id="${messageId}"]`);
     if (msgDiv) {
       delete msgDiv.dataset.messageId;
       msgDiv.classList.remove('streaming');
-
-      // 标记这个消息元素，避免被 message:received 重复添加
-      msgDiv.dataset.localNakoMessage = 'true';
+      msgDiv.dataset.msgType = 'ai';
+      if (id) msgDiv.dataset.msgId = id;
 
       // 更新消息内容（去掉开头和结尾的空白）
       const textElement = msgDiv.querySelector('.message-text');
@@ -726,20 +1222,15 @@ class UIManager {
 
     // 保存到 messages 数组和 localStorage（使用清理后的内容）
     const cleanContent = fullContent.trim();
-    const messageData = this.createMessageData(user, cleanContent, Date.now());
+    const messageData = this.createMessageData(user, cleanContent, Date.now(), undefined, undefined, { type: 'ai', id });
     this.messages.push(messageData);
 
-    const msgObj = {
-      user: user,
-      text: cleanContent,
-      timestamp: messageData.timestamp
-    };
-    this.saveMessageToStorage(msgObj);
+    this.saveMessageToStorage(this.createStoredMessage(user, cleanContent, messageData.timestamp, { type: 'ai', id }));
   }
 
   /**
    * 设置聊天室界面
-   * @param {Function} onSendMessage - 发送消息时的回调函数 (message) => void
+   * @param {Function} onSendMessage - 发送消息时的回调函数 (message, options) => boolean，返回 false 表示被限流未发出
    * @param {Function} onSetUser - 设置用户名时的回调函数 (username) => void
    */
   setupChatRoom(onSendMessage, onSetUser) {
@@ -780,6 +1271,21 @@ class UIManager {
       if (event.key === "Enter" && !event.shiftKey && chatInput.value.trim() !== "") {
         let message = chatInput.value.trim();
 
+        // 正在编辑自己的消息：提交修改，收到服务器回显后退出编辑（见 applyMessageEdit）
+        const context = this.composerContext ? this.composerContext.get() : null;
+        if (context && context.mode === 'edit') {
+          event.preventDefault();
+          message = this.formatMessage(message);
+          if (message === context.text) {
+            this.composerContext.clear();
+          } else {
+            this.eventBus.emit('message:edit', { id: context.id, message });
+          }
+          return;
+        }
+        // 正在回复某条消息：发出的消息引用它，发出后退出回复
+        const replyOptions = context && context.mode === 'reply' ? { replyTo: context.id } : undefined;
+
         // 检测 /clear 命令（清除 Nako 上下文）
         if (message.match(/^\/clear$/i)) {
           event.preventDefault();
@@ -811,14 +1317,15 @@ class UIManager {
             return;
           }
 
+          // 先广播用户的问题（让所有人看到）；被限流时保留输入，等倒计时结束后再发
+          if (onSendMessage && onSendMessage(message, replyOptions) === false) {
+            return;
+          }
+          if (replyOptions) this.composerContext.clear();
+
           // 清空输入框
           chatInput.value = '';
 
-          // 先广播用户的问题（让所有人看到）
-          if (onSendMessage) {
-            onSendMessage(message);
-          }
-
           // 触发 AI 调用事件（传递 persona 参数）
           this.eventBus.emit('nako:ask', {
             prompt: prompt.trim(),
@@ -830,28 +1337,12 @@ class UIManager {
 
         // 普通消息处理
         if (message && onSendMessage) {
-          if (pangu) {
-            // 保护表情符号不被 pangu 处理（提取表情符号，处理后再恢复）
-            const stickerPlaceholders = [];
-            message = message.replace(/\[[^\]]+\]/g, (match) => {
-              const index = stickerPlaceholders.length;
-              stickerPlaceholders.push(match);
-              return `__STICKER_${index}__`;
-            });
-            message = pangu.spacingText(message);
-            // 恢复表情符号
-            stickerPlaceholders.forEach((sticker, index) => {
-              message = message.replace(`__STICKER_${index}__`, sticker);
-            });
-          }
-          // Normalize stamp emoji format: replace [stamp_0806] with [stamp0806] to unify sticker rendering
-          // 规范化 stamp 表情格式：将 [stamp_0806] 替换为 [stamp0806]，以统一处理 sticker 渲染
-          message = message.replace(/\[stamp_(\d+)\]/g, (_, p1) => `[stamp${p1}]`);
+          message = this.formatMessage(message);
           // 用户主动发送消息，重置交互时间并标记在底部
           // 发送消息后标记在底部，确保下次渲染会自动滚动
           this.isAtBottom = true;
           this.updateUserActivityTime();
-          onSendMessage(message);
+          if (onSendMessage(message, replyOptions) !== false && replyOptions) this.composerContext.clear();
         }
       }
     });
@@ -987,6 +1478,32 @@ class UIManager {
   }
 
 
+  /**
+   * 整理要发出的消息：中英文之间加空格（贴纸代码除外），统一贴纸格式
+   * @private
+   * @param {string} message
+   * @returns {string}
+   */
+  formatMessage(message) {
+    if (pangu) {
+      // 保护表情符号不被 pangu 处理（提取表情符号，处理后再恢复）
+      const stickerPlaceholders = [];
+      message = message.replace(/\[[^\]]+\]/g, (match) => {
+        const index = stickerPlaceholders.length;
+        stickerPlaceholders.push(match);
+        return `__STICKER_${index}__`;
+      });
+      message = pangu.spacingText(message);
+      // 恢复表情符号
+      stickerPlaceholders.forEach((sticker, index) => {
+        message = message.replace(`__STICKER_${index}__`, sticker);
+      });
+    }
+    // Normalize stamp emoji format: replace [stamp_0806] with [stamp0806] to unify sticker rendering
+    // 规范化 stamp 表情格式：将 [stamp_0806] 替换为 [stamp0806]，以统一处理 sticker 渲染
+    return message.replace(/\[stamp_(\d+)\]/g, (_, p1) => `[stamp${p1}]`);
+  }
+
   /**
    * 更新用户活动时间
    */
@@ -1000,12 +1517,13 @@ class UIManager {
    * @param {string} message - 消息内容
    * @param {string} [avatar] - 发送者头像
    * @param {string} [color='bg-default'] - 头像背景颜色
+   * @param {Object} [meta] - 消息信封的字段 { id, type }（见 MessageEnvelope），以及 unverified（AI 人设签名未通过验证）、replyTo（回复的消息 ID）
    */
-  addChatMessage(user, message, timestamp, avatar, color) {
+  addChatMessage(user, message, timestamp, avatar, color, meta) {
     if (user === '系统') {
       this.addSystemMessage(message, timestamp, avatar, color);
     } else {
-      this.addUserMessage(user, message, timestamp, avatar, color);
+      this.addUserMessage(user, message, timestamp, avatar, color, meta);
     }
   }
 
@@ -1020,33 +1538,18 @@ class UIManager {
     // 直接创建并添加消息元素，而不是重新渲染整个列表
     const msgDiv = this.createMessageElement(messageData);
 
-    // 如果有正在流式显示的消息，插入到它之前，否则添加到末尾
-    const streamingMsg = this.elements.chatlog.querySelector('.streaming');
-    if (streamingMsg) {
-      this.elements.chatlog.insertBefore(msgDiv, streamingMsg);
-    } else {
-      this.elements.chatlog.appendChild(msgDiv);
-    }
-
-    // 智能滚动
-    if (this.shouldAutoScrollToBottom()) {
-      this.elements.chatlog.scrollTop = this.elements.chatlog.scrollHeight;
-    }
+    this.appendMessageElement(msgDiv);
   }
 
   /**
    * 添加用户消息（保存到本地存储）
    * @private
    */
-  addUserMessage(user, message, timestamp, avatar, color) {
-    const messageData = this.createMessageData(user, message, timestamp, avatar, color);
+  addUserMessage(user, message, timestamp, avatar, color, meta) {
+    const messageData = this.createMessageData(user, message, timestamp, avatar, color, meta);
     this.messages.push(messageData);
 
-    const msgObj = {
-      user: messageData.user,
-      text: message,
-      timestamp: messageData.timestamp
-    };
+    const msgObj = this.createStoredMessage(messageData.user, message, messageData.timestamp, meta);
 
     this.saveMessageToStorage(msgObj);
     this.lastMsgTimestamp = msgObj.timestamp;
@@ -1054,7 +1557,15 @@ class UIManager {
     // 直接创建并添加消息元素，而不是重新渲染整个列表
     const msgDiv = this.createMessageElement(messageData);
 
-    // 如果有正在流式显示的消息，插入到它之前，否则添加到末尾
+    this.appendMessageElement(msgDiv);
+  }
+
+  /**
+   * 把消息元素加到聊天记录末尾（有正在流式显示的消息时插入到它之前），并按需滚动到底部
+   * @private
+   * @param {HTMLElement} msgDiv
+   */
+  appendMessageElement(msgDiv) {
     const streamingMsg = this.elements.chatlog.querySelector('.streaming');
     if (streamingMsg) {
       this.elements.chatlog.insertBefore(msgDiv, streamingMsg);
@@ -1068,11 +1579,358 @@ class UIManager {
     }
   }
 
+  /**
+   * 按 ID 查找已显示的消息（不含发件箱中未发出的）
+   * @private
+   * @param {string} id - 消息 ID
+   * @returns {Object|undefined}
+   */
+  findMessage(id) {
+    return this.messages.find(m => m.id === id && !m.outbox);
+  }
+
+  /**
+   * @private
+   * @param {string} id - 消息 ID
+   * @returns {HTMLElement|undefined}
+   */
+  findMessageElement(id) {
+    return Array.from(this.elements.chatlog.querySelectorAll('.message:not(.outbox)'))
+      .find(el => el.dataset.msgId === id);
+  }
+
+  /**
+   * 处理自己发出的消息的投递状态（message:status）
+   * - sent：发出后立即显示（AI 回复已在本地显示，只更新状态），收到服务器回显后再保存
+   * - delivered：改用服务器时间戳保存，标为已送达
+   * - failed：被服务器拒绝，移除先显示的消息，由发件箱或错误提示接手
+   * - pending：在发件箱中等待，由发件箱显示
+   * @private
+   * @param {Object} data - { id, status, name, message, replyTo, timestamp }
+   */
+  updateMessageStatus(data) {
+    const { id, status } = data;
+    let msg = this.ownMessages.get(id) || this.findMessage(id);
+
+    if (status === 'failed') {
+      this.ownMessages.delete(id);
+      if (msg && msg.unsaved) this.removeMessage(msg);
+      return;
+    }
+    if (!msg) {
+      if (status !== 'sent') return;
+      msg = this.createMessageData(data.name, data.message, Date.now(), undefined, undefined, { id, replyTo: data.replyTo });
+      msg.unsaved = true;
+      this.messages.push(msg);
+      this.appendMessageElement(this.createMessageElement(msg));
+    }
+    if (status === 'delivered') {
+      this.confirmMessage(msg, data.timestamp);
+      return;
+    }
+    this.ownMessages.set(id, msg);
+    this.setMessageStatus(msg, status);
+  }
+
+  /**
+   * 自己发出的消息已送达：先显示、尚未保存的改用服务器时间戳保存
+   * @private
+   * @param {Object} msg - 消息数据
+   * @param {number} [timestamp] - 服务器时间戳
+   */
+  confirmMessage(msg, timestamp) {
+    this.ownMessages.delete(msg.id);
+    if (msg.unsaved) {
+      delete msg.unsaved;
+      if (timestamp) {
+        msg.timestamp = timestamp;
+        msg.time = this.formatDate(timestamp);
+      }
+      this.saveMessageToStorage(this.createStoredMessage(msg.user, msg.text, msg.timestamp, { id: msg.id, type: msg.type, replyTo: msg.replyTo }));
+      this.lastMsgTimestamp = msg.timestamp;
+    }
+    this.setMessageStatus(msg, 'delivered');
+  }
+
+  /**
+   * 更新消息的投递状态标记（只替换状态标记，保留 AI 回复的思考图标等）
+   * @private
+   * @param {Object} msg - 消息数据
+   * @param {string} status - 'pending' | 'sent' | 'delivered'
+   */
+  setMessageStatus(msg, status) {
+    msg.status = status;
+    const el = this.findMessageElement(msg.id);
+    const headerDiv = el && el.querySelector('.message-header');
+    if (!headerDiv) return;
+    const current = headerDiv.querySelector('.message-status');
+    const next = this.createMessageStatus(status);
+    if (current) current.replaceWith(next); else headerDiv.appendChild(next);
+    const timeSpan = headerDiv.querySelector('.message-time');
+    if (timeSpan) timeSpan.textContent = msg.time;
+  }
+
+  /**
+   * @private
+   * @param {string} status
+   * @returns {HTMLElement}
+   */
+  createMessageStatus(status) {
+    const span = document.createElement('span');
+    span.className = `message-status ${status}`;
+    span.textContent = UIManager.MESSAGE_STATUS_LABELS[status].icon;
+    span.title = UIManager.MESSAGE_STATUS_LABELS[status].title;
+    return span;
+  }
+
+  /**
+   * 应用编辑操作（message:edited）：只有原作者能修改自己的普通消息
+   * 不在当前列表中的较早消息只更新本地存储
+   * @private
+   * @param {Object} data - { roomname, id, from, message, timestamp }
+   */
+  applyMessageEdit(data) {
+    const msg = this.findMessage(data.id);
+    if (msg && this.canModifyMessage(msg, data.from)) {
+      msg.text = data.message;
+      msg.edited = data.timestamp;
+      this.rerenderMessage(msg);
+      this.rerenderReplies(msg.id);
+    }
+    if (this.storage) this.storage.editMessage(data.roomname || this.currentRoom, data.id, data.from, data.message, data.timestamp);
+    this.storedLookup = null;
+    this.finishEditing(data);
+  }
+
+  /**
+   * 应用删除操作（message:deleted）：消息保留位置，显示为「此消息已删除」
+   * @private
+   * @param {Object} data - { roomname, id, from, timestamp }
+   */
+  applyMessageDelete(data) {
+    const msg = this.findMessage(data.id);
+    if (msg && this.canModifyMessage(msg, data.from)) {
+      msg.text = '';
+      msg.deleted = true;
+      this.rerenderMessage(msg);
+      this.rerenderReplies(msg.id);
+    }
+    if (this.storage) this.storage.deleteMessage(data.roomname || this.currentRoom, data.id, data.from);
+    this.storedLookup = null;
+    this.finishEditing(data);
+  }
+
+  /**
+   * 自己对正在编辑的消息的操作已生效：退出编辑
+   * @private
+   * @param {Object} data - message:edited / message:deleted 的数据
+   */
+  finishEditing(data) {
+    const context = this.composerContext ? this.composerContext.get() : null;
+    if (context && context.mode === 'edit' && context.id === data.id && data.from === this.getUsername()) {
+      this.composerContext.clear();
+    }
+  }
+
+  /**
+   * 用户能否编辑 / 删除这条消息：自己发出的、仍然存在的普通消息
+   * @private
+   * @param {Object} msg - 消息数据
+   * @param {string} user - 用户名
+   * @returns {boolean}
+   */
+  canModifyMessage(msg, user) {
+    return !!msg.id && !!user && msg.user === user && msg.type === 'text' && !msg.deleted && !msg.outbox;
+  }
+
+  /**
+   * 按消息数据重新渲染已显示的消息
+   * @private
+   * @param {Object} msg - 消息数据
+   */
+  rerenderMessage(msg) {
+    const el = this.findMessageElement(msg.id);
+    if (el) el.replaceWith(this.createMessageElement(msg));
+  }
+
+  /**
+   * 被回复的消息变化后，重新渲染回复它的消息（更新引用）
+   * @private
+   * @param {string} id - 被回复的消息 ID
+   */
+  rerenderReplies(id) {
+    this.messages.filter(m => m.replyTo === id).forEach(m => this.rerenderMessage(m));
+  }
+
+  /**
+   * 查找被回复的消息：先在当前列表中找，再到本地存储中找
+   * @private
+   * @param {string} id - 消息 ID
+   * @returns {Object|null} 消息数据
+   */
+  findRepliedMessage(id) {
+    const msg = this.findMessage(id);
+    if (msg) return msg;
+    const lookup = this.getStoredLookup();
+    const index = lookup.index.get(id);
+    return index !== undefined ? this.createMessageDataFromStored(lookup.messages[index]) : null;
+  }
+
+  /**
+   * 当前房间本地存储的消息及按 ID 的索引：只在房间切换或存储变化后重新读取，
+   * 渲染多条引用了不在列表中的消息的回复时不必每条都解析一遍存储
+   * @private
+   * @returns {{room: string, messages: Array<Object>, index: Map<string, number>}}
+   */
+  getStoredLookup() {
+    const room = this.currentRoom || 'nightcord-default';
+    if (this.storedLookup && this.storedLookup.room === room) return this.storedLookup;
+    const messages = (this.storage ? this.storage.loadMessages(room) : this.loadLocalMessages(room)) || [];
+    const index = new Map();
+    messages.forEach((m, i) => { if (m.id) index.set(m.id, i); });
+    this.storedLookup = { room, messages, index };
+    return this.storedLookup;
+  }
+
+  /**
+   * 从本地存储取出某条消息及其前后各 JUMP_CONTEXT 条，按时间并入当前列表（已在列表中的跳过），
+   * 跳转后看到的是连续的上下文，而不是孤立插在中间的一条
+   * @private
+   * @param {string} id - 消息 ID
+   * @returns {boolean} 本地存储中是否有这条消息
+   */
+  loadStoredContext(id) {
+    const lookup = this.getStoredLookup();
+    const index = lookup.index.get(id);
+    if (index === undefined) return false;
+    const key = m => m.id ? `id:${m.id}` : `${m.timestamp}_${m.user}_${m.text}`;
+    const shown = new Set(this.messages.map(key));
+    const context = lookup.messages
+      .slice(Math.max(0, index - UIManager.JUMP_CONTEXT), index + UIManager.JUMP_CONTEXT + 1)
+      .filter(m => !shown.has(key(m)))
+      .map(m => this.createMessageDataFromStored(m));
+    this.messages = [...this.messages, ...context].sort((a, b) => a.timestamp - b.timestamp);
+    return true;
+  }
+
+  /**
+   * 渲染回复中的引用：被回复的发送者与内容摘要，点击跳转到原消息
+   * @private
+   * @param {Object} msg - 回复的消息数据
+   * @returns {HTMLElement}
+   */
+  createMessageQuote(msg) {
+    const parent = this.findRepliedMessage(msg.replyTo);
+    const quote = document.createElement('div');
+    quote.className = 'message-quote';
+
+    const text = document.createElement('span');
+    text.className = 'message-quote-text';
+    if (!parent) {
+      quote.classList.add('missing');
+      text.textContent = '原消息不在本地记录中';
+    } else {
+      const user = document.createElement('span');
+      user.className = 'message-quote-user';
+      user.textContent = parent.user;
+      quote.appendChild(user);
+      text.textContent = parent.deleted ? '此消息已删除' : parent.text;
+      quote.title = '跳转到原消息';
+      quote.addEventListener('click', () => this.jumpToMessage(msg.replyTo));
+    }
+    quote.appendChild(text);
+    return quote;
+  }
+
+  /**
+   * 滚动到某条消息并短暂高亮；不在当前列表中的连同前后的消息从本地存储中取出，按时间并入后再跳转
+   * @param {string} id - 消息 ID
+   * @returns {boolean} 是否找到
+   */
+  jumpToMessage(id) {
+    let el = this.findMessageElement(id);
+    if (!el) {
+      if (this.findMessage(id) || !this.loadStoredContext(id)) return false;
+      this.renderMessages();
+      el = this.findMessageElement(id);
+      if (!el) return false;
+    }
+    // 跳转是用户主动查看历史，暂停自动滚动到底部
+    this.isAtBottom = false;
+    this.updateUserActivityTime();
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.remove('highlighted');
+    // 重新触发高亮动画
+    void el.offsetWidth;
+    el.classList.add('highlighted');
+    setTimeout(() => el.classList.remove('highlighted'), UIManager.HIGHLIGHT_DURATION);
+    return true;
+  }
+
+  /**
+   * 能否回复这条消息：有消息 ID、仍然存在的用户或 AI 消息
+   * @private
+   * @param {Object} msg - 消息数据
+   * @returns {boolean}
+   */
+  canReplyTo(msg) {
+    return !!msg.id && msg.user !== '系统' && !msg.deleted && !msg.outbox && !msg.transfer;
+  }
+
+  /**
+   * 渲染消息的回复按钮，以及自己消息的编辑 / 删除按钮
+   * @private
+   * @param {Object} msg - 消息数据
+   * @returns {HTMLElement}
+   */
+  createMessageActions(msg) {
+    const actions = document.createElement('span');
+    actions.className = 'message-actions';
+
+    const addButton = (label, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'message-action';
+      button.textContent = label;
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        onClick();
+      });
+      actions.appendChild(button);
+    };
+    // 还没送达的消息在服务器历史中尚无记录，编辑 / 删除会对应不上
+    const whenDelivered = (onClick) => () => {
+      if (msg.unsaved) {
+        this.showError('消息还未送达，请稍后再试');
+        return;
+      }
+      onClick();
+    };
+    addButton('回复', () => this.eventBus.emit('composer:reply', { id: msg.id, user: msg.user, text: msg.text }));
+    if (this.canModifyMessage(msg, this.getUsername())) {
+      addButton('编辑', whenDelivered(() => this.eventBus.emit('composer:edit', { id: msg.id, text: msg.text })));
+      addButton('删除', whenDelivered(() => {
+        if (confirm('删除这条消息？房间内所有人都将看不到它的内容。')) this.eventBus.emit('message:delete', { id: msg.id });
+      }));
+    }
+    return actions;
+  }
+
+  /**
+   * 移除一条已显示的消息
+   * @private
+   * @param {Object} msg - 消息数据
+   */
+  removeMessage(msg) {
+    this.messages = this.messages.filter(m => m !== msg);
+    const el = msg.id ? this.findMessageElement(msg.id) : null;
+    if (el) el.remove();
+  }
+
   /**
    * 创建消息数据对象
    * @private
    */
-  createMessageData(user, message, timestamp, avatar, color) {
+  createMessageData(user, message, timestamp, avatar, color, meta = {}) {
     const { name, avatar: userAvatar, color: userColor } = this.generateAvatar(user);
     return {
       user: name,
@@ -1080,10 +1938,59 @@ class UIManager {
       color: color ?? userColor,
       time: timestamp ? this.formatDate(timestamp) : new Date().toLocaleTimeString(),
       text: message,
-      timestamp: timestamp || Date.now()
+      timestamp: timestamp || Date.now(),
+      id: meta.id || null,
+      type: meta.type || 'text',
+      unverified: !!meta.unverified,
+      edited: null,
+      deleted: false,
+      replyTo: meta.replyTo || null
     };
   }
 
+  /**
+   * 把本地存储或服务器历史中的消息转换为渲染用的数据
+   * @private
+   * @param {Object} m - { user, text, timestamp, id?, type?, unverified?, edited?, deleted?, replyTo? }
+   */
+  createMessageDataFromStored(m) {
+    const { user, text, timestamp, id, type, unverified, edited, deleted, replyTo } = m;
+    const { name, avatar, color } = this.generateAvatar(user);
+    return {
+      user: name,
+      avatar,
+      color,
+      time: timestamp ? this.formatDate(timestamp) : '',
+      text,
+      timestamp,
+      id: id || null,
+      type: type || 'text',
+      unverified: !!unverified,
+      edited: edited || null,
+      deleted: !!deleted,
+      replyTo: replyTo || null
+    };
+  }
+
+  /**
+   * 创建保存到本地存储的消息（记录 type，StorageManager 不再按旧规则重新解析）
+   * @private
+   * @param {string} user
+   * @param {string} text
+   * @param {number} timestamp
+   * @param {Object} [meta] - { id, type, unverified, edited（编辑时间）, deleted, replyTo（回复的消息 ID） }
+   * @returns {{user: string, text: string, timestamp: number, type: string, id?: string, unverified?: boolean, edited?: number, deleted?: boolean, replyTo?: string}}
+   */
+  createStoredMessage(user, text, timestamp, meta = {}) {
+    const stored = { user, text, timestamp, type: meta.type || 'text' };
+    if (meta.id) stored.id = meta.id;
+    if (meta.unverified) stored.unverified = true;
+    if (meta.edited) stored.edited = meta.edited;
+    if (meta.deleted) stored.deleted = true;
+    if (meta.replyTo) stored.replyTo = meta.replyTo;
+    return stored;
+  }
+
   /**
    * 保存消息到本地存储
    * @private
@@ -1108,6 +2015,7 @@ class UIManager {
         this.saveLocalMessages(room, localMsgs);
         this.setLastMsgTimestamp(room, msgObj.timestamp);
       }
+      this.storedLookup = null;
     } catch (e) {
       // 静默失败，存储错误不应影响消息显示
     }
@@ -1213,6 +2121,24 @@ class UIManager {
     this.addChatMessage('系统', `错误: ${message}`, null, this.systemIcon, 'bg-red-600');
   }
 
+  /**
+   * 处理服务器返回的消息错误
+   * 限流由输入框上方的倒计时提示（被拒绝的消息在发件箱中，可重试），其他错误显示为系统消息
+   * @param {Object} data - message:error 事件数据 { error, type, message? }
+   */
+  handleMessageError(data) {
+    switch (data.type) {
+      case 'rate-limited':
+        if (!this.rateLimitNotice) this.showError('发送太频繁，消息未发出，请稍后重试');
+        break;
+      case 'too-long':
+        this.showError('消息过长（最多 256 个字符），未能发出');
+        break;
+      default:
+        this.showError(data.error);
+    }
+  }
+
   /**
    * 获取所有 DOM 元素引用
    * @returns {Object} DOM 元素对象
@@ -1221,6 +2147,14 @@ class UIManager {
     return this.elements;
   }
 
+  /**
+   * 当前用户名（由 NightcordManager.setUser 保存）
+   * @returns {string|null}
+   */
+  getUsername() {
+    try { return localStorage.getItem('nightcord-username'); } catch (e) { return null; }
+  }
+
   /**
    * 检查消息是否提及了当前用户
    * @param {string} text - 消息内容
@@ -1244,6 +2178,9 @@ class UIManager {
   createMessageElement(msg) {
     const msgDiv = document.createElement('div');
     msgDiv.className = 'message';
+    // data-message-id 已用于流式显示中的 AI 消息，信封 ID 使用 data-msg-id
+    if (msg.id) msgDiv.dataset.msgId = msg.id;
+    if (msg.type && msg.type !== 'text') msgDiv.dataset.msgType = msg.type;
     
     // 检查是否被提及
     if (this.isMentioned(msg.text)) {
@@ -1270,10 +2207,40 @@ class UIManager {
     timeSpan.textContent = msg.time;
     headerDiv.appendChild(userSpan);
     headerDiv.appendChild(timeSpan);
+    if (msg.status) headerDiv.appendChild(this.createMessageStatus(msg.status));
+    // 自称 AI 人设但签名未通过验证（见 PersonaVerifier）
+    if (msg.unverified) {
+      const warning = document.createElement('span');
+      warning.className = 'message-warning';
+      warning.textContent = '⚠ 未验证';
+      warning.title = '这条消息带有 AI 人设标记，但无法确认由 AI 生成，可能是他人冒充';
+      headerDiv.appendChild(warning);
+    }
+    if (msg.edited && !msg.deleted) {
+      const edited = document.createElement('span');
+      edited.className = 'message-edited';
+      edited.textContent = '（已编辑）';
+      edited.title = `编辑于 ${this.formatDate(msg.edited)}`;
+      headerDiv.appendChild(edited);
+    }
+    if (this.canReplyTo(msg)) {
+      headerDiv.appendChild(this.createMessageActions(msg));
+    }
     contentDiv.appendChild(headerDiv);
 
+    // 回复的消息先显示引用
+    if (msg.replyTo && !msg.deleted) {
+      contentDiv.appendChild(this.createMessageQuote(msg));
+    }
+
     // Message text (may contain stickers) — renderTextWithStickers 返回 DocumentFragment
-    if (msg.text) {
+    if (msg.deleted) {
+      msgDiv.classList.add('deleted');
+      const p = document.createElement('p');
+      p.className = 'message-text message-tombstone';
+      p.textContent = '此消息已删除';
+      contentDiv.appendChild(p);
+    } else if (msg.text) {
       const p = document.createElement('p');
       p.className = 'message-text';
       const frag = this.stickerService
@@ -1283,6 +2250,18 @@ class UIManager {
       contentDiv.appendChild(p);
     }
 
+    // 文件传输卡片
+    if (msg.transfer) {
+      contentDiv.appendChild(this.createTransferCard(msg.transfer));
+    }
+
+    // 发件箱中未发出的消息
+    if (msg.outbox) {
+      msgDiv.classList.add('outbox', msg.outbox.state);
+      msgDiv.dataset.outboxId = msg.outbox.id;
+      contentDiv.appendChild(this.createOutboxStatus(msg.outbox));
+    }
+
     msgDiv.appendChild(avatarSpan);
     msgDiv.appendChild(contentDiv);
     
@@ -0,0 +1,107 @@
+/**
+ * RateLimitNotice - 发送限流提示模块
+ * 负责：
+ * 1) 发送太频繁或慢速模式间隔未到时，在输入框上方显示倒计时（message:ratelimited）
+ * 2) 消息被服务器限流时显示倒计时，并说明消息已放入发件箱（message:error，type 为 rate-limited）
+ * 3) 房间开启慢速模式时常驻提示间隔（room:slowmode）
+ * 只通过事件总线与 NightcordManager 通信
+ */
+(function (global) {
+  class RateLimitNotice {
+    /**
+     * 把毫秒格式化为「N 秒」/「N 分钟」
+     * @param {number} ms
+     * @returns {string}
+     */
+    static formatInterval(ms) {
+      const seconds = Math.ceil(ms / 1000);
+      return seconds >= 60 && seconds % 60 === 0 ? `${seconds / 60} 分钟` : `${seconds} 秒`;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {EventBus} options.eventBus - 事件总线
+     * @param {HTMLElement} options.container - 提示容器（#rate-limit-notice）
+     */
+    constructor({ eventBus, container } = {}) {
+      this.eventBus = eventBus;
+      this.container = container;
+
+      // 慢速模式间隔（毫秒）
+      this.slowMode = 0;
+      // 当前倒计时：{ until, text }，text 为倒计时前的说明
+      this.cooldown = null;
+      this.timer = null;
+
+      this.init();
+    }
+
+    init() {
+      if (!this.eventBus || !this.container) return;
+
+      this.eventBus.on('message:ratelimited', (data) => {
+        const text = data.reason === 'slowmode'
+          ? `慢速模式：每 ${RateLimitNotice.formatInterval(data.slowMode)}可发送一条消息`
+          : '发送太频繁';
+        this.startCooldown(data.until, text);
+      });
+      this.eventBus.on('message:error', (data) => {
+        if (data.type !== 'rate-limited') return;
+        const text = data.message ? '服务器限流，消息未发出，已放入发件箱' : '服务器限流';
+        this.startCooldown(Date.now() + (data.retryAfter || 0), text);
+      });
+      this.eventBus.on('room:slowmode', (data) => {
+        this.slowMode = data.interval;
+        this.render();
+      });
+      this.eventBus.on('room:joining', () => {
+        this.slowMode = 0;
+        this.cooldown = null;
+        this.render();
+      });
+    }
+
+    /**
+     * @private
+     */
+    startCooldown(until, text) {
+      this.cooldown = { until, text };
+      this.render();
+    }
+
+    /**
+     * @private
+     */
+    render() {
+      const remaining = this.cooldown ? this.cooldown.until - Date.now() : 0;
+      if (remaining <= 0) this.cooldown = null;
+
+      let text = null;
+      if (this.cooldown) {
+        text = `${this.cooldown.text}，${RateLimitNotice.formatInterval(remaining)}后可再发送`;
+      } else if (this.slowMode > 0) {
+        text = `慢速模式已开启：每 ${RateLimitNotice.formatInterval(this.slowMode)}可发送一条消息`;
+      }
+
+      this.setTicking(!!this.cooldown);
+      this.container.classList.toggle('cooldown', !!this.cooldown);
+      this.container.classList.toggle('hidden', !text);
+      this.container.textContent = text || '';
+    }
+
+    /**
+     * 倒计时期间每秒刷新
+     * @private
+     */
+    setTicking(active) {
+      if (active && !this.timer) {
+        this.timer = setInterval(() => this.render(), 1000);
+      } else if (!active && this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    }
+  }
+
+  global.RateLimitNotice = RateLimitNotice;
+})(window);
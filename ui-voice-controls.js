@@ -0,0 +1,360 @@
+/**
+ * VoiceControls - 语音控制栏模块
+ * 负责：
+ * 1) 侧边栏底部的静音 / 闭麦 / 摄像头 / 屏幕共享 / 录音 / 离开按钮
+ * 2) 输入模式设置面板（开放麦克风 / 语音激活 / 按键说话）与音频处理开关
+ * 3) 按键说话的全局键盘监听
+ * 4) 单个成员的音量调节浮层
+ * 只通过事件总线与 VoiceManager 通信
+ */
+(function (global) {
+  class VoiceControls {
+    // 聊天输入框（#messageInput）及自动补全已占用的按键，以及无法拦截的浏览器快捷键
+    static RESERVED_KEYS = [
+      'Enter', 'NumpadEnter', 'Backspace', 'Delete', 'Tab', 'Escape', 'Space',
+      'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+      'BracketLeft', 'BracketRight',
+      'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight',
+      'F5', 'F11', 'F12'
+    ];
+
+    /**
+     * 按键说话是否可以绑定到该按键
+     * 会输入字符的按键（event.key 为单个字符）和聊天输入框已处理的按键都不允许
+     * @param {string} code - KeyboardEvent.code
+     * @param {string} [key] - KeyboardEvent.key
+     * @returns {boolean}
+     */
+    static isKeyAllowed(code, key) {
+      if (!code || VoiceControls.RESERVED_KEYS.includes(code)) return false;
+      if (typeof key === 'string' && key.length === 1) return false;
+      return true;
+    }
+
+    constructor({ eventBus, container, settingsPanel, volumePanel } = {}) {
+      this.eventBus = eventBus;
+      this.container = container;
+      this.settingsPanel = settingsPanel;
+      this.volumePanel = volumePanel;
+      this.volumeTarget = null;
+
+      this.active = false;
+      this.self = {};
+      this.settings = {};
+      this.capturingKey = false;
+      this.pttPressed = false;
+
+      this.init();
+    }
+
+    init() {
+      if (!this.eventBus || !this.container) return;
+
+      const q = (selector) => this.container.querySelector(selector);
+      q('#voice-mute').addEventListener('click', () => {
+        this.eventBus.emit('voice:mute', { muted: !this.self.muted });
+      });
+      q('#voice-deafen').addEventListener('click', () => {
+        this.eventBus.emit('voice:deafen', { deafened: !this.self.deafened });
+      });
+      q('#voice-camera').addEventListener('click', () => {
+        this.eventBus.emit('voice:camera', { enabled: !this.self.camera });
+      });
+      q('#voice-screen').addEventListener('click', () => {
+        this.eventBus.emit('voice:screen', { enabled: !this.self.screen });
+      });
+      q('#voice-record').addEventListener('click', () => {
+        this.eventBus.emit('voice:record', { enabled: !this.self.recording });
+      });
+      q('#voice-leave').addEventListener('click', () => {
+        this.eventBus.emit('voice:toggle', { join: false });
+      });
+
+      const settingsToggle = q('#voice-settings-toggle');
+      if (settingsToggle && this.settingsPanel) {
+        settingsToggle.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.settingsPanel.classList.toggle('hidden');
+        });
+        document.addEventListener('click', (e) => {
+          if (!this.settingsPanel.contains(e.target)) this.hideSettings();
+        });
+        this.bindSettingsPanel();
+      }
+      if (this.volumePanel) this.bindVolumePanel();
+
+      this.eventBus.on('voice:settings', (settings) => this.renderSettings(settings));
+      this.eventBus.on('voice:gate', (data) => this.container.classList.toggle('transmitting', data.open));
+      this.eventBus.on('voice:level', (data) => this.renderLevel(data.level));
+
+      // 捕获阶段监听，保证按键说话的按键不会传到聊天输入框的处理器
+      window.addEventListener('keydown', (e) => this.handleKey(e, true), true);
+      window.addEventListener('keyup', (e) => this.handleKey(e, false), true);
+      // 窗口失焦时收不到 keyup，视为松开
+      window.addEventListener('blur', () => this.setPushToTalk(false));
+    }
+
+    /**
+     * 更新控制栏状态
+     * @param {boolean} active - 自己是否在语音中
+     * @param {Object} [self] - 自己的语音成员信息
+     */
+    update(active, self) {
+      this.active = !!active;
+      this.self = self || {};
+      this.container.classList.toggle('hidden', !this.active);
+      this.container.querySelector('#voice-mute').classList.toggle('active', !!this.self.muted);
+      this.container.querySelector('#voice-deafen').classList.toggle('active', !!this.self.deafened);
+      const camera = this.container.querySelector('#voice-camera');
+      camera.classList.toggle('on', !!this.self.camera);
+      camera.title = this.self.camera ? '关闭摄像头' : '开启摄像头';
+      const screen = this.container.querySelector('#voice-screen');
+      screen.classList.toggle('on', !!this.self.screen);
+      screen.title = this.self.screen ? '停止共享' : '共享屏幕';
+      const record = this.container.querySelector('#voice-record');
+      record.classList.toggle('recording', !!this.self.recording);
+      record.title = this.self.recording ? '停止录音并保存' : '开始录音（房间内所有人都会看到录音提示）';
+      if (!this.active) {
+        this.hideSettings();
+        this.hideVolume();
+        this.setPushToTalk(false);
+      }
+    }
+
+    hideSettings() {
+      if (this.settingsPanel) this.settingsPanel.classList.add('hidden');
+      this.stopKeyCapture();
+    }
+
+    /**
+     * 打开某个成员的音量调节浮层
+     * @param {Object} participant - 语音成员信息（需要 username 和 volume）
+     */
+    showVolume(participant) {
+      if (!this.volumePanel || !participant) return;
+      this.hideSettings();
+      this.volumeTarget = participant.username;
+      this.volumePanel.querySelector('#voice-volume-title').textContent = participant.username;
+      this.renderVolume(participant.volume === undefined ? 1 : participant.volume);
+      this.volumePanel.classList.remove('hidden');
+    }
+
+    hideVolume() {
+      if (this.volumePanel) this.volumePanel.classList.add('hidden');
+      this.volumeTarget = null;
+    }
+
+    /**
+     * 绑定设置面板控件
+     * @private
+     */
+    bindSettingsPanel() {
+      const panel = this.settingsPanel;
+
+      panel.querySelectorAll('input[name="voice-input-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+          if (radio.checked) this.updateSettings({ mode: radio.value });
+        });
+      });
+
+      const threshold = panel.querySelector('#voice-vad-threshold');
+      if (threshold) {
+        threshold.addEventListener('change', () => this.updateSettings({ vadThreshold: Number(threshold.value) }));
+      }
+
+      const hang = panel.querySelector('#voice-vad-hang');
+      if (hang) {
+        hang.addEventListener('input', () => this.renderHangTime(Number(hang.value)));
+        hang.addEventListener('change', () => this.updateSettings({ vadHangTime: Number(hang.value) }));
+      }
+
+      const keyButton = panel.querySelector('#voice-ptt-key');
+      if (keyButton) {
+        keyButton.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.startKeyCapture();
+        });
+      }
+
+      panel.querySelectorAll('input[data-voice-setting]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+          this.updateSettings({ [checkbox.dataset.voiceSetting]: checkbox.checked });
+        });
+      });
+    }
+
+    /**
+     * 绑定音量浮层控件
+     * @private
+     */
+    bindVolumePanel() {
+      const panel = this.volumePanel;
+      const range = panel.querySelector('#voice-volume-range');
+      range.addEventListener('input', () => {
+        const volume = Number(range.value) / 100;
+        this.renderVolume(volume);
+        this.setVolume(volume);
+      });
+      panel.querySelector('#voice-volume-reset').addEventListener('click', () => {
+        this.renderVolume(1);
+        this.setVolume(1);
+      });
+      document.addEventListener('click', (e) => {
+        // 打开浮层的那次点击来自语音列表，由 stopPropagation 挡住
+        if (!panel.contains(e.target)) this.hideVolume();
+      });
+    }
+
+    /**
+     * @private
+     */
+    setVolume(volume) {
+      if (!this.volumeTarget) return;
+      this.eventBus.emit('voice:volume', { username: this.volumeTarget, volume });
+    }
+
+    /**
+     * @private
+     */
+    renderVolume(volume) {
+      const percent = Math.round(volume * 100);
+      this.volumePanel.querySelector('#voice-volume-range').value = percent;
+      this.volumePanel.querySelector('#voice-volume-value').textContent = `${percent}%`;
+    }
+
+    /**
+     * @private
+     */
+    updateSettings(partial) {
+      this.eventBus.emit('voice:settings:update', partial);
+    }
+
+    /**
+     * 根据 VoiceManager 的设置刷新面板
+     * @private
+     */
+    renderSettings(settings) {
+      this.settings = settings || {};
+      const panel = this.settingsPanel;
+      if (!panel) return;
+
+      panel.querySelectorAll('input[name="voice-input-mode"]').forEach(radio => {
+        radio.checked = radio.value === this.settings.mode;
+      });
+      panel.querySelectorAll('.voice-settings-group').forEach(group => {
+        group.classList.toggle('hidden', group.dataset.mode !== this.settings.mode);
+      });
+
+      const threshold = panel.querySelector('#voice-vad-threshold');
+      if (threshold) threshold.value = this.settings.vadThreshold;
+      const hang = panel.querySelector('#voice-vad-hang');
+      if (hang) hang.value = this.settings.vadHangTime;
+      this.renderHangTime(this.settings.vadHangTime);
+
+      const keyButton = panel.querySelector('#voice-ptt-key');
+      if (keyButton && !this.capturingKey) keyButton.textContent = this.settings.pttKey || '';
+
+      panel.querySelectorAll('input[data-voice-setting]').forEach(checkbox => {
+        checkbox.checked = !!this.settings[checkbox.dataset.voiceSetting];
+      });
+
+      const label = this.container.querySelector('.voice-controls-label');
+      if (label) {
+        const names = { open: '开放麦克风', vad: '语音激活', ptt: `按住 ${this.settings.pttKey} 说话` };
+        label.textContent = names[this.settings.mode] || '语音已连接';
+      }
+    }
+
+    /**
+     * @private
+     */
+    renderHangTime(value) {
+      const el = this.settingsPanel && this.settingsPanel.querySelector('#voice-vad-hang-value');
+      if (el) el.textContent = `${value}ms`;
+    }
+
+    /**
+     * 语音激活模式下的实时音量条
+     * @private
+     */
+    renderLevel(level) {
+      const bar = this.settingsPanel && this.settingsPanel.querySelector('#voice-level-bar');
+      if (!bar) return;
+      // RMS 很少超过 0.2，按 0.2 满格显示，与阈值滑块的范围一致
+      const percent = Math.min(100, (level / 0.2) * 100);
+      bar.style.width = `${percent}%`;
+      bar.classList.toggle('above', level >= (this.settings.vadThreshold || 0));
+    }
+
+    /**
+     * 进入按键录制状态：下一次按键将作为按键说话的按键
+     * @private
+     */
+    startKeyCapture() {
+      const keyButton = this.settingsPanel.querySelector('#voice-ptt-key');
+      this.capturingKey = true;
+      this.showKeyError('');
+      keyButton.textContent = '请按下按键…';
+      keyButton.classList.add('capturing');
+    }
+
+    /**
+     * @private
+     */
+    stopKeyCapture() {
+      if (!this.capturingKey) return;
+      this.capturingKey = false;
+      const keyButton = this.settingsPanel.querySelector('#voice-ptt-key');
+      keyButton.classList.remove('capturing');
+      keyButton.textContent = this.settings.pttKey || '';
+    }
+
+    /**
+     * @private
+     */
+    showKeyError(message) {
+      const el = this.settingsPanel.querySelector('#voice-ptt-error');
+      if (el) el.textContent = message;
+    }
+
+    /**
+     * 全局按键处理：录制按键 / 按键说话
+     * @private
+     */
+    handleKey(event, pressed) {
+      if (this.capturingKey) {
+        if (!pressed) return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.code === 'Escape') {
+          this.stopKeyCapture();
+          return;
+        }
+        if (!VoiceControls.isKeyAllowed(event.code, event.key)) {
+          this.showKeyError('该按键会与输入框冲突，请换一个（如 F1–F10、右 Ctrl、Pause）');
+          return;
+        }
+        this.stopKeyCapture();
+        this.updateSettings({ pttKey: event.code });
+        return;
+      }
+
+      if (!this.active || this.settings.mode !== 'ptt' || event.code !== this.settings.pttKey) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.repeat) return;
+      this.setPushToTalk(pressed);
+    }
+
+    /**
+     * @private
+     */
+    setPushToTalk(pressed) {
+      if (this.pttPressed === pressed) return;
+      this.pttPressed = pressed;
+      this.eventBus.emit('voice:ptt', { pressed });
+    }
+  }
+
+  global.VoiceControls = VoiceControls;
+})(window);
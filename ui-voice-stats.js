@@ -0,0 +1,124 @@
+/**
+ * VoiceStatsPanel - 通话诊断面板模块
+ * 负责：
+ * 1) 语音控制栏中 📊 按钮打开的诊断浮层
+ * 2) 列出每个成员的时延、抖动、丢包、码率和连接方式
+ * 只订阅 voice:stats 事件，不直接访问 VoiceManager
+ */
+(function (global) {
+  class VoiceStatsPanel {
+    static QUALITY_LABELS = { good: '良好', fair: '一般', poor: '差', unknown: '未知' };
+    static CANDIDATE_LABELS = { host: '局域网直连', srflx: '直连（NAT 穿透）', prflx: '直连（NAT 穿透）', relay: 'TURN 中继' };
+
+    /**
+     * 格式化连接方式
+     * @param {Object} entry - VoiceManager.getCallStats() 的一项
+     * @returns {string}
+     */
+    static describeRoute(entry) {
+      const route = VoiceStatsPanel.CANDIDATE_LABELS[entry.candidateType] || '未知';
+      const protocol = entry.protocol ? ` / ${entry.protocol.toUpperCase()}` : '';
+      return `${entry.shared ? 'SFU，' : ''}${route}${protocol}`;
+    }
+
+    /**
+     * 格式化一项指标，没有数据时显示 —
+     * @private
+     */
+    static format(value, unit, digits = 0) {
+      return Number.isFinite(value) ? `${value.toFixed(digits)}${unit}` : '—';
+    }
+
+    /**
+     * @param {Object} options
+     * @param {EventBus} options.eventBus - 事件总线
+     * @param {HTMLElement} options.container - 诊断浮层（#voice-stats）
+     * @param {HTMLElement} [options.toggleButton] - 打开/关闭浮层的按钮
+     */
+    constructor({ eventBus, container, toggleButton } = {}) {
+      this.eventBus = eventBus;
+      this.container = container;
+      this.toggleButton = toggleButton;
+      this.stats = [];
+
+      this.init();
+    }
+
+    init() {
+      if (!this.eventBus || !this.container) return;
+
+      this.list = this.container.querySelector('.voice-stats-list');
+      if (this.toggleButton) {
+        this.toggleButton.addEventListener('click', () => {
+          this.container.classList.toggle('hidden');
+          this.render();
+        });
+      }
+      // 捕获阶段监听：设置面板等按钮会阻止冒泡，仍需要关闭诊断浮层
+      document.addEventListener('click', (e) => {
+        if (this.toggleButton && this.toggleButton.contains(e.target)) return;
+        if (!this.container.contains(e.target)) this.hide();
+      }, true);
+
+      this.eventBus.on('voice:stats', (data) => {
+        this.stats = data.stats || [];
+        this.render();
+      });
+      this.eventBus.on('voice:left', () => this.hide());
+    }
+
+    hide() {
+      this.container.classList.add('hidden');
+    }
+
+    /**
+     * @private
+     */
+    render() {
+      if (this.container.classList.contains('hidden')) return;
+      this.list.innerHTML = '';
+
+      if (this.stats.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'voice-stats-empty';
+        empty.textContent = '暂无连接';
+        this.list.appendChild(empty);
+        return;
+      }
+
+      const { format } = VoiceStatsPanel;
+      this.stats.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'voice-stats-item';
+
+        const name = document.createElement('div');
+        name.className = 'voice-stats-name';
+        const quality = document.createElement('span');
+        quality.className = `voice-quality ${entry.quality}`;
+        quality.innerHTML = '<i></i><i></i><i></i>';
+        name.appendChild(quality);
+        name.appendChild(document.createTextNode(` ${entry.username} · ${VoiceStatsPanel.QUALITY_LABELS[entry.quality]}`));
+
+        const metrics = document.createElement('div');
+        metrics.className = 'voice-stats-metrics';
+        metrics.textContent = [
+          `延迟 ${format(entry.rtt, 'ms')}`,
+          `抖动 ${format(entry.jitter, 'ms')}`,
+          `丢包 ${format(Number.isFinite(entry.packetLoss) ? entry.packetLoss * 100 : undefined, '%', 1)}`,
+          `码率 ↓${format(entry.bitrateIn, '')} ↑${format(entry.bitrateOut, '')} kbps`
+        ].join(' · ');
+
+        const route = document.createElement('div');
+        route.className = 'voice-stats-route';
+        route.textContent = VoiceStatsPanel.describeRoute(entry);
+
+        item.appendChild(name);
+        item.appendChild(metrics);
+        item.appendChild(route);
+        this.list.appendChild(item);
+      });
+    }
+  }
+
+  global.VoiceStatsPanel = VoiceStatsPanel;
+})(window);
@@ -0,0 +1,293 @@
+/**
+ * AudioLevelMonitor - 音量检测
+ * 用 WebAudio AnalyserNode 周期性计算各路媒体流的音量（RMS），
+ * 并根据阈值判断是否在说话，状态变化时回调
+ *
+ * @example
+ * const monitor = new AudioLevelMonitor({
+ *   onSpeakingChange: (id, speaking) => console.log(id, speaking)
+ * });
+ * monitor.add('local', localStream);
+ * monitor.remove('local');
+ */
+class AudioLevelMonitor {
+  /**
+   * @param {Object} config - 配置对象
+   * @param {Function} [config.onSpeakingChange] - 说话状态变化回调 (id, speaking) => void
+   * @param {Function} [config.onLevel] - 每次采样回调 (id, level) => void，level 范围 0~1
+   * @param {number} [config.threshold=0.02] - 判定为说话的 RMS 阈值
+   * @param {number} [config.holdTime=300] - 音量低于阈值后保持说话状态的时间（毫秒），避免字间停顿闪烁
+   * @param {number} [config.interval=100] - 采样间隔（毫秒）
+   * @param {Function} [config.createAudioContext] - 创建 AudioContext 的函数，可替换用于测试
+   */
+  constructor(config = {}) {
+    this.onSpeakingChange = config.onSpeakingChange || (() => {});
+    this.onLevel = config.onLevel || (() => {});
+    this.threshold = config.threshold || 0.02;
+    this.holdTime = config.holdTime || 300;
+    this.interval = config.interval || 100;
+    this.createAudioContext = config.createAudioContext ||
+      (() => new (window.AudioContext || window.webkitAudioContext)());
+
+    this.context = null;
+    this.timer = null;
+    // id -> { source, analyser, buffer, speaking, lastLoudAt }
+    this.sources = new Map();
+  }
+
+  /**
+   * 开始检测一路媒体流（同一 id 重复添加会替换旧的流）
+   * @param {string} id - 标识
+   * @param {MediaStream} stream - 含音轨的媒体流
+   */
+  add(id, stream) {
+    this.remove(id);
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    try {
+      if (!this.context) this.context = this.createAudioContext();
+      if (this.context.state === 'suspended' && this.context.resume) {
+        this.context.resume().catch(() => {});
+      }
+
+      const source = this.context.createMediaStreamSource(stream);
+      const analyser = this.context.createAnalyser();
+      analyser.fftSize = 512;
+      source.connect(analyser);
+
+      this.sources.set(id, {
+        source,
+        analyser,
+        buffer: new Float32Array(analyser.fftSize),
+        speaking: false,
+        lastLoudAt: 0
+      });
+    } catch (e) {
+      console.warn('AudioLevelMonitor: failed to analyse stream', id, e);
+      return;
+    }
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.sample(), this.interval);
+    }
+  }
+
+  /**
+   * 停止检测一路媒体流
+   * @param {string} id - 标识
+   */
+  remove(id) {
+    const entry = this.sources.get(id);
+    if (!entry) return;
+
+    this.sources.delete(id);
+    try { entry.source.disconnect(); } catch (e) {}
+    if (entry.speaking) this.onSpeakingChange(id, false);
+
+    if (this.sources.size === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 获取最近一次判定的说话状态
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isSpeaking(id) {
+    const entry = this.sources.get(id);
+    return !!(entry && entry.speaking);
+  }
+
+  /**
+   * 停止所有检测并释放 AudioContext
+   */
+  destroy() {
+    Array.from(this.sources.keys()).forEach(id => this.remove(id));
+    if (this.context && this.context.close) {
+      this.context.close().catch(() => {});
+    }
+    this.context = null;
+  }
+
+  /**
+   * 采样所有流的音量
+   * @private
+   */
+  sample() {
+    const now = Date.now();
+    this.sources.forEach((entry, id) => {
+      entry.analyser.getFloatTimeDomainData(entry.buffer);
+      let sum = 0;
+      for (let i = 0; i < entry.buffer.length; i++) {
+        sum += entry.buffer[i] * entry.buffer[i];
+      }
+      const level = Math.sqrt(sum / entry.buffer.length);
+      this.onLevel(id, level);
+
+      if (level >= this.threshold) entry.lastLoudAt = now;
+      const speaking = now - entry.lastLoudAt < this.holdTime;
+      if (speaking !== entry.speaking) {
+        entry.speaking = speaking;
+        this.onSpeakingChange(id, speaking);
+      }
+    });
+  }
+}
+
+/**
+ * AudioMixer - 远端音频播放图
+ * 每路远端音频经过独立的增益节点（按用户调节音量），再汇入共享的压缩/限幅器和总增益后输出：
+ *
+ *   source(id) → gain(id) ─┐
+ *   source(id) → gain(id) ─┼→ compressor（可旁路）→ master → destination
+ *   source(id) → gain(id) ─┘
+ *
+ * @example
+ * const mixer = new AudioMixer();
+ * mixer.add('amia', remoteStream);
+ * mixer.setGain('amia', 0.5);
+ * mixer.setMuted(true);
+ */
+class AudioMixer {
+  // 限幅参数：超过 -12dB 开始压缩，接近硬限幅
+  static LIMITER = { threshold: -12, knee: 6, ratio: 12, attack: 0.003, release: 0.25 };
+  static MAX_GAIN = 2;
+
+  /**
+   * @param {Object} [config] - 配置对象
+   * @param {boolean} [config.limiter=true] - 是否启用压缩/限幅
+   * @param {Function} [config.createAudioContext] - 创建 AudioContext 的函数，可替换用于测试
+   */
+  constructor(config = {}) {
+    this.createAudioContext = config.createAudioContext ||
+      (() => new (window.AudioContext || window.webkitAudioContext)());
+    this.limiter = config.limiter !== false;
+    this.muted = false;
+
+    this.context = null;
+    this.compressor = null;
+    this.master = null;
+    // id -> { source, gain }
+    this.channels = new Map();
+  }
+
+  /**
+   * 播放一路远端音频（同一 id 重复添加会替换旧的流）
+   * @param {string} id - 标识
+   * @param {MediaStream} stream - 含音轨的媒体流
+   * @param {number} [gain=1] - 初始音量（0 ~ MAX_GAIN）
+   * @returns {boolean} 是否成功接入（失败时调用方应自行播放）
+   */
+  add(id, stream, gain = 1) {
+    this.remove(id);
+    if (!stream || stream.getAudioTracks().length === 0) return false;
+
+    try {
+      this.ensureGraph();
+      const source = this.context.createMediaStreamSource(stream);
+      const gainNode = this.context.createGain();
+      gainNode.gain.value = AudioMixer.clampGain(gain);
+      source.connect(gainNode);
+      gainNode.connect(this.compressor);
+      this.channels.set(id, { source, gain: gainNode });
+      return true;
+    } catch (e) {
+      console.warn('AudioMixer: failed to route stream', id, e);
+      return false;
+    }
+  }
+
+  /**
+   * 停止播放一路音频
+   * @param {string} id
+   */
+  remove(id) {
+    const channel = this.channels.get(id);
+    if (!channel) return;
+    this.channels.delete(id);
+    try { channel.source.disconnect(); } catch (e) {}
+    try { channel.gain.disconnect(); } catch (e) {}
+  }
+
+  /**
+   * 调节某一路的音量
+   * @param {string} id
+   * @param {number} gain - 0 ~ MAX_GAIN，1 为原始音量
+   */
+  setGain(id, gain) {
+    const channel = this.channels.get(id);
+    if (!channel) return;
+    channel.gain.gain.value = AudioMixer.clampGain(gain);
+  }
+
+  /**
+   * 静音全部输出（闭麦）
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = !!muted;
+    if (this.master) this.master.gain.value = this.muted ? 0 : 1;
+  }
+
+  /**
+   * 启用/旁路压缩限幅器
+   * @param {boolean} enabled
+   */
+  setLimiter(enabled) {
+    this.limiter = !!enabled;
+    if (this.compressor) this.applyLimiter();
+  }
+
+  /**
+   * 停止所有播放并释放 AudioContext
+   */
+  destroy() {
+    Array.from(this.channels.keys()).forEach(id => this.remove(id));
+    if (this.context && this.context.close) {
+      this.context.close().catch(() => {});
+    }
+    this.context = null;
+    this.compressor = null;
+    this.master = null;
+  }
+
+  /**
+   * @param {number} gain
+   * @returns {number}
+   */
+  static clampGain(gain) {
+    return Number.isFinite(gain) ? Math.min(AudioMixer.MAX_GAIN, Math.max(0, gain)) : 1;
+  }
+
+  /**
+   * 首次使用时创建共享的压缩器和总增益
+   * @private
+   */
+  ensureGraph() {
+    if (!this.context) {
+      this.context = this.createAudioContext();
+      this.compressor = this.context.createDynamicsCompressor();
+      this.master = this.context.createGain();
+      this.master.gain.value = this.muted ? 0 : 1;
+      this.compressor.connect(this.master);
+      this.master.connect(this.context.destination);
+      this.applyLimiter();
+    }
+    if (this.context.state === 'suspended' && this.context.resume) {
+      this.context.resume().catch(() => {});
+    }
+  }
+
+  /**
+   * 旁路时把压缩比设为 1，避免重新连线造成爆音
+   * @private
+   */
+  applyLimiter() {
+    const params = this.limiter ? AudioMixer.LIMITER : { threshold: 0, knee: 0, ratio: 1, attack: 0.003, release: 0.25 };
+    Object.keys(params).forEach(key => {
+      this.compressor[key].value = params[key];
+    });
+  }
+}
@@ -0,0 +1,1125 @@
+/**
+ * VoiceManager - 语音频道管理器
+ * 负责本地麦克风采集和语音成员管理，媒体连接交给拓扑层（见 rtc-topology.js）：
+ * 默认为全连接（MeshTopology），也可以配置为经由 SFU 转发（SfuTopology）
+ * 信令通过信令通道（RoomSignaling / LoopbackSignaling）收发，与 UI 完全解耦，通过事件总线对外通信
+ *
+ * 全连接模式下：
+ * - 新成员广播 join，已在语音中的成员为其创建连接并发起 offer
+ * - 双方同时发起 offer 时，会话 ID 较小的一方（polite）回滚并应答
+ *
+ * 各路音频（包括自己）由 AudioLevelMonitor 检测音量，用于显示说话状态；
+ * 静音/闭麦状态通过信令广播给房间内所有人
+ *
+ * 发送端支持三种输入模式（见 setInputSettings）：
+ * - open: 开放麦克风
+ * - vad: 语音激活，音量超过阈值才发送，低于阈值后保持 hangTime 再关闭
+ * - ptt: 按键说话，按住按键时才发送
+ * 模式通过启用/禁用本地音轨实现门控，不需要重新协商
+ *
+ * 远端音频经 AudioMixer 播放：每个用户单独的音量（按用户名保存），以及共享的压缩/限幅器；
+ * 浏览器自带的降噪、回声消除、自动增益通过麦克风约束开关
+ *
+ * 语音中可以额外开启摄像头和屏幕共享（setCamera / setScreenShare），
+ * 视频轨道加入已有连接后由 onnegotiationneeded 自动重新协商；
+ * 各路视频所属的流 ID 随静音状态一起广播，接收端据此区分摄像头和屏幕
+ *
+ * 语音中可以录音（SessionRecorder），录音状态随静音状态一起广播，房间内所有人都能看到谁在录音
+ *
+ * 语音中由 CallStatsMonitor 定期读取连接统计，整理为每个成员的时延、抖动、丢包、码率和质量等级（voice:stats）
+ *
+ * @example
+ * const voice = new VoiceManager({
+ *   eventBus,
+ *   signaling: new RoomSignaling({ chatRoom, eventBus })
+ * });
+ *
+ * eventBus.on('voice:roster', ({ participants }) => console.log(participants));
+ * await voice.join();
+ * voice.leave();
+ */
+class VoiceManager {
+  static NAMESPACE = 'voice';
+  static INPUT_MODES = ['open', 'vad', 'ptt'];
+  static INPUT_SETTINGS_KEY = 'nightcord-voice-input';
+  static DEFAULT_INPUT_SETTINGS = {
+    mode: 'open',
+    vadThreshold: 0.03,
+    vadHangTime: 600,
+    pttKey: 'F8',
+    noiseSuppression: true,
+    echoCancellation: true,
+    autoGainControl: true,
+    limiter: true,
+    recordTracks: false,
+    // 服务器断开时经由语音连接收发文字（见 PeerRelay），默认关闭
+    chatRelay: false
+  };
+  // 麦克风处理开关，对应 getUserMedia 的同名约束
+  static PROCESSING_CONSTRAINTS = ['noiseSuppression', 'echoCancellation', 'autoGainControl'];
+  static VOLUME_KEY = 'nightcord-voice-volume';
+
+  /**
+   * 创建语音管理器实例
+   * @param {Object} config - 配置对象
+   * @param {EventBus} [config.eventBus] - 事件总线实例
+   * @param {Object} config.signaling - 信令通道（见 room-signaling.js）
+   * @param {RTCIceServer[]} [config.iceServers] - ICE 服务器列表（STUN/TURN）
+   * @param {string|Function} [config.topology='mesh'] - 'mesh'、'sfu'，或自定义拓扑工厂 (options) => topology
+   * @param {Object} [config.sfu] - SFU 连接器（topology 为 'sfu' 时必需，见 SfuTopology）
+   * @param {Function} [config.getUserMedia] - 获取本地媒体流的函数，可替换为假流用于测试
+   * @param {Function} [config.getDisplayMedia] - 获取屏幕共享流的函数，可替换用于测试
+   * @param {Function} [config.RTCPeerConnection] - RTCPeerConnection 构造函数，可替换用于测试
+   * @param {Function} [config.createAudioElement] - 创建远端音频播放元素的函数
+   * @param {Function} [config.createAudioContext] - 创建 AudioContext 的函数（音量检测和播放用）
+   * @param {number} [config.statsInterval=2000] - 通话质量统计的采样间隔（毫秒）
+   * @param {Function} [config.MediaRecorder] - MediaRecorder 构造函数，可替换用于测试
+   * @param {PeerRelay} [config.peerRelay] - 点对点文字通道；开启 chatRelay 设置后，mesh 连接上附带它使用的数据通道
+   */
+  constructor(config = {}) {
+    this.eventBus = config.eventBus || new EventBus();
+    this.signaling = config.signaling;
+    this.getUserMedia = config.getUserMedia || ((constraints) => navigator.mediaDevices.getUserMedia(constraints));
+    this.getDisplayMedia = config.getDisplayMedia || ((constraints) => navigator.mediaDevices.getDisplayMedia(constraints));
+    this.createAudioElement = config.createAudioElement || (() => new Audio());
+    this.createAudioContext = config.createAudioContext;
+    this.MediaRecorder = config.MediaRecorder || window.MediaRecorder;
+    this.relay = config.peerRelay || null;
+
+    this.active = false;
+    // 进行中的 join()：{ promise }（等待麦克风授权期间）；重复调用复用同一个 Promise，leave() 时置空以取消
+    this.joining = null;
+    this.localStream = null;
+    // 摄像头和屏幕共享使用各自独立的流，接收端按流 ID 区分
+    this.cameraStream = null;
+    this.screenStream = null;
+    this.muted = false;
+    this.deafened = false;
+    // 闭麦前的静音状态，取消闭麦时恢复
+    this.mutedBeforeDeafen = false;
+    // 正在说话的会话 ID
+    this.speaking = new Set();
+    // 录音中的 SessionRecorder
+    this.recorder = null;
+
+    // 输入模式与门控
+    this.inputSettings = this.loadInputSettings();
+    this.gateOpen = this.inputSettings.mode === 'open';
+    this.pttPressed = false;
+    // 语音激活检测用的麦克风副本（发送的音轨被门控禁用时仍需检测音量）
+    this.analysisStream = null;
+    this.vadMonitor = null;
+    // 收到媒体的远端成员：sid -> { sid, username, stream, audio, videoStreams }
+    this.remotes = new Map();
+    // 房间内所有语音成员（包括未与本端连接的）：sid -> { sid, username, muted, deafened }
+    this.members = new Map();
+
+    // 每个用户的播放音量：username -> 0 ~ AudioMixer.MAX_GAIN
+    this.volumes = this.loadVolumes();
+    this.mixer = new AudioMixer({
+      createAudioContext: config.createAudioContext,
+      limiter: this.inputSettings.limiter
+    });
+
+    this.levelMonitor = new AudioLevelMonitor({
+      createAudioContext: config.createAudioContext,
+      onSpeakingChange: (sid, speaking) => this.handleSpeakingChange(sid, speaking)
+    });
+
+    this.topology = this.createTopology(config);
+
+    // 每个成员的通话质量：sid -> 见 getCallStats()
+    this.callStats = new Map();
+    this.statsMonitor = new CallStatsMonitor({
+      getPeerConnections: () => this.topology.getPeerConnections(),
+      onStats: (connections) => this.handleStats(connections),
+      interval: config.statsInterval
+    });
+
+    this.signaling.subscribe((signal, from) => this.handleSignal(signal, from));
+    this.signaling.onReady(() => this.handleSignalingReady());
+
+    this.eventBus.on('user:quit', (data) => this.removeMembersByName(data.username));
+    this.emitInputSettings();
+  }
+
+  /**
+   * 加入语音
+   * @returns {Promise<boolean>} 是否成功加入
+   * @fires voice:joined
+   * @fires voice:error
+   */
+  join() {
+    if (this.active) return Promise.resolve(true);
+    if (!this.joining) {
+      const joining = { promise: null };
+      this.joining = joining;
+      joining.promise = this.startJoin(joining).finally(() => {
+        if (this.joining === joining) this.joining = null;
+      });
+    }
+    return this.joining.promise;
+  }
+
+  /**
+   * @private
+   * @param {Object} joining - 本次加入的标记，与 this.joining 不同说明已被 leave() 取消
+   */
+  async startJoin(joining) {
+    let stream;
+    try {
+      stream = await this.getUserMedia({ audio: this.getAudioConstraints(), video: false });
+    } catch (error) {
+      if (this.joining !== joining) return false;
+      this.eventBus.emit('voice:error', { message: '无法访问麦克风', error });
+      return false;
+    }
+
+    // 等待授权期间已经 leave()：释放刚拿到的麦克风
+    if (this.joining !== joining) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this.localStream = stream;
+    this.active = true;
+    this.analysisStream = new MediaStream(this.localStream.getAudioTracks().map(track => track.clone()));
+    this.configureGate();
+    this.topology.open();
+    this.topology.publish(this.localStream);
+    this.levelMonitor.add(this.signaling.sid, this.localStream);
+    this.statsMonitor.start();
+    this.sendSignal({ type: 'join', ...this.getLocalState() });
+    this.eventBus.emit('voice:joined', { sid: this.signaling.sid });
+    this.emitRoster();
+    return true;
+  }
+
+  /**
+   * 离开语音，关闭所有连接并停止本地采集
+   * @fires voice:left
+   */
+  leave() {
+    // 取消尚未完成的 join()
+    this.joining = null;
+    if (!this.active) return;
+
+    if (this.recorder) this.stopRecording();
+    this.active = false;
+    this.sendSignal({ type: 'leave' });
+    this.topology.close();
+    this.statsMonitor.stop();
+    this.callStats.clear();
+    this.eventBus.emit('voice:stats', { stats: [] });
+    this.levelMonitor.remove(this.signaling.sid);
+    this.stopVoiceActivityDetection();
+    this.stopVideo('cameraStream');
+    this.stopVideo('screenStream');
+
+    if (this.analysisStream) {
+      this.analysisStream.getTracks().forEach(track => track.stop());
+      this.analysisStream = null;
+    }
+    if (this.localStream) {
+      this.localStream.getTracks().forEach(track => track.stop());
+      this.localStream = null;
+    }
+
+    this.eventBus.emit('voice:left', { sid: this.signaling.sid });
+    this.emitRoster();
+    this.emitVideo();
+  }
+
+  /**
+   * 是否在语音中
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * 设置麦克风静音
+   * @param {boolean} muted - 是否静音
+   * @fires voice:roster
+   */
+  setMuted(muted) {
+    // 闭麦状态下不能单独取消静音
+    if (this.deafened && !muted) return;
+    this.muted = !!muted;
+    this.applyTransmitState();
+    this.broadcastState();
+  }
+
+  /**
+   * 设置闭麦（不听任何人，同时静音麦克风）
+   * @param {boolean} deafened - 是否闭麦
+   * @fires voice:roster
+   */
+  setDeafened(deafened) {
+    deafened = !!deafened;
+    if (deafened === this.deafened) return;
+
+    if (deafened) {
+      this.mutedBeforeDeafen = this.muted;
+      this.muted = true;
+    } else {
+      this.muted = this.mutedBeforeDeafen;
+    }
+    this.deafened = deafened;
+
+    this.applyTransmitState();
+    this.mixer.setMuted(this.deafened);
+    this.remotes.forEach(remote => {
+      if (remote.audio && !remote.mixed) remote.audio.muted = this.deafened;
+    });
+    this.broadcastState();
+  }
+
+  /**
+   * 切换静音
+   */
+  toggleMute() {
+    this.setMuted(!this.muted);
+  }
+
+  /**
+   * 切换闭麦
+   */
+  toggleDeafen() {
+    this.setDeafened(!this.deafened);
+  }
+
+  /**
+   * 开启/关闭摄像头（需先加入语音）
+   * @param {boolean} enabled - 是否开启
+   * @returns {Promise<boolean>} 操作后摄像头是否开启
+   * @fires voice:video
+   * @fires voice:error
+   */
+  async setCamera(enabled) {
+    if (!enabled) {
+      this.stopVideo('cameraStream');
+      this.broadcastState();
+      this.emitVideo();
+      return false;
+    }
+    if (!this.active) return false;
+    if (this.cameraStream) return true;
+
+    let stream;
+    try {
+      stream = await this.getUserMedia({ audio: false, video: { width: { ideal: 1280 }, height: { ideal: 720 } } });
+    } catch (error) {
+      this.eventBus.emit('voice:error', { message: '无法访问摄像头', error });
+      return false;
+    }
+    return this.startVideo('cameraStream', stream);
+  }
+
+  /**
+   * 开始/停止屏幕共享（需先加入语音）
+   * @param {boolean} enabled - 是否共享
+   * @returns {Promise<boolean>} 操作后是否在共享
+   * @fires voice:video
+   * @fires voice:error
+   */
+  async setScreenShare(enabled) {
+    if (!enabled) {
+      this.stopVideo('screenStream');
+      this.broadcastState();
+      this.emitVideo();
+      return false;
+    }
+    if (!this.active) return false;
+    if (this.screenStream) return true;
+
+    let stream;
+    try {
+      stream = await this.getDisplayMedia({ video: { frameRate: { ideal: 15 } }, audio: false });
+    } catch (error) {
+      // 用户在选择窗口中取消不算错误
+      if (!error || error.name !== 'NotAllowedError') {
+        this.eventBus.emit('voice:error', { message: '无法共享屏幕', error });
+      }
+      return false;
+    }
+    // 屏幕内容以清晰度优先（文字、时间轴），而不是流畅度
+    stream.getVideoTracks().forEach(track => {
+      if ('contentHint' in track) track.contentHint = 'detail';
+    });
+    return this.startVideo('screenStream', stream);
+  }
+
+  /**
+   * 开始录音（需先加入语音），录音状态会广播给房间内所有人
+   * 设置中开启 recordTracks 时同时录制每个成员的分轨
+   * @returns {boolean} 是否开始录音
+   * @fires voice:roster
+   * @fires voice:error
+   */
+  startRecording() {
+    if (!this.active) return false;
+    if (this.recorder) return true;
+    if (!SessionRecorder.isSupported(this.MediaRecorder)) {
+      this.eventBus.emit('voice:error', { message: '当前浏览器不支持录音' });
+      return false;
+    }
+
+    const recorder = new SessionRecorder({
+      separateTracks: this.inputSettings.recordTracks,
+      MediaRecorder: this.MediaRecorder,
+      createAudioContext: this.createAudioContext
+    });
+    try {
+      recorder.start();
+      recorder.addSource(this.signaling.sid, this.signaling.username, this.localStream);
+      this.remotes.forEach(remote => {
+        if (remote.stream) recorder.addSource(remote.sid, remote.username || remote.sid, remote.stream);
+      });
+    } catch (error) {
+      recorder.stop().catch(() => {});
+      this.eventBus.emit('voice:error', { message: '无法开始录音', error });
+      return false;
+    }
+
+    this.recorder = recorder;
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * 停止录音
+   * @returns {Promise<Array>} 录音文件，见 SessionRecorder.stop()
+   * @fires voice:recording:saved
+   */
+  async stopRecording() {
+    const recorder = this.recorder;
+    if (!recorder) return [];
+    this.recorder = null;
+    this.broadcastState();
+
+    const recordings = await recorder.stop();
+    if (recordings.length > 0) this.eventBus.emit('voice:recording:saved', { recordings });
+    return recordings;
+  }
+
+  /**
+   * 是否在录音
+   * @returns {boolean}
+   */
+  isRecording() {
+    return !!this.recorder;
+  }
+
+  /**
+   * 获取当前所有视频（包括自己的预览）
+   * @returns {Array<{sid: string, username: string, self: boolean, kind: string, stream: MediaStream}>}
+   *   kind 为 'camera' 或 'screen'
+   */
+  getVideoStreams() {
+    const videos = [];
+    if (this.active) {
+      const self = { sid: this.signaling.sid, username: this.signaling.username, self: true };
+      if (this.cameraStream) videos.push({ ...self, kind: 'camera', stream: this.cameraStream });
+      if (this.screenStream) videos.push({ ...self, kind: 'screen', stream: this.screenStream });
+    }
+    this.members.forEach(member => {
+      const remote = this.remotes.get(member.sid);
+      if (!remote) return;
+      ['camera', 'screen'].forEach(kind => {
+        const stream = member[kind] && remote.videoStreams.get(member[kind]);
+        if (stream && stream.getVideoTracks().length > 0) {
+          videos.push({ sid: member.sid, username: member.username, self: false, kind, stream });
+        }
+      });
+    });
+    return videos;
+  }
+
+  /**
+   * 获取输入设置
+   * @returns {{mode: string, vadThreshold: number, vadHangTime: number, pttKey: string}}
+   */
+  getInputSettings() {
+    return { ...this.inputSettings };
+  }
+
+  /**
+   * 修改输入设置（会持久化到 localStorage）
+   * @param {Object} settings - 要修改的字段
+   * @param {string} [settings.mode] - 'open' | 'vad' | 'ptt'
+   * @param {number} [settings.vadThreshold] - 语音激活阈值（RMS，0~1）
+   * @param {number} [settings.vadHangTime] - 语音激活保持时间（毫秒）
+   * @param {string} [settings.pttKey] - 按键说话绑定的 KeyboardEvent.code
+   * @param {boolean} [settings.noiseSuppression] - 降噪
+   * @param {boolean} [settings.echoCancellation] - 回声消除
+   * @param {boolean} [settings.autoGainControl] - 自动增益
+   * @param {boolean} [settings.limiter] - 对播放的声音做压缩/限幅
+   * @param {boolean} [settings.recordTracks] - 录音时同时录制每个成员的分轨（下次开始录音时生效）
+   * @param {boolean} [settings.chatRelay] - 服务器断开时经由语音连接收发文字（之后建立的连接生效，即下次加入语音时）
+   * @fires voice:settings
+   */
+  setInputSettings(settings = {}) {
+    const next = { ...this.inputSettings };
+    if (VoiceManager.INPUT_MODES.includes(settings.mode)) next.mode = settings.mode;
+    if (Number.isFinite(settings.vadThreshold)) next.vadThreshold = Math.min(1, Math.max(0, settings.vadThreshold));
+    if (Number.isFinite(settings.vadHangTime)) next.vadHangTime = Math.max(0, settings.vadHangTime);
+    if (typeof settings.pttKey === 'string' && settings.pttKey) next.pttKey = settings.pttKey;
+    [...VoiceManager.PROCESSING_CONSTRAINTS, 'limiter', 'recordTracks', 'chatRelay'].forEach(key => {
+      if (typeof settings[key] === 'boolean') next[key] = settings[key];
+    });
+
+    const vadChanged = next.vadThreshold !== this.inputSettings.vadThreshold ||
+      next.vadHangTime !== this.inputSettings.vadHangTime;
+    const modeChanged = next.mode !== this.inputSettings.mode;
+    const processingChanged = VoiceManager.PROCESSING_CONSTRAINTS.some(key => next[key] !== this.inputSettings[key]);
+    const limiterChanged = next.limiter !== this.inputSettings.limiter;
+    this.inputSettings = next;
+    this.saveInputSettings();
+
+    if (modeChanged || vadChanged) this.configureGate();
+    if (processingChanged) this.applyAudioConstraints();
+    if (limiterChanged) this.mixer.setLimiter(next.limiter);
+    this.emitInputSettings();
+  }
+
+  /**
+   * 设置某个用户的播放音量（按用户名保存到 localStorage）
+   * @param {string} username - 用户名
+   * @param {number} volume - 0 ~ 2，1 为原始音量
+   * @fires voice:roster
+   */
+  setUserVolume(username, volume) {
+    if (!username) return;
+    const gain = AudioMixer.clampGain(volume);
+    if (gain === 1) {
+      delete this.volumes[username];
+    } else {
+      this.volumes[username] = gain;
+    }
+    this.saveVolumes();
+
+    this.remotes.forEach(remote => {
+      if (remote.username === username) this.applyRemoteVolume(remote);
+    });
+    this.emitRoster();
+  }
+
+  /**
+   * 获取某个用户的播放音量
+   * @param {string} username
+   * @returns {number}
+   */
+  getUserVolume(username) {
+    const volume = this.volumes[username];
+    return Number.isFinite(volume) ? volume : 1;
+  }
+
+  /**
+   * 按键说话：按下/松开
+   * @param {boolean} pressed - 是否按下
+   */
+  setPushToTalk(pressed) {
+    this.pttPressed = !!pressed;
+    if (this.inputSettings.mode !== 'ptt') return;
+    this.setGateOpen(this.pttPressed);
+  }
+
+  /**
+   * 获取语音成员列表（包括自己）
+   * @returns {Array<{sid: string, username: string, self: boolean, connected: boolean, muted: boolean, deafened: boolean, camera: boolean, screen: boolean, recording: boolean, volume?: number, speaking: boolean}>}
+   *   volume 仅远端成员有
+   */
+  getParticipants() {
+    const participants = [];
+    if (this.active) {
+      participants.push({
+        sid: this.signaling.sid,
+        username: this.signaling.username,
+        self: true,
+        connected: true,
+        muted: this.muted,
+        deafened: this.deafened,
+        camera: !!this.cameraStream,
+        screen: !!this.screenStream,
+        recording: !!this.recorder,
+        speaking: this.speaking.has(this.signaling.sid)
+      });
+    }
+    this.members.forEach(member => {
+      participants.push({
+        sid: member.sid,
+        username: member.username,
+        self: false,
+        connected: this.topology.isConnected(member.sid),
+        muted: !!member.muted,
+        deafened: !!member.deafened,
+        camera: !!member.camera,
+        screen: !!member.screen,
+        recording: !!member.recording,
+        volume: this.getUserVolume(member.username),
+        speaking: this.speaking.has(member.sid)
+      });
+    });
+    return participants;
+  }
+
+  /**
+   * 获取最近一次采样的通话质量（每个已建立连接的远端成员一项）
+   * rtt、jitter 单位为毫秒，packetLoss 为 0~1，码率单位为 kbps；尚无数据的字段为 undefined
+   * @returns {Array<{sid: string, username: string, shared: boolean, rtt?: number, jitter?: number, packetLoss?: number, bitrateIn?: number, bitrateOut?: number, candidateType?: string, remoteCandidateType?: string, protocol?: string, quality: string}>}
+   *   shared 为 true 表示连接由多个成员共用（SFU），rtt、bitrateOut、候选对类型是到服务器的；
+   *   quality 为 'good' | 'fair' | 'poor' | 'unknown'
+   */
+  getCallStats() {
+    return Array.from(this.callStats.values());
+  }
+
+  /**
+   * 获取媒体拓扑（用于诊断等扩展）
+   * @returns {MeshTopology|SfuTopology}
+   */
+  getTopology() {
+    return this.topology;
+  }
+
+  /**
+   * 按配置创建拓扑
+   * @private
+   */
+  createTopology(config) {
+    const options = {
+      signaling: this.signaling,
+      namespace: VoiceManager.NAMESPACE,
+      iceServers: config.iceServers,
+      RTCPeerConnection: config.RTCPeerConnection,
+      onTrack: (event) => this.handleTrack(event),
+      onPeerClosed: (sid) => this.handlePeerClosed(sid),
+      onConnectionStateChange: () => this.emitRoster(),
+      // 只有 mesh 拓扑支持；双方都开启 chatRelay 时通道才会打开
+      dataChannel: () => this.relay && this.inputSettings.chatRelay ? PeerRelay.CHANNEL_LABEL : null,
+      onDataChannel: ({ sid, username, channel }) => this.relay.addPeer({ sid, username }, channel)
+    };
+
+    if (typeof config.topology === 'function') return config.topology(options);
+    if (config.topology === 'sfu') {
+      if (config.sfu) return new SfuTopology({ ...options, connector: config.sfu });
+      console.warn('VoiceManager: topology "sfu" requires an sfu connector, falling back to mesh');
+    }
+    return new MeshTopology(options);
+  }
+
+  /**
+   * 本端的静音/闭麦状态，以及摄像头、屏幕共享所用的流 ID
+   * @private
+   */
+  getLocalState() {
+    return {
+      muted: this.muted,
+      deafened: this.deafened,
+      camera: this.cameraStream ? this.cameraStream.id : null,
+      screen: this.screenStream ? this.screenStream.id : null,
+      recording: !!this.recorder
+    };
+  }
+
+  /**
+   * 开始发送一路视频
+   * @private
+   * @param {string} key - 'cameraStream' | 'screenStream'
+   * @param {MediaStream} stream
+   * @returns {boolean}
+   */
+  startVideo(key, stream) {
+    // 等待授权期间可能已经离开语音
+    if (!this.active) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this[key] = stream;
+    this.topology.publish(stream);
+    stream.getVideoTracks().forEach(track => {
+      // 通过浏览器自带的「停止共享」按钮或拔出摄像头结束时同步关闭
+      track.onended = () => {
+        if (this[key] !== stream) return;
+        this.stopVideo(key);
+        this.broadcastState();
+        this.emitVideo();
+      };
+    });
+    this.broadcastState();
+    this.emitVideo();
+    return true;
+  }
+
+  /**
+   * 停止发送一路视频，从所有连接上移除其轨道
+   * @private
+   * @param {string} key - 'cameraStream' | 'screenStream'
+   */
+  stopVideo(key) {
+    const stream = this[key];
+    if (!stream) return;
+    this[key] = null;
+
+    this.topology.unpublish(stream);
+    stream.getTracks().forEach(track => {
+      track.onended = null;
+      track.stop();
+    });
+  }
+
+  /**
+   * 麦克风的音频约束
+   * @private
+   */
+  getAudioConstraints() {
+    const constraints = {};
+    VoiceManager.PROCESSING_CONSTRAINTS.forEach(key => {
+      constraints[key] = !!this.inputSettings[key];
+    });
+    return constraints;
+  }
+
+  /**
+   * 语音中修改降噪等开关时，直接对麦克风音轨应用新约束，不需要重新采集
+   * @private
+   */
+  applyAudioConstraints() {
+    const constraints = this.getAudioConstraints();
+    [this.localStream, this.analysisStream].forEach(stream => {
+      if (!stream) return;
+      stream.getAudioTracks().forEach(track => {
+        if (!track.applyConstraints) return;
+        track.applyConstraints(constraints).catch(error => {
+          console.warn('VoiceManager: failed to apply audio constraints', error);
+        });
+      });
+    });
+  }
+
+  /**
+   * 按静音状态和输入门控启用/禁用本地音轨
+   * @private
+   */
+  applyTransmitState() {
+    if (!this.localStream) return;
+    const enabled = !this.muted && this.gateOpen;
+    this.localStream.getAudioTracks().forEach(track => {
+      track.enabled = enabled;
+    });
+  }
+
+  /**
+   * 按当前输入模式配置门控
+   * @private
+   */
+  configureGate() {
+    this.stopVoiceActivityDetection();
+
+    const { mode } = this.inputSettings;
+    if (mode === 'open') {
+      this.gateOpen = true;
+    } else if (mode === 'ptt') {
+      this.gateOpen = this.pttPressed;
+    } else {
+      this.gateOpen = false;
+      this.startVoiceActivityDetection();
+    }
+    this.applyTransmitState();
+    this.eventBus.emit('voice:gate', { open: this.gateOpen });
+  }
+
+  /**
+   * 打开/关闭门控
+   * @private
+   * @fires voice:gate
+   */
+  setGateOpen(open) {
+    if (this.gateOpen === open) return;
+    this.gateOpen = open;
+    this.applyTransmitState();
+    this.eventBus.emit('voice:gate', { open });
+  }
+
+  /**
+   * 开始语音激活检测
+   * @private
+   */
+  startVoiceActivityDetection() {
+    if (!this.active || !this.analysisStream) return;
+    this.vadMonitor = new AudioLevelMonitor({
+      createAudioContext: this.levelMonitor.createAudioContext,
+      threshold: this.inputSettings.vadThreshold,
+      holdTime: this.inputSettings.vadHangTime,
+      onLevel: (id, level) => this.eventBus.emit('voice:level', { level }),
+      onSpeakingChange: (id, speaking) => this.setGateOpen(speaking)
+    });
+    this.vadMonitor.add('vad', this.analysisStream);
+  }
+
+  /**
+   * 停止语音激活检测
+   * @private
+   */
+  stopVoiceActivityDetection() {
+    if (!this.vadMonitor) return;
+    const monitor = this.vadMonitor;
+    this.vadMonitor = null;
+    monitor.destroy();
+  }
+
+  /**
+   * 从 localStorage 读取输入设置
+   * @private
+   */
+  loadInputSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(VoiceManager.INPUT_SETTINGS_KEY) || '{}');
+      const settings = { ...VoiceManager.DEFAULT_INPUT_SETTINGS, ...saved };
+      if (!VoiceManager.INPUT_MODES.includes(settings.mode)) settings.mode = VoiceManager.DEFAULT_INPUT_SETTINGS.mode;
+      return settings;
+    } catch (e) {
+      return { ...VoiceManager.DEFAULT_INPUT_SETTINGS };
+    }
+  }
+
+  /**
+   * 保存输入设置到 localStorage
+   * @private
+   */
+  saveInputSettings() {
+    try {
+      localStorage.setItem(VoiceManager.INPUT_SETTINGS_KEY, JSON.stringify(this.inputSettings));
+    } catch (e) {
+      console.warn('Failed to save voice input settings:', e);
+    }
+  }
+
+  /**
+   * 从 localStorage 读取每个用户的音量
+   * @private
+   */
+  loadVolumes() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(VoiceManager.VOLUME_KEY) || '{}');
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * 保存每个用户的音量到 localStorage
+   * @private
+   */
+  saveVolumes() {
+    try {
+      localStorage.setItem(VoiceManager.VOLUME_KEY, JSON.stringify(this.volumes));
+    } catch (e) {
+      console.warn('Failed to save voice volumes:', e);
+    }
+  }
+
+  /**
+   * @private
+   * @fires voice:settings
+   */
+  emitInputSettings() {
+    this.eventBus.emit('voice:settings', this.getInputSettings());
+  }
+
+  /**
+   * 广播本端静音/闭麦状态
+   * @private
+   */
+  broadcastState() {
+    if (this.active) this.sendSignal({ type: 'state', ...this.getLocalState() });
+    this.emitRoster();
+  }
+
+  /**
+   * 说话状态变化
+   * @private
+   * @fires voice:speaking
+   */
+  handleSpeakingChange(sid, speaking) {
+    if (speaking) this.speaking.add(sid); else this.speaking.delete(sid);
+
+    const isSelf = sid === this.signaling.sid;
+    const member = this.members.get(sid);
+    this.eventBus.emit('voice:speaking', {
+      sid,
+      username: isSelf ? this.signaling.username : (member ? member.username : null),
+      self: isSelf,
+      speaking
+    });
+  }
+
+  /**
+   * 信令通道可用（进入房间或重连后）：丢弃没有连接的旧成员，重新询问谁在语音中
+   * @private
+   */
+  handleSignalingReady() {
+    Array.from(this.members.keys()).forEach(sid => {
+      if (!this.topology.isConnected(sid)) this.members.delete(sid);
+    });
+    this.sendSignal({ type: 'query' });
+    this.emitRoster();
+  }
+
+  /**
+   * 发送语音命名空间下的信令
+   * @private
+   */
+  sendSignal(signal, to) {
+    return this.signaling.send({ ns: VoiceManager.NAMESPACE, ...signal }, to);
+  }
+
+  /**
+   * 处理收到的信令
+   * @private
+   * @param {Object} signal - 信令
+   * @param {Object} from - { sid, username }
+   */
+  handleSignal(signal, from) {
+    if (!signal || signal.ns !== VoiceManager.NAMESPACE) return;
+
+    switch (signal.type) {
+      case 'query':
+        if (this.active) this.sendSignal({ type: 'presence', ...this.getLocalState() }, from.sid);
+        break;
+      case 'presence':
+      case 'state':
+        this.addMember(from, signal);
+        this.emitVideo();
+        break;
+      case 'join':
+        this.addMember(from, signal);
+        if (this.active) {
+          // 对方重新加入时丢弃旧连接
+          this.topology.removePeer(from.sid);
+          this.topology.addPeer(from);
+        }
+        break;
+      case 'leave':
+        this.topology.removePeer(from.sid);
+        this.members.delete(from.sid);
+        this.emitRoster();
+        break;
+      case 'description':
+      case 'candidate':
+        if (!this.active) return;
+        this.addMember(from);
+        this.topology.handleSignal(signal, from);
+        break;
+    }
+  }
+
+  /**
+   * 记录语音成员
+   * @private
+   * @param {Object} from - { sid, username }
+   * @param {Object} [state] - 携带 muted/deafened/camera/screen/recording 的信令
+   */
+  addMember(from, state) {
+    const member = this.members.get(from.sid);
+    const pick = (key, fallback) => (state ? state[key] || fallback : (member ? member[key] : fallback));
+    const next = {
+      sid: from.sid,
+      username: from.username,
+      muted: !!pick('muted', false),
+      deafened: !!pick('deafened', false),
+      camera: pick('camera', null),
+      screen: pick('screen', null),
+      recording: !!pick('recording', false)
+    };
+    if (member && ['username', 'muted', 'deafened', 'camera', 'screen', 'recording'].every(key => member[key] === next[key])) return;
+
+    this.members.set(from.sid, next);
+    const remote = this.remotes.get(from.sid);
+    if (remote && remote.username !== from.username) {
+      remote.username = from.username;
+      this.applyRemoteVolume(remote);
+    }
+    this.emitRoster();
+  }
+
+  /**
+   * 移除指定用户名的所有语音成员（对方离开房间时）
+   * @private
+   */
+  removeMembersByName(username) {
+    let changed = false;
+    Array.from(this.members.values()).forEach(member => {
+      if (member.username !== username) return;
+      this.topology.removePeer(member.sid);
+      this.members.delete(member.sid);
+      changed = true;
+    });
+    if (changed) {
+      this.emitRoster();
+      this.emitVideo();
+    }
+  }
+
+  /**
+   * 收到远端轨道：音频播放并检测音量，视频按流 ID 保存
+   * @private
+   * @param {Object} event - { sid, track, stream }
+   */
+  handleTrack({ sid, track, stream }) {
+    let remote = this.remotes.get(sid);
+    if (!remote) {
+      const member = this.members.get(sid);
+      remote = { sid, username: member ? member.username : null, stream: null, audio: null, mixed: false, videoStreams: new Map() };
+      this.remotes.set(sid, remote);
+    }
+
+    if (track.kind === 'video') {
+      remote.videoStreams.set(stream.id, stream);
+      // 对端停止共享时轨道会从流中移除
+      stream.onremovetrack = () => {
+        if (stream.getVideoTracks().length === 0) remote.videoStreams.delete(stream.id);
+        this.emitVideo();
+      };
+      this.emitVideo();
+      return;
+    }
+
+    remote.stream = stream;
+    this.playRemoteStream(remote);
+    this.levelMonitor.add(sid, stream);
+    if (this.recorder) this.recorder.addSource(sid, remote.username || sid, stream);
+    this.eventBus.emit('voice:stream', { sid, username: remote.username, stream });
+    // 经由 SFU 时，收到轨道才知道与该成员已连通
+    this.emitRoster();
+  }
+
+  /**
+   * 播放远端音频
+   * @private
+   */
+  playRemoteStream(remote) {
+    remote.mixed = this.mixer.add(remote.sid, remote.stream, this.getUserVolume(remote.username));
+
+    // Chrome 中远端 WebRTC 流必须挂在媒体元素上才会有数据流入 WebAudio，因此始终保留一个元素；
+    // 接入混音器后元素静音，由混音器出声；接入失败时退回元素直接播放
+    if (!remote.audio) {
+      remote.audio = this.createAudioElement();
+      remote.audio.autoplay = true;
+    }
+    remote.audio.muted = remote.mixed || this.deafened;
+    remote.audio.srcObject = remote.stream;
+    this.applyRemoteVolume(remote);
+    const playing = remote.audio.play && remote.audio.play();
+    if (playing && playing.catch) playing.catch(() => {});
+  }
+
+  /**
+   * 应用某个远端的播放音量
+   * @private
+   */
+  applyRemoteVolume(remote) {
+    const volume = this.getUserVolume(remote.username);
+    if (remote.mixed) {
+      this.mixer.setGain(remote.sid, volume);
+    } else if (remote.audio) {
+      // 媒体元素的音量上限为 1
+      remote.audio.volume = Math.min(1, volume);
+    }
+  }
+
+  /**
+   * 与对端的媒体连接已关闭：停止播放并清理
+   * @private
+   * @fires voice:stream:removed
+   */
+  handlePeerClosed(sid) {
+    const remote = this.remotes.get(sid);
+    this.remotes.delete(sid);
+    if (this.relay) this.relay.removePeer(sid);
+    this.levelMonitor.remove(sid);
+    this.mixer.remove(sid);
+    if (this.recorder) this.recorder.removeSource(sid);
+
+    if (remote && remote.audio) {
+      remote.audio.srcObject = null;
+      remote.audio = null;
+    }
+    const member = this.members.get(sid);
+    this.eventBus.emit('voice:stream:removed', { sid, username: remote ? remote.username : (member ? member.username : null) });
+    if (remote && remote.videoStreams.size > 0) this.emitVideo();
+    this.emitRoster();
+  }
+
+  /**
+   * 广播当前语音成员列表
+   * @private
+   * @fires voice:roster
+   */
+  emitRoster() {
+    this.eventBus.emit('voice:roster', { active: this.active, participants: this.getParticipants() });
+  }
+
+  /**
+   * 把连接级统计分配到每个成员
+   * @private
+   * @fires voice:stats
+   */
+  handleStats(connections) {
+    // 不以成员 sid 为键的连接（如 SFU）由所有成员共用
+    const shared = Array.from(connections.entries()).find(([id]) => !this.members.has(id));
+    const sum = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) : undefined;
+    const max = (values) => values.length > 0 ? Math.max(...values) : undefined;
+
+    this.callStats.clear();
+    this.members.forEach(member => {
+      const connection = connections.get(member.sid) || (shared && shared[1]);
+      if (!connection) return;
+
+      const remote = this.remotes.get(member.sid);
+      const trackIds = new Set();
+      if (remote) {
+        // 只收到视频、还没有音频流的成员 stream 为 null
+        if (remote.stream) remote.stream.getTracks().forEach(track => trackIds.add(track.id));
+        remote.videoStreams.forEach(stream => stream.getTracks().forEach(track => trackIds.add(track.id)));
+      }
+      let tracks = Array.from(connection.tracks.entries())
+        .filter(([id]) => trackIds.has(id))
+        .map(([, track]) => track);
+      // 独占的连接上拿不到轨道标识时，连接上的所有轨道都属于该成员
+      if (tracks.length === 0 && connections.get(member.sid)) tracks = Array.from(connection.tracks.values());
+
+      const audio = tracks.filter(track => track.kind === 'audio');
+      const entry = {
+        sid: member.sid,
+        username: member.username,
+        shared: !connections.get(member.sid),
+        rtt: connection.rtt,
+        jitter: max(audio.map(track => track.jitter).filter(Number.isFinite)),
+        packetLoss: max(audio.map(track => track.packetLoss).filter(Number.isFinite)),
+        bitrateIn: sum(tracks.map(track => track.bitrate).filter(Number.isFinite)),
+        bitrateOut: connection.bitrateOut,
+        candidateType: connection.candidateType,
+        remoteCandidateType: connection.remoteCandidateType,
+        protocol: connection.protocol
+      };
+      entry.quality = CallStatsMonitor.rate(entry);
+      this.callStats.set(member.sid, entry);
+    });
+
+    this.eventBus.emit('voice:stats', { stats: this.getCallStats() });
+  }
+
+  /**
+   * 广播当前视频列表
+   * @private
+   * @fires voice:video
+   */
+  emitVideo() {
+    this.eventBus.emit('voice:video', { videos: this.getVideoStreams() });
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * SessionRecorder - 语音录音
+ * 用 MediaRecorder 录制语音会话：
+ * - 混音：所有成员（包括自己）按原始音量混合为一条音轨，不受个人音量和闭麦影响
+ * - 分轨（可选）：每个成员单独一个文件，中途加入的成员记录相对录音开始的偏移，便于在 DAW 中对齐
+ * 成员中途离开时，其分轨文件在离开时结束；重新加入会开始一个新文件
+ *
+ * @example
+ * const recorder = new SessionRecorder({ separateTracks: true });
+ * recorder.start();
+ * recorder.addSource('self', 'K', localStream);
+ * const recordings = await recorder.stop();
+ */
+class SessionRecorder {
+  static MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+  // 每秒取一次数据，避免停止时一次性产生超大的缓冲
+  static TIMESLICE = 1000;
+
+  /**
+   * 是否支持录音
+   * @param {Function} [MediaRecorderImpl]
+   * @returns {boolean}
+   */
+  static isSupported(MediaRecorderImpl = window.MediaRecorder) {
+    return typeof MediaRecorderImpl === 'function';
+  }
+
+  /**
+   * @param {Object} [config] - 配置对象
+   * @param {boolean} [config.separateTracks=false] - 是否同时录制每个成员的分轨
+   * @param {Function} [config.MediaRecorder] - MediaRecorder 构造函数，可替换用于测试
+   * @param {Function} [config.createAudioContext] - 创建 AudioContext 的函数，可替换用于测试
+   */
+  constructor(config = {}) {
+    this.separateTracks = !!config.separateTracks;
+    this.MediaRecorder = config.MediaRecorder || window.MediaRecorder;
+    this.createAudioContext = config.createAudioContext ||
+      (() => new (window.AudioContext || window.webkitAudioContext)());
+
+    this.mimeType = SessionRecorder.pickMimeType(this.MediaRecorder);
+    this.startedAt = 0;
+    this.context = null;
+    this.destination = null;
+    this.mix = null;
+    // id -> { label, stream, source, track }
+    this.sources = new Map();
+    // 已结束的分轨（成员离开后）
+    this.finished = [];
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRecording() {
+    return !!this.mix;
+  }
+
+  /**
+   * 开始录音
+   */
+  start() {
+    if (this.mix) return;
+    this.context = this.createAudioContext();
+    if (this.context.state === 'suspended' && this.context.resume) {
+      this.context.resume().catch(() => {});
+    }
+    this.destination = this.context.createMediaStreamDestination();
+    this.startedAt = Date.now();
+    this.mix = this.createTake('mix', this.destination.stream);
+  }
+
+  /**
+   * 加入一路音频（同一 id 添加新的流会替换旧的流，并开始新的分轨）
+   * @param {string} id - 标识（会话 ID）
+   * @param {string} label - 分轨文件使用的名称（用户名）
+   * @param {MediaStream} stream - 含音轨的媒体流
+   */
+  addSource(id, label, stream) {
+    if (!this.mix) return;
+    const existing = this.sources.get(id);
+    const trackIds = (s) => s.getAudioTracks().map(track => track.id).join(',');
+    // 同一音轨再次到达（如重新协商）时继续原来的分轨
+    if (existing && stream && trackIds(existing.stream) === trackIds(stream)) return;
+    this.removeSource(id);
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    const entry = { label, stream, source: null, track: null };
+    try {
+      entry.source = this.context.createMediaStreamSource(stream);
+      entry.source.connect(this.destination);
+    } catch (e) {
+      console.warn('SessionRecorder: failed to mix stream', id, e);
+    }
+    if (this.separateTracks) {
+      entry.track = this.createTake(label, new MediaStream(stream.getAudioTracks()));
+    }
+    this.sources.set(id, entry);
+  }
+
+  /**
+   * 移除一路音频，结束其分轨
+   * @param {string} id
+   */
+  removeSource(id) {
+    const entry = this.sources.get(id);
+    if (!entry) return;
+    this.sources.delete(id);
+    if (entry.source) {
+      try { entry.source.disconnect(); } catch (e) {}
+    }
+    if (entry.track) this.finished.push(this.finishTake(entry.track));
+  }
+
+  /**
+   * 停止录音
+   * @returns {Promise<Array<{name: string, label: string, blob: Blob, mimeType: string, offset: number, duration: number}>>}
+   *   offset 为该文件相对录音开始的偏移（毫秒），混音文件为 0
+   */
+  async stop() {
+    if (!this.mix) return [];
+    const mix = this.mix;
+    this.mix = null;
+
+    Array.from(this.sources.keys()).forEach(id => this.removeSource(id));
+    const takes = [this.finishTake(mix), ...this.finished];
+    this.finished = [];
+
+    const recordings = (await Promise.all(takes)).filter(Boolean);
+    if (this.context && this.context.close) {
+      this.context.close().catch(() => {});
+    }
+    this.context = null;
+    this.destination = null;
+    return recordings;
+  }
+
+  /**
+   * @private
+   */
+  createTake(label, stream) {
+    const options = this.mimeType ? { mimeType: this.mimeType } : undefined;
+    const recorder = new this.MediaRecorder(stream, options);
+    const take = { label, recorder, chunks: [], startedAt: Date.now() };
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) take.chunks.push(event.data);
+    };
+    recorder.start(SessionRecorder.TIMESLICE);
+    return take;
+  }
+
+  /**
+   * 停止一个 MediaRecorder，等最后一块数据到达后合成 Blob
+   * @private
+   */
+  finishTake(take) {
+    return new Promise(resolve => {
+      const done = () => {
+        if (take.chunks.length === 0) {
+          resolve(null);
+          return;
+        }
+        const mimeType = take.recorder.mimeType || this.mimeType || 'audio/webm';
+        resolve({
+          name: SessionRecorder.fileName(this.startedAt, take.label, take.startedAt - this.startedAt, mimeType),
+          label: take.label,
+          blob: new Blob(take.chunks, { type: mimeType }),
+          mimeType,
+          offset: take.startedAt - this.startedAt,
+          duration: Date.now() - take.startedAt
+        });
+      };
+      if (take.recorder.state === 'inactive') {
+        done();
+        return;
+      }
+      take.recorder.onstop = done;
+      try {
+        take.recorder.stop();
+      } catch (e) {
+        console.warn('SessionRecorder: failed to stop recorder', e);
+        done();
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  static pickMimeType(MediaRecorderImpl) {
+    if (!MediaRecorderImpl || typeof MediaRecorderImpl.isTypeSupported !== 'function') return '';
+    return SessionRecorder.MIME_TYPES.find(type => MediaRecorderImpl.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * 文件名：nightcord-20251019-203000-mix.webm，分轨带上偏移 nightcord-20251019-203000-Amia+00m12s.webm
+   * @private
+   */
+  static fileName(startedAt, label, offset, mimeType) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const d = new Date(startedAt);
+    const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+    const seconds = Math.round(offset / 1000);
+    const suffix = seconds > 0 ? `+${pad(Math.floor(seconds / 60))}m${pad(seconds % 60)}s` : '';
+    const extension = (mimeType.match(/^audio\/(\w+)/) || [null, 'webm'])[1];
+    const safeLabel = String(label).replace(/[\\/:*?"<>|\s]+/g, '_');
+    return `nightcord-${stamp}-${safeLabel}${suffix}.${extension === 'mp4' ? 'm4a' : extension}`;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * CallStatsMonitor - 通话质量统计
+ * 周期性对每个 RTCPeerConnection 调用 getStats()，整理出：
+ * - 连接级：往返时延（RTT）、选中的候选对类型（host / srflx / prflx / relay）、上行码率
+ * - 每路接收轨道：抖动、丢包率、下行码率（按 trackIdentifier 区分，SFU 下一个连接承载多个成员）
+ * 丢包率和码率按两次采样之间的增量计算，反映的是「最近」的状况而不是累计值
+ *
+ * @example
+ * const monitor = new CallStatsMonitor({
+ *   getPeerConnections: () => topology.getPeerConnections(),
+ *   onStats: (connections) => console.log(connections)
+ * });
+ * monitor.start();
+ * monitor.stop();
+ */
+class CallStatsMonitor {
+  static DEFAULT_INTERVAL = 2000;
+  // 低于 good 的各项为「良好」，低于 fair 为「一般」，否则为「差」
+  static QUALITY_THRESHOLDS = {
+    good: { rtt: 150, packetLoss: 0.02, jitter: 30 },
+    fair: { rtt: 400, packetLoss: 0.08, jitter: 100 }
+  };
+
+  /**
+   * 根据时延、丢包和抖动评定通话质量
+   * @param {{rtt?: number, packetLoss?: number, jitter?: number}} stats - rtt、jitter 为毫秒，packetLoss 为 0~1
+   * @returns {string} 'good' | 'fair' | 'poor' | 'unknown'
+   */
+  static rate(stats = {}) {
+    const metrics = ['rtt', 'packetLoss', 'jitter'].filter(key => Number.isFinite(stats[key]));
+    if (metrics.length === 0) return 'unknown';
+    const within = (level) => metrics.every(key => stats[key] < CallStatsMonitor.QUALITY_THRESHOLDS[level][key]);
+    if (within('good')) return 'good';
+    if (within('fair')) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * @param {Object} config - 配置对象
+   * @param {Function} config.getPeerConnections - 返回当前连接 Map<string, RTCPeerConnection>
+   * @param {Function} [config.onStats] - 每轮采样完成回调 (connections) => void，
+   *   connections 为 Map<string, {rtt, candidateType, remoteCandidateType, protocol, bitrateOut, tracks}>
+   * @param {number} [config.interval=2000] - 采样间隔（毫秒）
+   */
+  constructor(config = {}) {
+    this.getPeerConnections = config.getPeerConnections || (() => new Map());
+    this.onStats = config.onStats || (() => {});
+    this.interval = config.interval || CallStatsMonitor.DEFAULT_INTERVAL;
+
+    this.timer = null;
+    this.polling = false;
+    // 上一次采样的累计计数器：key -> { timestamp, bytes, packetsLost, packetsReceived }
+    this.previous = new Map();
+    // 最近一次的结果
+    this.latest = new Map();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.interval);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.previous.clear();
+    this.latest = new Map();
+  }
+
+  /**
+   * 获取最近一次采样结果
+   * @returns {Map<string, Object>}
+   */
+  getLatest() {
+    return this.latest;
+  }
+
+  /**
+   * 采样一轮（上一轮尚未完成时跳过）
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async poll() {
+    if (this.polling) return this.latest;
+    this.polling = true;
+
+    const connections = new Map();
+    try {
+      const pcs = Array.from(this.getPeerConnections().entries());
+      await Promise.all(pcs.map(async ([id, pc]) => {
+        if (!pc || pc.connectionState === 'closed' || !pc.getStats) return;
+        try {
+          const report = await pc.getStats();
+          connections.set(id, this.summarize(id, report));
+        } catch (e) {
+          console.warn('CallStatsMonitor: getStats failed', id, e);
+        }
+      }));
+    } finally {
+      this.polling = false;
+    }
+
+    // 丢弃已经不存在的连接的计数器
+    const prefixes = Array.from(connections.keys()).map(id => `${id}|`);
+    Array.from(this.previous.keys()).forEach(key => {
+      if (!prefixes.some(prefix => key.startsWith(prefix))) this.previous.delete(key);
+    });
+
+    // stop() 之后才完成的采样不再回调
+    if (!this.timer) return connections;
+    this.latest = connections;
+    this.onStats(connections);
+    return connections;
+  }
+
+  /**
+   * 整理一个连接的统计报告
+   * @private
+   */
+  summarize(id, report) {
+    const stats = new Map();
+    report.forEach(stat => stats.set(stat.id, stat));
+
+    const pair = this.findSelectedPair(stats);
+    const local = pair && stats.get(pair.localCandidateId);
+    const remote = pair && stats.get(pair.remoteCandidateId);
+
+    let rtt = pair && Number.isFinite(pair.currentRoundTripTime) ? pair.currentRoundTripTime * 1000 : undefined;
+    let bytesSent = 0;
+    let sentAt = 0;
+    const tracks = new Map();
+
+    stats.forEach(stat => {
+      if (stat.type === 'outbound-rtp') {
+        bytesSent += stat.bytesSent || 0;
+        sentAt = Math.max(sentAt, stat.timestamp || 0);
+      } else if (stat.type === 'remote-inbound-rtp' && rtt === undefined && Number.isFinite(stat.roundTripTime)) {
+        // 部分浏览器的候选对没有 currentRoundTripTime，用 RTCP 报告的时延代替
+        rtt = stat.roundTripTime * 1000;
+      } else if (stat.type === 'inbound-rtp') {
+        const key = stat.trackIdentifier || stat.id;
+        tracks.set(key, {
+          kind: stat.kind || stat.mediaType,
+          jitter: Number.isFinite(stat.jitter) ? stat.jitter * 1000 : undefined,
+          packetLoss: this.lossRate(`${id}|in|${key}`, stat),
+          bitrate: this.bitrate(`${id}|in|${key}|bytes`, stat.bytesReceived, stat.timestamp)
+        });
+      }
+    });
+
+    return {
+      rtt,
+      candidateType: local ? local.candidateType : undefined,
+      remoteCandidateType: remote ? remote.candidateType : undefined,
+      protocol: local ? (local.relayProtocol || local.protocol) : undefined,
+      bitrateOut: sentAt ? this.bitrate(`${id}|out`, bytesSent, sentAt) : undefined,
+      tracks
+    };
+  }
+
+  /**
+   * 找到当前使用的候选对
+   * @private
+   */
+  findSelectedPair(stats) {
+    let pair = null;
+    stats.forEach(stat => {
+      if (pair) return;
+      if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+        pair = stats.get(stat.selectedCandidatePairId) || null;
+      }
+    });
+    if (pair) return pair;
+    // Firefox 没有 transport 统计，候选对上直接带 selected
+    stats.forEach(stat => {
+      if (pair || stat.type !== 'candidate-pair') return;
+      if (stat.selected || (stat.nominated && stat.state === 'succeeded')) pair = stat;
+    });
+    return pair;
+  }
+
+  /**
+   * 两次采样之间的丢包率（0~1）
+   * @private
+   */
+  lossRate(key, stat) {
+    const lost = Math.max(0, stat.packetsLost || 0);
+    const received = stat.packetsReceived || 0;
+    const previous = this.previous.get(key) || { lost: 0, received: 0 };
+    this.previous.set(key, { lost, received });
+
+    const lostDelta = Math.max(0, lost - previous.lost);
+    const receivedDelta = Math.max(0, received - previous.received);
+    const total = lostDelta + receivedDelta;
+    return total > 0 ? lostDelta / total : undefined;
+  }
+
+  /**
+   * 两次采样之间的码率（kbps），第一次采样没有结果
+   * @private
+   */
+  bitrate(key, bytes, timestamp) {
+    const previous = this.previous.get(key);
+    this.previous.set(key, { bytes: bytes || 0, timestamp });
+    if (!previous || !(timestamp > previous.timestamp)) return undefined;
+    const bits = Math.max(0, (bytes || 0) - previous.bytes) * 8;
+    return bits / (timestamp - previous.timestamp);
+  }
+}
@@ -1,13 +1,49 @@
 /**
  * WebSocketManager - WebSocket 连接管理器
  * 负责管理 WebSocket 连接的生命周期，包括连接、断开、重连等
+ *
+ * 连接状态（见 WebSocketManager.STATES）：
+ * - idle: 尚未连接
+ * - connecting: 首次连接中
+ * - open: 已连接
+ * - backing-off: 连接断开，等待下一次重连（指数退避 + 随机抖动）
+ * - reconnecting: 重连中
+ * - offline: 连续重连失败达到上限，停止自动重连（可调用 reconnect() 手动重试）
+ * - paused: 暂停连接，不计入重连次数；pauseReason 为 'network'（浏览器报告离线）或 'hidden'（标签页在后台空闲太久）
+ * - closed: 主动断开
+ *
+ * 心跳：半开的连接（常见于移动网络）不会触发 close / error。服务器对发来的每一帧都会回复（广播回显、错误或 pong），
+ * 发出数据后 heartbeatTimeout 内没有收到任何数据即判定连接已死，关闭 socket 并走 rejoin() 重连
+ * - 服务器在 ready 中声明 heartbeat: true 时，连接空闲 heartbeatInterval 后发送 {ping}，服务器回复 {pong}
+ * - 否则不主动探测：服务器没有 ping 时任何一帧都会消耗发送频率配额，只在发出消息、信令时顺带确认连接
+ * 收到任何消息都视为连接存活
+ *
+ * 时延：ping 从发出到收到 pong 的时间计入 network，聊天消息从发出到收到回显的时间（由 NightcordManager 测量，
+ * 经 recordLatency() 记入）计入 message，见 getLatency()。支持 ping 的服务器连上后立即探测一次
+ *
+ * 传输：连接通过 transports 列表中的传输建立，默认先用 WebSocket，连不上（打开之前就断开）时
+ * 自动改用下一个传输（HTTP 回退，见 http-transport.js）。每一轮连接（connect() 或已打开的连接断开后的重连）
+ * 都从第一个传输开始，只有本轮 WebSocket 连不上时才用 HTTP，网络恢复后能回到 WebSocket。
+ * 传输只需实现浏览器 WebSocket 接口的子集：
+ * - readyState: 0 连接中 / 1 已打开 / 2 关闭中 / 3 已关闭
+ * - addEventListener(type, handler)：'open' | 'message'（event.data 为字符串）| 'close' | 'error'，
+ *   以及可选的 'senderror'：send() 之后才发现没能发出的消息（event.data 为发出的字符串），交给 onSendError
+ * - send(text) / close()
+ * - shared（可选）：为 true 表示借用其他标签页的连接（见 tab-hub.js），不做心跳、不参与传输回退
+ * - leaderDown（可选）：借用的连接因主标签页断线而断开。此时不按退避自己重连（主标签页在重连），
+ *   而是跟随主标签页公布的连接状态，主标签页连上或本标签页接替为主标签页时再连接
+ *
+ * 网络与可见性：浏览器报告离线（offline 事件或 navigator.onLine 为 false）时不再按退避重连，进入 paused，
+ * 网络恢复（online）后立即重连；标签页回到前台时若退避定时器已过期（后台定时器会被浏览器节流）立即重连，
+ * 已连接时立即发出一次心跳探测。设置 idleTimeout 后，标签页在后台超过该时间即断开连接，回到前台时重连
  * 
  * @example
  * const wsManager = new WebSocketManager({
  *   hostname: 'example.com',
  *   onMessage: (data) => console.log('Message:', data),
  *   onOpen: () => console.log('Connected'),
- *   onClose: () => console.log('Disconnected')
+ *   onClose: () => console.log('Disconnected'),
+ *   onStateChange: (state) => console.log('State:', state)
  * });
  * 
  * wsManager.connect('nightcord-default', 'K');
@@ -15,35 +51,142 @@
  * wsManager.disconnect();
  */
 class WebSocketManager {
+  static STATES = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    RECONNECTING: 'reconnecting',
+    BACKING_OFF: 'backing-off',
+    OFFLINE: 'offline',
+    PAUSED: 'paused',
+    CLOSED: 'closed'
+  };
+
+  /**
+   * 默认传输，按顺序尝试；create(base) 的 base 为 `<hostname>/api/room/<roomname>`
+   */
+  static TRANSPORTS = [
+    {
+      name: 'websocket',
+      create: (base) => new WebSocket('wss://' + base + '/websocket')
+    },
+    {
+      name: 'http',
+      isSupported: () => typeof HttpTransport !== 'undefined' && HttpTransport.isSupported(),
+      create: (base) => new HttpTransport(base)
+    }
+  ];
+
+  static HEARTBEAT_INTERVAL = 25000;
+  static HEARTBEAT_TIMEOUT = 10000;
+  // 两次时延探测的最小间隔
+  static LATENCY_PROBE_INTERVAL = 30000;
+
+  /**
+   * 计算第 attempt 次重连前的等待时间：指数增长，上限 maxDelay，
+   * 并在 [delay/2, delay] 内随机取值，避免服务器恢复时所有客户端同时重连
+   * @param {number} attempt - 第几次重连（从 1 开始）
+   * @param {number} baseDelay - 第一次重连的基础延迟（毫秒）
+   * @param {number} maxDelay - 最大延迟（毫秒）
+   * @param {Function} [random=Math.random] - 随机数函数，可替换用于测试
+   * @returns {number} 等待时间（毫秒）
+   */
+  static getBackoffDelay(attempt, baseDelay, maxDelay, random = Math.random) {
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+    return Math.round(delay / 2 + random() * delay / 2);
+  }
+
   /**
    * 创建 WebSocket 管理器实例
    * @param {Object} config - 配置对象
    * @param {string} [config.hostname] - WebSocket 服务器主机名
-   * @param {number} [config.reconnectDelay=10000] - 重连延迟（毫秒）
+   * @param {number} [config.reconnectDelay=1000] - 第一次重连的基础延迟（毫秒），之后每次翻倍
+   * @param {number} [config.maxReconnectDelay=30000] - 重连延迟上限（毫秒）
+   * @param {number} [config.maxReconnectAttempts=10] - 连续重连失败多少次后停止自动重连（0 表示不限）
+   * @param {number} [config.heartbeatInterval=25000] - 连接空闲多久后发出 ping（毫秒，0 表示关闭心跳；服务器不支持 ping 时不探测）
+   * @param {number} [config.heartbeatTimeout=10000] - 发出数据后多久没有收到任何回复判定连接已死（毫秒）
+   * @param {Array<{name: string, create: Function, isSupported?: Function}>} [config.transports] - 传输列表，
+   *   默认为 WebSocketManager.TRANSPORTS
+   * @param {TabHub} [config.tabs] - 多标签页共享连接，提供时同一房间只由一个标签页连接服务器
+   * @param {number} [config.idleTimeout=0] - 标签页在后台多久后断开连接（毫秒，0 表示不断开）
+   * @param {Function} [config.canIdleDisconnect] - 返回 false 时后台空闲也不断开（如正在语音）
+   * @param {Window} [config.window] - 监听 online / offline 的对象，可替换用于测试
+   * @param {Document} [config.document] - 监听 visibilitychange 的对象，可替换用于测试
+   * @param {Function} [config.getResumeSince] - 返回已收到的最后一条消息的时间戳，大于 0 时随握手发送 since，
+   *   支持续传的服务器只回放此后的消息
    * @param {Function} [config.onOpen] - 连接打开时的回调
    * @param {Function} [config.onMessage] - 收到消息时的回调
    * @param {Function} [config.onClose] - 连接关闭时的回调
    * @param {Function} [config.onError] - 发生错误时的回调
-   * @param {Function} [config.onReconnect] - 重连时的回调
+   * @param {Function} [config.onSendError] - send() 已返回 true、但传输随后报告没能发出时的回调 (message) => void，
+   *   message 为交给 send() 的对象（HTTP 回退的 POST 失败）
+   * @param {Function} [config.onReconnect] - 连接断开、开始重连时的回调（每次断线只调用一次）
+   * @param {Function} [config.onStateChange] - 连接状态变化时的回调 (state, info) => void，info 见 getConnectionInfo()
+   * @param {Function} [config.onLatency] - 有新的时延采样时的回调 (latency) => void，latency 见 getLatency()
    */
   constructor(config = {}) {
     this.hostname = config.hostname || "edge-chat-demo.cloudflareworkers.com";
-    this.reconnectDelay = config.reconnectDelay || 10000;
+    this.reconnectDelay = config.reconnectDelay || 1000;
+    this.maxReconnectDelay = config.maxReconnectDelay || 30000;
+    this.maxReconnectAttempts = config.maxReconnectAttempts !== undefined ? config.maxReconnectAttempts : 10;
+    this.heartbeatInterval = config.heartbeatInterval !== undefined ? config.heartbeatInterval : WebSocketManager.HEARTBEAT_INTERVAL;
+    this.heartbeatTimeout = config.heartbeatTimeout || WebSocketManager.HEARTBEAT_TIMEOUT;
+    this.transports = (config.transports || WebSocketManager.TRANSPORTS)
+      .filter(transport => !transport.isSupported || transport.isSupported());
+    // 当前使用的传输；打开之前就断开时换下一个，新一轮连接从第一个开始
+    this.transportIndex = 0;
+    this.tabs = config.tabs || null;
+    // 正在跟随主标签页的连接状态时为取消跟随的函数
+    this.unwatchLeader = null;
+    // 当前连接（WebSocket 或实现相同接口的传输）
     this.ws = null;
-    this.rejoined = false;
     // Whether disconnection should attempt to reconnect. When user intentionally
     // requests to pause auto-reconnect, this will be false.
     this.shouldReconnect = true;
     this.startTime = null;
     this.roomname = null;
     this.username = null;
+
+    this.state = WebSocketManager.STATES.IDLE;
+    // 本轮断线后已尝试重连的次数，连上后清零
+    this.attempts = 0;
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+
+    // 服务器是否支持 ping/pong（在 ready 中声明）
+    this.serverHeartbeat = false;
+    this.heartbeatTimer = null;
+    // 当前 socket 的连接已死回调，心跳未启动时为 null
+    this.onHeartbeatTimeout = null;
+    // 正在等待回复：'ping'（心跳探测）| 'reply'（发出了其他数据）| null（收到任何数据即清空）
+    this.probePending = null;
+    // 最近一次探测 { type, sentAt }，收到它的回复时才清空，用于计算时延和识别迟到的回复
+    this.outstandingProbe = null;
+    this.lastProbeAt = 0;
+    this.latency = typeof LatencyStats !== 'undefined'
+      ? { network: new LatencyStats(), message: new LatencyStats() }
+      : null;
+
+    this.idleTimeout = config.idleTimeout || 0;
+    this.canIdleDisconnect = config.canIdleDisconnect || (() => true);
+    this.idleTimer = null;
+    // paused 的原因：'network' | 'hidden' | null
+    this.pauseReason = null;
+    this.window = config.window || (typeof window !== 'undefined' ? window : null);
+    this.document = config.document || (typeof document !== 'undefined' ? document : null);
     
     // Callbacks
     this.onOpen = config.onOpen || (() => {});
     this.onMessage = config.onMessage || (() => {});
     this.onClose = config.onClose || (() => {});
     this.onError = config.onError || (() => {});
+    this.onSendError = config.onSendError || (() => {});
     this.onReconnect = config.onReconnect || (() => {});
+    this.onStateChange = config.onStateChange || (() => {});
+    this.onLatency = config.onLatency || (() => {});
+    this.getResumeSince = config.getResumeSince || (() => 0);
+
+    this.watchEnvironment();
   }
 
   /**
@@ -54,57 +197,494 @@ class WebSocketManager {
   connect(roomname, username) {
     this.roomname = roomname;
     this.username = username;
-    this.rejoined = false;
     // Ensure auto-reconnect is enabled when initiating a fresh connect
     this.shouldReconnect = true;
+    this.attempts = 0;
+    this.pauseReason = null;
+    this.transportIndex = 0;
+    this.clearRetryTimer();
+    this.openSocket(WebSocketManager.STATES.CONNECTING);
+  }
+
+  /**
+   * 立即重连（用于 offline 或等待重连期间的手动重试），重新计算重连次数
+   */
+  reconnect() {
+    if (!this.roomname) return;
+    this.connect(this.roomname, this.username);
+  }
+
+  /**
+   * 获取当前连接状态
+   * @returns {string} 见 WebSocketManager.STATES
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * 创建 socket 并绑定事件；旧 socket 迟到的事件会被忽略
+   * @private
+   * @param {string} state - 'connecting' | 'reconnecting'
+   */
+  openSocket(state) {
+    this.closeSocket();
     this.startTime = Date.now();
+    this.setState(state);
 
-    const wss = 'wss://';
-    this.ws = new WebSocket(wss + this.hostname + "/api/room/" + roomname + "/websocket");
+    const transport = this.transports[this.transportIndex];
+    const base = this.getBase();
+    let ws;
+    try {
+      ws = this.tabs ? this.tabs.connect(base, () => transport.create(base)) : transport.create(base);
+    } catch (e) {
+      // 构造时即失败（如 URL 被策略拦截）：换下一个传输，按退避规则重试
+      console.warn(`WebSocketManager: failed to create ${transport.name} transport`, e);
+      this.nextTransport();
+      this.rejoin();
+      return;
+    }
+    this.ws = ws;
+    // 是否打开过：打开之前就断开说明该传输在当前网络不可用
+    let opened = false;
+    // close 和 error 都可能到达（error 之后通常紧跟 close），每个 socket 只处理一次断开
+    let ended = false;
+    // 心跳超时时已经通知过 onClose，之后迟到的 close 事件不再通知
+    let closeNotified = false;
+    const handleEnd = () => {
+      if (ended || this.ws !== ws) return;
+      ended = true;
+      this.ws = null;
+      this.stopHeartbeat();
+      // 打开过的连接断开：新一轮重连先试 WebSocket；本轮没打开：换下一个传输
+      if (opened) {
+        this.transportIndex = 0;
+      } else if (!ws.shared) {
+        this.nextTransport();
+      }
+      if (this.shouldReconnect && ws.shared && ws.leaderDown) {
+        this.followLeader();
+      } else if (this.shouldReconnect) {
+        this.rejoin();
+      } else {
+        this.setState(WebSocketManager.STATES.CLOSED);
+      }
+    };
 
-    this.ws.addEventListener("open", (event) => {
-      this.ws.send(JSON.stringify({name: username}));
+    ws.addEventListener("open", (event) => {
+      if (this.ws !== ws) return;
+      opened = true;
+      const since = this.getResumeSince();
+      ws.send(JSON.stringify(since > 0 ? {name: this.username, since} : {name: this.username}));
+      this.attempts = 0;
+      this.serverHeartbeat = false;
+      // 换了连接（可能也换了传输），旧的时延不再有参考意义
+      if (this.latency) {
+        this.latency.network.reset();
+        this.latency.message.reset();
+      }
+      // 借用的连接由主标签页负责心跳
+      if (!ws.shared) this.startHeartbeat(() => {
+        if (this.ws !== ws) return;
+        console.warn("WebSocket heartbeat timed out, reconnecting");
+        closeNotified = true;
+        this.onClose({ code: 4000, reason: "heartbeat timeout", wasClean: false });
+        handleEnd();
+        try { ws.close(); } catch (e) {}
+      });
+      this.setState(WebSocketManager.STATES.OPEN);
       this.onOpen(event);
     });
 
-    this.ws.addEventListener("message", (event) => {
+    ws.addEventListener("message", (event) => {
+      if (this.ws !== ws) return;
       const data = JSON.parse(event.data);
+      if (this.handleHeartbeat(data)) return;
       this.onMessage(data);
     });
 
-    this.ws.addEventListener("close", (event) => {
-      console.log("WebSocket closed, reconnecting:", event.code, event.reason);
+    ws.addEventListener("close", (event) => {
+      // 主动关闭的旧 socket 不再通知；因 error 已经处理过断开的仍要通知 onClose
+      if (closeNotified || (this.ws !== ws && !ended)) return;
+      closeNotified = true;
+      console.log("WebSocket closed:", event.code, event.reason);
       this.onClose(event);
-      // Only attempt to rejoin when the close wasn't intentional
-      if (this.shouldReconnect) this.rejoin();
+      handleEnd();
     });
 
-    this.ws.addEventListener("error", (event) => {
-      console.log("WebSocket error, reconnecting:", event);
+    ws.addEventListener("error", (event) => {
+      if (this.ws !== ws) return;
+      console.log("WebSocket error:", event);
       this.onError(event);
-      if (this.shouldReconnect) this.rejoin();
+      handleEnd();
+    });
+
+    // 传输已经断开时排在后面的消息也会报告，因此不检查是否仍是当前 socket
+    ws.addEventListener("senderror", (event) => {
+      try {
+        this.onSendError(JSON.parse(event.data));
+      } catch (e) {}
     });
   }
 
   /**
-   * 重新连接到服务器
+   * 重新连接到服务器：按指数退避等待后重连，连续失败达到上限时进入 offline
    * @private
    */
-  async rejoin() {
-    if (this.rejoined) return;
-    
-    this.rejoined = true;
-    this.ws = null;
-    this.onReconnect();
+  rejoin() {
+    // 已经在等待重连
+    if (this.retryTimer) return;
+    // 离线时重连注定失败，等网络恢复
+    if (!this.isNetworkOnline()) {
+      this.pause('network');
+      return;
+    }
+    this.closeSocket();
+
+    // 刚从已连接状态断开：通知上层（清空成员列表等）
+    if (this.state === WebSocketManager.STATES.OPEN) this.onReconnect();
 
-    // Don't try to reconnect too rapidly.
-    const timeSinceLastJoin = Date.now() - this.startTime;
-    if (timeSinceLastJoin < this.reconnectDelay) {
-      await new Promise(resolve => setTimeout(resolve, this.reconnectDelay - timeSinceLastJoin));
+    if (this.maxReconnectAttempts > 0 && this.attempts >= this.maxReconnectAttempts) {
+      this.setState(WebSocketManager.STATES.OFFLINE);
+      return;
     }
 
-    // Reconnect
-    this.connect(this.roomname, this.username);
+    this.attempts++;
+    const delay = WebSocketManager.getBackoffDelay(this.attempts, this.reconnectDelay, this.maxReconnectDelay);
+    this.nextRetryAt = Date.now() + delay;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.nextRetryAt = null;
+      this.openSocket(WebSocketManager.STATES.RECONNECTING);
+    }, delay);
+    this.setState(WebSocketManager.STATES.BACKING_OFF, { delay });
+  }
+
+  /**
+   * 借用的连接因主标签页断线而断开：跟随主标签页的连接状态（退避、offline 等），不计自己的重连次数；
+   * 主标签页重新连上或本标签页接替为主标签页时再连接
+   * @private
+   */
+  followLeader() {
+    if (!this.isNetworkOnline()) {
+      this.pause('network');
+      return;
+    }
+    this.clearRetryTimer();
+    this.closeSocket();
+    if (this.state === WebSocketManager.STATES.OPEN) this.onReconnect();
+    this.setState(WebSocketManager.STATES.RECONNECTING);
+
+    const { OPEN, CLOSED, IDLE, BACKING_OFF } = WebSocketManager.STATES;
+    const unwatch = this.tabs.watch(this.getBase(), (state, info) => {
+      if (this.unwatchLeader !== unwatch) return;
+      if (state === 'leader' || state === OPEN) {
+        this.openSocket(WebSocketManager.STATES.RECONNECTING);
+        return;
+      }
+      // 主标签页离开房间时会让出身份，等接替的标签页
+      if (state === CLOSED || state === IDLE) return;
+      if (info.attempt !== undefined) this.attempts = info.attempt;
+      this.nextRetryAt = state === BACKING_OFF && info.delay ? Date.now() + info.delay : null;
+      if (info.reason) this.pauseReason = info.reason;
+      this.setState(state, info);
+    });
+    this.unwatchLeader = unwatch;
+  }
+
+  /**
+   * 暂停连接：关闭 socket、停止重连，等待 online 或标签页回到前台
+   * @private
+   * @param {string} reason - 'network' | 'hidden'
+   */
+  pause(reason) {
+    this.clearRetryTimer();
+    this.closeSocket();
+    if (this.state === WebSocketManager.STATES.OPEN) this.onReconnect();
+    // 后台空闲断开时让出主标签页，仍在前台的其他标签页接替连接
+    if (reason === 'hidden' && this.tabs) this.tabs.release(this.getBase());
+    this.pauseReason = reason;
+    this.setState(WebSocketManager.STATES.PAUSED, { reason });
+  }
+
+  /**
+   * 浏览器是否认为网络可用（navigator.onLine 为 false 时一定连不上，为 true 时不一定连得上）
+   * @returns {boolean}
+   */
+  isNetworkOnline() {
+    const navigator = this.window && this.window.navigator;
+    return !(navigator && navigator.onLine === false);
+  }
+
+  /**
+   * 监听网络和标签页可见性变化
+   * @private
+   */
+  watchEnvironment() {
+    if (this.window && this.window.addEventListener) {
+      this.window.addEventListener('online', () => this.handleOnline());
+      this.window.addEventListener('offline', () => this.handleOffline());
+    }
+    if (this.document && this.document.addEventListener) {
+      this.document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    }
+  }
+
+  /**
+   * 是否处于需要保持连接的状态（已加入房间且没有主动断开）
+   * @private
+   */
+  isActive() {
+    const { IDLE, CLOSED } = WebSocketManager.STATES;
+    return !!this.roomname && this.shouldReconnect && this.state !== IDLE && this.state !== CLOSED;
+  }
+
+  /**
+   * @private
+   */
+  handleOffline() {
+    if (!this.isActive() || this.state === WebSocketManager.STATES.PAUSED) return;
+    this.pause('network');
+  }
+
+  /**
+   * 网络恢复：立即重连，不再等待退避
+   * @private
+   */
+  handleOnline() {
+    if (!this.isActive()) return;
+    const { PAUSED, BACKING_OFF, OFFLINE } = WebSocketManager.STATES;
+    if ((this.state === PAUSED && this.pauseReason === 'network') || this.state === BACKING_OFF || this.state === OFFLINE) {
+      this.reconnect();
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleVisibilityChange() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (!this.isActive()) return;
+    const { OPEN, PAUSED, BACKING_OFF } = WebSocketManager.STATES;
+
+    if (this.document.hidden) {
+      if (this.idleTimeout > 0) {
+        this.idleTimer = setTimeout(() => {
+          this.idleTimer = null;
+          if (!this.document.hidden || !this.isActive() || this.state === PAUSED) return;
+          if (!this.canIdleDisconnect()) return;
+          this.pause('hidden');
+        }, this.idleTimeout);
+      }
+      return;
+    }
+
+    if (this.state === PAUSED && this.pauseReason === 'hidden') {
+      this.reconnect();
+    } else if (this.state === BACKING_OFF && this.nextRetryAt !== null && this.nextRetryAt <= Date.now()) {
+      // 后台时退避定时器被节流，已经过了预定的重连时间
+      this.clearRetryTimer();
+      this.openSocket(WebSocketManager.STATES.RECONNECTING);
+    } else if (this.state === OPEN && this.onHeartbeatTimeout && this.serverHeartbeat && !this.probePending) {
+      // 在后台期间连接可能已经半开，立即确认
+      clearTimeout(this.heartbeatTimer);
+      this.sendProbe();
+    }
+  }
+
+  /**
+   * 改用下一个传输（只有一个传输时不变）
+   * @private
+   */
+  nextTransport() {
+    if (this.transports.length < 2) return;
+    const failed = this.transports[this.transportIndex];
+    this.transportIndex = (this.transportIndex + 1) % this.transports.length;
+    console.warn(`WebSocketManager: ${failed.name} transport did not open, trying ${this.transports[this.transportIndex].name}`);
+  }
+
+  /**
+   * 启动当前 socket 的心跳
+   * @private
+   * @param {Function} onTimeout - 判定连接已死时的回调
+   */
+  startHeartbeat(onTimeout) {
+    this.stopHeartbeat();
+    if (!this.heartbeatInterval) return;
+    this.onHeartbeatTimeout = onTimeout;
+    // 刚发出握手，等待 ready
+    this.awaitReply();
+  }
+
+  /**
+   * 收到数据：连接存活；服务器支持 ping 时重新开始空闲计时
+   * @private
+   */
+  resetHeartbeat() {
+    if (!this.onHeartbeatTimeout) return;
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.probePending = null;
+    if (this.serverHeartbeat) this.heartbeatTimer = setTimeout(() => this.sendProbe(), this.heartbeatInterval);
+  }
+
+  /**
+   * 发出了数据：heartbeatTimeout 内没有收到任何回复即判定连接已死（已在等待时不重新计时）
+   * @private
+   */
+  awaitReply() {
+    if (!this.onHeartbeatTimeout || this.probePending) return;
+    clearTimeout(this.heartbeatTimer);
+    this.probePending = 'reply';
+    this.heartbeatTimer = setTimeout(this.onHeartbeatTimeout, this.heartbeatTimeout);
+  }
+
+  /**
+   * 发出 ping，等待任意回复（只用于声明支持 ping 的服务器）
+   * @private
+   */
+  sendProbe() {
+    if (!this.serverHeartbeat || !this.send({ ping: Date.now() })) {
+      this.resetHeartbeat();
+      return;
+    }
+    clearTimeout(this.heartbeatTimer);
+    this.probePending = 'ping';
+    this.outstandingProbe = { type: 'ping', sentAt: Date.now() };
+    this.lastProbeAt = Date.now();
+    this.heartbeatTimer = setTimeout(this.onHeartbeatTimeout, this.heartbeatTimeout);
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.onHeartbeatTimeout = null;
+    this.probePending = null;
+    this.outstandingProbe = null;
+  }
+
+  /**
+   * 是否有发出不久、还没收到 pong 的 ping（此时服务器回复的错误可能是针对它的）
+   * @returns {boolean}
+   */
+  hasPendingPing() {
+    const probe = this.outstandingProbe;
+    return !!probe && probe.type === 'ping' && Date.now() - probe.sentAt < this.heartbeatTimeout;
+  }
+
+  /**
+   * 距上次探测较久时立即发出 ping（用于测量网络时延）；服务器不支持 ping、
+   * 没有心跳（已关闭或借用其他标签页的连接）时不探测
+   */
+  measureLatency() {
+    if (!this.onHeartbeatTimeout || !this.serverHeartbeat || this.probePending) return;
+    if (Date.now() - this.lastProbeAt < WebSocketManager.LATENCY_PROBE_INTERVAL) return;
+    clearTimeout(this.heartbeatTimer);
+    this.sendProbe();
+  }
+
+  /**
+   * 记入一次时延采样
+   * @param {string} kind - 'network' | 'message'
+   * @param {number} rtt - 往返时延（毫秒）
+   */
+  recordLatency(kind, rtt) {
+    if (!this.latency || !this.latency[kind]) return;
+    this.latency[kind].add(rtt);
+    this.onLatency(this.getLatency());
+  }
+
+  /**
+   * 获取当前连接的时延统计
+   * @returns {{network: Object|null, message: Object|null, quality: string}} network / message 见 LatencyStats.getStats()；
+   *   quality 按网络时延（没有时按消息时延）评定，见 LatencyStats.rate()
+   */
+  getLatency() {
+    if (!this.latency) return { network: null, message: null, quality: 'unknown' };
+    const network = this.latency.network.getStats();
+    const message = this.latency.message.getStats();
+    const reference = network || message;
+    return { network, message, quality: LatencyStats.rate(reference ? reference.average : undefined) };
+  }
+
+  /**
+   * 处理心跳相关的消息
+   * @private
+   * @param {Object} data - 收到的消息
+   * @returns {boolean} 是否是心跳回复（不再交给 onMessage）
+   */
+  handleHeartbeat(data) {
+    const probe = this.outstandingProbe;
+    if (data.ready && data.heartbeat) this.serverHeartbeat = true;
+    this.resetHeartbeat();
+    if (data.pong !== undefined) {
+      if (probe && probe.type === 'ping') this.finishProbe(probe);
+      return true;
+    }
+    // 支持 ping 的服务器连上后立即测一次网络时延
+    if (data.ready) this.measureLatency();
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  finishProbe(probe) {
+    this.outstandingProbe = null;
+    this.recordLatency('network', Date.now() - probe.sentAt);
+  }
+
+  /**
+   * @private
+   */
+  setState(state, extra = {}) {
+    if (this.state === state && state !== WebSocketManager.STATES.BACKING_OFF) return;
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange(state, { ...this.getConnectionInfo(), previous, ...extra });
+    // 主标签页把连接状态告诉跟随它的从标签页
+    if (this.tabs && this.roomname && !this.unwatchLeader) this.tabs.publishState(this.getBase(), state, { ...extra, attempt: this.attempts });
+  }
+
+  /**
+   * 房间地址（不含协议），也用于多标签页选主
+   * @private
+   * @returns {string}
+   */
+  getBase() {
+    return this.hostname + "/api/room/" + this.roomname;
+  }
+
+  /**
+   * @private
+   */
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  /**
+   * 关闭当前 socket（不触发重连）
+   * @private
+   */
+  closeSocket() {
+    if (this.unwatchLeader) {
+      this.unwatchLeader();
+      this.unwatchLeader = null;
+    }
+    const ws = this.ws;
+    this.ws = null;
+    this.stopHeartbeat();
+    if (ws) {
+      try { ws.close(); } catch (e) {}
+    }
   }
 
   /**
@@ -115,6 +695,7 @@ class WebSocketManager {
   send(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(message));
+      this.awaitReply();
       return true;
     }
     return false;
@@ -126,11 +707,14 @@ class WebSocketManager {
   disconnect() {
     // Close the socket. Do not assume whether auto-reconnect should be
     // enabled/disabled here — callers may explicitly pause auto-reconnect
-    // via pauseAutoReconnect(). We'll just close the socket.
-    if (this.ws) {
-      try { this.ws.close(); } catch (e) {}
-      this.ws = null;
-    }
+    // via pauseAutoReconnect(). The closed socket's events are ignored, so
+    // this never triggers a reconnect by itself.
+    this.clearRetryTimer();
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.pauseReason = null;
+    this.closeSocket();
+    this.setState(WebSocketManager.STATES.CLOSED);
   }
 
   /**
@@ -174,7 +758,15 @@ class WebSocketManager {
       roomname: this.roomname,
       username: this.username,
       connected: this.isConnected(),
-      readyState: this.getReadyState()
+      readyState: this.getReadyState(),
+      state: this.state,
+      transport: this.transports[this.transportIndex].name,
+      shared: !!(this.ws && this.ws.shared),
+      attempt: this.attempts,
+      maxAttempts: this.maxReconnectAttempts,
+      nextRetryAt: this.nextRetryAt,
+      pauseReason: this.state === WebSocketManager.STATES.PAUSED ? this.pauseReason : null,
+      latency: this.getLatency()
     };
   }
 }